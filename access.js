@@ -0,0 +1,173 @@
+const {
+    loadAccessRules,
+    saveAccessRule,
+    deleteAccessRule,
+    loadBotSetting,
+    saveBotSetting
+} = require('./database.js');
+const { logger } = require('./logger.js');
+const { LocalizedError } = require('./i18n');
+
+/**
+ * Who may use the bot.
+ *
+ * The owner (OWNER_ID) can always use it and manages access with /allow, /block and /mode.
+ * Chats and users are either on the allow list or on the block list, stored in SQLite.
+ *   - public mode: everyone except blocked chats and users
+ *   - private mode: only allowed chats, and private chats of allowed users
+ * The block list wins over the mode, so a blocked user is ignored in an allowed group too.
+ * Groups the bot may not serve are left (see bot.js).
+ */
+
+const ACCESS_MODES = ['public', 'private'];
+const ACCESS_LISTS = ['allow', 'block'];
+
+const OWNER_ID = parseInt(process.env.OWNER_ID, 10) || null;
+const DEFAULT_ACCESS_MODE = ACCESS_MODES.includes(process.env.ACCESS_MODE) ? process.env.ACCESS_MODE : 'public';
+
+const ACCESS_MODE_KEY = 'access_mode';
+
+// Rules are few and checked on every message, so they are kept in memory: "chat:<id>" -> rule
+let rules = null;
+let mode = null;
+
+async function load() {
+    if (rules) return;
+    const [stored, storedMode] = await Promise.all([loadAccessRules(), loadBotSetting(ACCESS_MODE_KEY)]);
+    rules = new Map(stored.map((rule) => [`${rule.kind}:${rule.id}`, rule]));
+    mode = ACCESS_MODES.includes(storedMode) ? storedMode : DEFAULT_ACCESS_MODE;
+}
+
+function getList(kind, id) {
+    const rule = id ? rules.get(`${kind}:${id}`) : null;
+    return rule ? rule.list : null;
+}
+
+/**
+ * @param {number|null|undefined} userId - Telegram user ID.
+ * @returns {boolean}
+ */
+function isOwner(userId) {
+    return Boolean(OWNER_ID && userId === OWNER_ID);
+}
+
+/**
+ * @returns {Promise<'public'|'private'>}
+ */
+async function getAccessMode() {
+    await load();
+    return mode;
+}
+
+/**
+ * @param {'public'|'private'} value
+ * @returns {Promise<void>}
+ */
+async function setAccessMode(value) {
+    if (!ACCESS_MODES.includes(value)) {
+        throw new LocalizedError('access.error.mode', { value });
+    }
+    await load();
+    await saveBotSetting(ACCESS_MODE_KEY, value);
+    mode = value;
+}
+
+/**
+ * Whether the bot may stay in a group or channel: on the allow list in private mode,
+ * not on the block list in public mode.
+ * @param {{id: number, type: string}} chat - Telegram chat.
+ * @returns {Promise<boolean>}
+ */
+async function isChatAuthorized(chat) {
+    await load();
+    if (chat.type === 'private') return true;
+    const list = getList('chat', chat.id);
+    if (list === 'block') return false;
+    return mode === 'public' || list === 'allow';
+}
+
+/**
+ * Whether a message of a user in a chat is served.
+ * @param {{id: number, type: string}} chat - Telegram chat.
+ * @param {number|null} userId - The sender, null for messages sent on behalf of a chat.
+ * @returns {Promise<{allowed: boolean, reason?: 'blocked_user'|'blocked_chat'|'private_mode'}>}
+ */
+async function checkAccess(chat, userId) {
+    await load();
+    if (isOwner(userId)) return { allowed: true };
+    if (getList('user', userId) === 'block') return { allowed: false, reason: 'blocked_user' };
+    // A private chat has the ID of the user, so the chat rules of a user are the user rules
+    const chatList = chat.type === 'private' ? getList('user', chat.id) : getList('chat', chat.id);
+    if (chatList === 'block') return { allowed: false, reason: 'blocked_chat' };
+    if (mode === 'public' || chatList === 'allow') return { allowed: true };
+    return { allowed: false, reason: 'private_mode' };
+}
+
+/**
+ * Puts a chat or a user on a list, replacing its entry on the other list.
+ * @param {'chat'|'user'} kind
+ * @param {number} id - Chat or user ID.
+ * @param {'allow'|'block'} list
+ * @param {number|null} [createdBy] - Who changed the entry.
+ * @returns {Promise<void>}
+ */
+async function setAccessRule(kind, id, list, createdBy = null) {
+    if (!ACCESS_LISTS.includes(list)) {
+        throw new LocalizedError('access.error.list', { value: list });
+    }
+    if (list === 'block' && kind === 'user' && isOwner(id)) {
+        throw new LocalizedError('access.error.block_owner');
+    }
+    await load();
+    await saveAccessRule(kind, id, list, createdBy);
+    rules.set(`${kind}:${id}`, { kind, id, list, createdBy, createdAt: Date.now() });
+    logger.info('Access rule changed', { kind, id, list, createdBy });
+}
+
+/**
+ * Removes a chat or a user from the lists, so the access mode decides again.
+ * @param {'chat'|'user'} kind
+ * @param {number} id
+ * @returns {Promise<boolean>} false if there was no entry.
+ */
+async function removeAccessRule(kind, id) {
+    await load();
+    rules.delete(`${kind}:${id}`);
+    return deleteAccessRule(kind, id);
+}
+
+/**
+ * Entries of a list, oldest first.
+ * @param {'allow'|'block'} list
+ * @returns {Promise<Array<{kind: 'chat'|'user', id: number, createdBy: number|null, createdAt: number}>>}
+ */
+async function listAccessRules(list) {
+    await load();
+    return [...rules.values()].filter((rule) => rule.list === list);
+}
+
+/**
+ * Parses the subject of /allow and /block: negative IDs are chats (groups, channels),
+ * positive IDs are users.
+ * @param {string} text
+ * @returns {{kind: 'chat'|'user', id: number}|null}
+ */
+function parseAccessSubject(text) {
+    if (!/^-?\d+$/.test(text)) return null;
+    const id = parseInt(text, 10);
+    return id === 0 ? null : { kind: id < 0 ? 'chat' : 'user', id };
+}
+
+module.exports = {
+    ACCESS_MODES,
+    OWNER_ID,
+    isOwner,
+    getAccessMode,
+    setAccessMode,
+    isChatAuthorized,
+    checkAccess,
+    setAccessRule,
+    removeAccessRule,
+    listAccessRules,
+    parseAccessSubject
+};
@@ -0,0 +1,79 @@
+const { replaceFileIds } = require('./database.js');
+
+/**
+ * Archive channel: with ARCHIVE_CHAT_ID set, every upload goes to a private channel first
+ * and chats get a copy of that message. The channel message IDs are cached next to the file_ids,
+ * so when the file_ids stop working (a new bot token, a migrated database) they are read
+ * again from the channel instead of downloading the videos again.
+ */
+
+/**
+ * Media of a message: the video, the audio or the largest photo size.
+ * @param {object} message - Telegram message.
+ * @returns {{type: 'photo'|'video'|'audio', fileId: string}|null}
+ */
+function getMessageMedia(message) {
+    if (message.video) {
+        return { type: 'video', fileId: message.video.file_id };
+    }
+    if (message.audio) {
+        return { type: 'audio', fileId: message.audio.file_id };
+    }
+    if (message.photo) {
+        // The last size is the largest one
+        return { type: 'photo', fileId: message.photo[message.photo.length - 1].file_id };
+    }
+    return null;
+}
+
+/**
+ * Reads the file_ids of archived messages as the current bot sees them. The Bot API can't
+ * fetch a message by ID, so each one is forwarded within the channel and the forward is deleted.
+ * @param {TelegramBot} bot - The bot, an admin of the channel.
+ * @param {string|number} archiveChatId - The archive channel.
+ * @param {number[]} messageIds - Archived messages in order.
+ * @returns {Promise<string[]>} file_ids in the same order.
+ */
+async function fetchArchivedFileIds(bot, archiveChatId, messageIds) {
+    const fileIds = [];
+    for (const messageId of messageIds) {
+        const forwarded = await bot.forwardMessage(archiveChatId, archiveChatId, messageId, { disable_notification: true });
+        await bot.deleteMessage(archiveChatId, forwarded.message_id).catch(() => {});
+        const media = getMessageMedia(forwarded);
+        if (!media) {
+            throw new Error(`Archived message ${messageId} has no media`);
+        }
+        fileIds.push(media.fileId);
+    }
+    return fileIds;
+}
+
+/**
+ * Replaces the cached file_ids of an entry with the ones of its archived messages.
+ * @param {TelegramBot} bot - The bot, an admin of the channel.
+ * @param {{cacheKey: string, archiveChatId: string, messageIds: number[]}} entry - See listArchivedEntries.
+ * @returns {Promise<void>}
+ */
+async function refreshFromArchive(bot, { cacheKey, archiveChatId, messageIds }) {
+    const fileIds = await fetchArchivedFileIds(bot, archiveChatId, messageIds);
+    await replaceFileIds(cacheKey, fileIds);
+}
+
+/**
+ * The archived messages of a cache entry returned by getCachedFileId.
+ * @param {object} cached - Cache entry.
+ * @returns {number[]|null} Message IDs in order, or null if the entry (or one of its items) isn't archived.
+ */
+function getArchivedMessageIds(cached) {
+    if (!cached.archiveChatId || !cached.archiveMessageId) return null;
+    if (!cached.items) return [cached.archiveMessageId];
+    const messageIds = cached.items.map((item) => item.archiveMessageId);
+    return messageIds.every(Boolean) ? messageIds : null;
+}
+
+module.exports = {
+    getMessageMedia,
+    fetchArchivedFileIds,
+    refreshFromArchive,
+    getArchivedMessageIds
+};
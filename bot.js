@@ -1,481 +1,2373 @@
 require('dotenv').config();
 
 const TelegramBot = require('node-telegram-bot-api');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { exec } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const os = require('os');
-const { getCachedFileId, cacheFileId } = require('./database.js');
+const {
+    getCachedFileId,
+    cacheFileId,
+    cacheMediaGroup,
+    updatePostInfo,
+    invalidateFileId,
+    getJob,
+    findJob,
+    startCacheEviction,
+    recordRequest,
+    finishRequest,
+    getRequestStats
+} = require('./database.js');
+const { findVideoLinks, getProvider, buildCacheKey, getPreviewPath } = require('./providers');
+const { createJobQueue, PermanentJobError, AuthRequiredError, JobCancelledError, JobDeferredError } = require('./queue.js');
+const { downloadVideo, downloadAudio, fetchVideoInfo, fetchPlaylist } = require('./downloader.js');
+const { fitVideo } = require('./compressor.js');
+const { runFfmpeg, killAllProcesses } = require('./subprocess.js');
+const { createCaptionerFromEnv } = require('./captions');
+const { buildDefaultTemplate, renderCaption, formatCount, formatDate, escapeHtml } = require('./captions/template');
+const { getMessageMedia, refreshFromArchive, getArchivedMessageIds } = require('./archive.js');
+const { parseStatsArgs, formatStats } = require('./stats.js');
+const {
+    OWNER_ID,
+    isOwner,
+    getAccessMode,
+    setAccessMode,
+    isChatAuthorized,
+    checkAccess,
+    setAccessRule,
+    removeAccessRule,
+    listAccessRules,
+    parseAccessSubject
+} = require('./access.js');
+const { LANGUAGES, normalizeLanguage, resolveLanguage, t, localizeError } = require('./i18n');
+const { logger } = require('./logger.js');
+const { counter, timeStage } = require('./metrics.js');
+const { checkTools, startMonitoringServer } = require('./monitoring.js');
+const { createRateLimiter, takeAll, retryAfterSeconds, envLimit } = require('./ratelimit.js');
+const {
+    DEFAULT_SETTINGS,
+    QUALITY_OPTIONS,
+    getChatSettings,
+    updateChatSettings,
+    isPlatformEnabled,
+    getQualityCacheKey,
+    getSettingsPatch,
+    buildSettingsKeyboard
+} = require('./settings.js');
 
 // --- Configuration ---
 const BOT_TOKEN = process.env.BOT_TOKEN;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3;
+const QUEUE_RETRY_DELAY_MS = parseInt(process.env.QUEUE_RETRY_DELAY_MS, 10) || 5000;
+const INLINE_STORAGE_CHAT_ID = process.env.INLINE_STORAGE_CHAT_ID || null;
+// Private channel every upload is mirrored to, see archive.js
+const ARCHIVE_CHAT_ID = process.env.ARCHIVE_CHAT_ID || null;
+// A local Bot API server (https://github.com/tdlib/telegram-bot-api) accepts uploads up to 2000MB
+const BOT_API_URL = process.env.BOT_API_URL || undefined;
+const TELEGRAM_FILE_LIMIT_MB = parseInt(process.env.TELEGRAM_FILE_LIMIT_MB, 10) || 50;
+const TELEGRAM_FILE_LIMIT_BYTES = TELEGRAM_FILE_LIMIT_MB * 1024 * 1024;
+// Videos queued from one playlist link
+const MAX_PLAYLIST_ITEMS = parseInt(process.env.MAX_PLAYLIST_ITEMS, 10) || 5;
+// Default caption template for chats without their own, otherwise the built-in one in the chat's language;
+// "\n" in .env stands for a line break
+const CAPTION_TEMPLATE = process.env.CAPTION_TEMPLATE ? process.env.CAPTION_TEMPLATE.replace(/\\n/g, '\n') : null;
+// /metrics and /healthz of the bot process; 0 turns them off
+const METRICS_PORT = parseInt(process.env.METRICS_PORT ?? '9091', 10);
+// "polling" (default, for development) or "webhook": updates come through server.js
+const BOT_MODE = process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling';
+// Public HTTPS address of server.js, e.g. https://example.com
+const WEBHOOK_URL = process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace(/\/+$/, '') : null;
+const WEBHOOK_PATH = '/telegram/webhook';
+// Telegram sends it back in X-Telegram-Bot-Api-Secret-Token; a random one is used if not set
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+// Public address of server.js for preview links (/v/<platform>/<id>); in webhook mode it is WEBHOOK_URL
+const PUBLIC_URL = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : WEBHOOK_URL;
+// How long shutdown waits for running jobs
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000;
+
+// --- Rate limits: links per minute of one user and one chat, downloads per minute of one platform ---
+const userLimiter = createRateLimiter({ perMinute: envLimit('RATE_LIMIT_USER_PER_MINUTE', 10) });
+const chatLimiter = createRateLimiter({ perMinute: envLimit('RATE_LIMIT_CHAT_PER_MINUTE', 30) });
+const platformLimiter = createRateLimiter({ perMinute: envLimit('RATE_LIMIT_PLATFORM_PER_MINUTE', 30) });
+// Users already told about the limit, so a flood of links gets one reply: userId -> timestamp the notice expires
+const rateLimitNotices = new Map();
 
 // --- Initialization ---
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+// Polling is started by startBot(), so requiring this module from server.js has no side effects on Telegram
+const bot = new TelegramBot(BOT_TOKEN, { polling: false, baseApiUrl: BOT_API_URL });
 let ytDlpAvailable = false;
-let geminiAvailable = false;
-let geminiModel = null;
-
-// Initialize Gemini if API key is provided
-if (GEMINI_API_KEY) {
-    try {
-        const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-        geminiModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        geminiAvailable = true;
-        console.log('✅ Gemini 2.5 Flash initialized');
-    } catch (error) {
-        console.error('❌ Failed to initialize Gemini:', error.message);
-        console.log('💡 Check your API key at: https://ai.google.dev/gemini-api/docs/api-key');
+let shuttingDown = false;
+let captioner = null;
+
+// Initialize the caption generator (Gemini, OpenAI-compatible or original caption fallback)
+try {
+    captioner = createCaptionerFromEnv();
+    if (captioner.provider) {
+        logger.info('Captions enabled', { provider: captioner.provider.title });
+    } else if (captioner.available) {
+        logger.warn('No AI caption provider configured, original post titles will be used as captions');
+    } else {
+        logger.warn('Captions disabled');
     }
-} else {
-    console.log('⚠️  GEMINI_API_KEY not provided. Captions will not be generated.');
+} catch (error) {
+    logger.error('Failed to initialize captions, check CAPTION_PROVIDER, GEMINI_API_KEY and OPENAI_BASE_URL in .env', { error });
 }
 
 // --- Helper Functions ---
 
 /**
- * Extracts the Reel ID from an Instagram URL.
- * @param {string} url - The Instagram URL.
- * @returns {string|null} The Reel ID or null.
+ * Lists the items of a post from its yt-dlp metadata.
+ * Carousels come back as a playlist; photo items have no formats, only thumbnails.
+ * @param {object} info - yt-dlp info JSON.
+ * @returns {Array<{index: number, type: 'photo'|'video', imageUrl: string|null}>} Items in post order.
  */
-function extractReelId(url) {
-    const match = url.match(/\/(?:p|reel)\/([^\/?]+)/);
-    return match ? match[1] : null;
+function getMediaItems(info) {
+    const entries = info._type === 'playlist' ? (info.entries || []) : [info];
+    return entries.map((entry, i) => {
+        const thumbnails = (entry.thumbnails || []).filter((t) => t.url);
+        // yt-dlp sorts thumbnails from worst to best
+        const best = thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : entry.thumbnail;
+        return {
+            index: i + 1,
+            type: entry.formats && entry.formats.length > 0 ? 'video' : 'photo',
+            imageUrl: best || null
+        };
+    });
 }
 
 /**
- * Extracts the Video ID from a YouTube URL.
- * Supports formats: youtube.com/watch?v=ID, youtu.be/ID, youtube.com/shorts/ID
- * @param {string} url - The YouTube URL.
- * @returns {string|null} The Video ID or null.
+ * Extracts the original post metadata from yt-dlp info: author, caption, title,
+ * counters, music track, upload date (YYYYMMDD) and the canonical link.
+ * @param {object} info - yt-dlp info JSON.
+ * @returns {{author: string|null, postText: string|null, title: string|null, likeCount: number|null,
+ *   viewCount: number|null, music: string|null, uploadDate: string|null, sourceUrl: string|null}}
  */
-function extractYoutubeId(url) {
-    // youtube.com/watch?v=ID
-    let match = url.match(/[?&]v=([^&\s]+)/);
-    if (match) return match[1];
-
-    // youtu.be/ID
-    match = url.match(/youtu\.be\/([^\/?&\s]+)/);
-    if (match) return match[1];
+function getPostInfo(info) {
+    const entry = info._type === 'playlist' && info.entries && info.entries.length > 0 ? info.entries[0] : info;
+    const pick = (field) => (info[field] !== undefined && info[field] !== null ? info[field] : entry[field]);
+    const artist = pick('artist') || (pick('artists') || []).join(', ');
+    const track = pick('track');
+    return {
+        author: pick('uploader') || pick('channel') || null,
+        postText: pick('description') || pick('title') || null,
+        title: pick('title') || null,
+        likeCount: Number.isFinite(pick('like_count')) ? pick('like_count') : null,
+        viewCount: Number.isFinite(pick('view_count')) ? pick('view_count') : null,
+        music: track ? [artist, track].filter(Boolean).join(' — ') : null,
+        uploadDate: pick('upload_date') || null,
+        sourceUrl: pick('webpage_url') || null
+    };
+}
 
-    // youtube.com/shorts/ID
-    match = url.match(/\/shorts\/([^\/?&\s]+)/);
-    if (match) return match[1];
+/**
+ * Fetches post metadata: from the provider itself for items yt-dlp can't handle
+ * (e.g. Instagram profile pictures), otherwise with yt-dlp.
+ * @param {object} provider - The job's provider.
+ * @param {string} videoId - The video ID.
+ * @param {AbortSignal} [signal] - Cancellation.
+ * @returns {Promise<object>} yt-dlp style metadata.
+ */
+async function fetchPostInfo(provider, videoId, signal) {
+    return timeStage('metadata', async () => {
+        const info = provider.fetchInfo ? await provider.fetchInfo(videoId, { signal }) : null;
+        return info || fetchVideoInfo(provider.buildUrl(videoId), provider.downloadOptions, { signal });
+    }, { provider: provider.name });
+}
 
-    return null;
+/**
+ * When the cache entry of a job expires: stories and other short-lived items
+ * get a lifetime from their provider, everything else follows the global cache settings.
+ * @param {object} job - The queue job.
+ * @returns {number|null} Timestamp in ms, or null.
+ */
+function getCacheExpiry(job) {
+    const provider = getProvider(job.type);
+    const ttl = provider && provider.cacheTtl ? provider.cacheTtl(job.videoId) : null;
+    return ttl ? Date.now() + ttl * 1000 : null;
 }
 
 /**
- * Downloads a video using yt-dlp with size limit for Telegram (50MB).
- * @param {string} url - The video URL (Instagram or YouTube).
- * @param {string} videoId - The video ID for the output filename (can include type prefix).
- * @returns {Promise<string>} The path to the downloaded video.
+ * Downloads a file over HTTP(S), following redirects.
+ * @param {string} url - The file URL.
+ * @param {string} outputPath - Where to save the file.
+ * @returns {Promise<string>} The path to the downloaded file.
  */
-function downloadVideo(url, videoId) {
+function downloadFile(url, outputPath, redirectsLeft = 5) {
     return new Promise((resolve, reject) => {
-        const tempDir = os.tmpdir();
-        // Replace ':' with '_' for filesystem compatibility
-        const safeVideoId = videoId.replace(/:/g, '_');
-        const outputPath = path.join(tempDir, `${safeVideoId}.mp4`);
-
-        // Limit video quality to fit within Telegram's 50MB limit
-        // Format selection: prefer 720p or lower, with filesize under 50MB
-        const command = `yt-dlp -f "best[height<=720][filesize<50M][ext=mp4]/best[height<=480][ext=mp4]/best[ext=mp4]" -o "${outputPath}" "${url}"`;
-
-        exec(command, { timeout: 60000 }, (error) => {
-            if (error) {
-                console.error('Download Error:', error);
-                return reject(error);
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.get(url, { timeout: 30000 }, (response) => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                if (redirectsLeft === 0) {
+                    return reject(new Error('Too many redirects'));
+                }
+                const nextUrl = new URL(response.headers.location, url).toString();
+                return downloadFile(nextUrl, outputPath, redirectsLeft - 1).then(resolve, reject);
             }
-            if (fs.existsSync(outputPath)) {
-                resolve(outputPath);
-            } else {
-                reject(new Error('Downloaded file not found.'));
+            if (response.statusCode !== 200) {
+                response.resume();
+                return reject(new Error(`HTTP ${response.statusCode} while downloading ${url}`));
             }
+
+            const file = fs.createWriteStream(outputPath);
+            response.pipe(file);
+            file.on('finish', () => file.close(() => resolve(outputPath)));
+            file.on('error', reject);
         });
+        request.on('timeout', () => request.destroy(new Error('Download timed out')));
+        request.on('error', reject);
     });
 }
 
 /**
- * Compresses a video to fit within Telegram's 50MB limit.
- * @param {string} videoPath - Path to the original video file.
- * @param {number} targetSizeMB - Target size in MB (default: 45MB for safety margin).
- * @returns {Promise<string>} Path to the compressed video.
+ * Sends photos/videos as a Telegram album. Albums hold 2-10 items, so longer posts
+ * are split into several albums and a single item is sent on its own. Audio is only sent on its own.
+ * @param {number} chatId - Target chat.
+ * @param {Array<{type: 'photo'|'video'|'audio', media: string|fs.ReadStream, caption?: string}>} items - file_ids or
+ *   streams, with an optional caption of their own.
+ * @param {string|null} caption - Caption for the first item, Telegram HTML.
+ * @param {object} sendOptions - Extra Telegram options (reply_to_message_id, ...).
+ * @returns {Promise<Array<{type: 'photo'|'video'|'audio', fileId: string, messageId: number, index: number}>>} Sent
+ *   items in order. A message without media is left out, `index` is the position of the item in `items`.
  */
-function compressVideo(videoPath, targetSizeMB = 45) {
-    return new Promise((resolve, reject) => {
-        const compressedPath = videoPath.replace('.mp4', '_compressed.mp4');
-
-        // First, get video duration and current bitrate
-        const getDurationCmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`;
+async function sendMediaItems(chatId, items, caption, sendOptions = {}) {
+    const sent = [];
+
+    for (let start = 0; start < items.length; start += 10) {
+        const chunk = items.slice(start, start + 10);
+        const itemCaption = (i) => (start + i === 0 && caption ? caption : chunk[i].caption);
+        let messages;
+
+        if (chunk.length === 1) {
+            const { type, media } = chunk[0];
+            const options = { ...sendOptions, caption: itemCaption(0), parse_mode: 'HTML' };
+            const send = { photo: bot.sendPhoto, audio: bot.sendAudio }[type] || bot.sendVideo;
+            const message = await send.call(bot, chatId, media, options);
+            messages = [message];
+        } else {
+            messages = await bot.sendMediaGroup(chatId, chunk.map(({ type, media }, i) => ({
+                type,
+                media,
+                caption: itemCaption(i),
+                parse_mode: 'HTML'
+            })), sendOptions);
+        }
 
-        exec(getDurationCmd, { timeout: 10000 }, (error, stdout) => {
-            if (error) {
-                console.error('Duration Detection Error:', error);
-                return reject(error);
+        messages.forEach((message, i) => {
+            const media = getMessageMedia(message);
+            if (media) {
+                sent.push({ ...media, messageId: message.message_id, index: start + i });
             }
+        });
+    }
 
-            const duration = parseFloat(stdout.trim());
-            if (!duration || duration <= 0) {
-                return reject(new Error('Invalid video duration'));
-            }
+    return sent;
+}
 
-            // Calculate target bitrate: (target size in bits) / duration
-            // Formula: (targetSizeMB * 8 * 1024 * 1024) / duration - audio bitrate
-            const audioBitrate = 128; // 128k for audio
-            const targetTotalBitrate = (targetSizeMB * 8 * 1024) / duration; // in kbps
-            const targetVideoBitrate = Math.floor(targetTotalBitrate - audioBitrate);
+// --- Bot Logic ---
 
-            if (targetVideoBitrate < 100) {
-                return reject(new Error('Video too long to compress to 50MB'));
-            }
+/**
+ * A delivery describes where and how a video is sent:
+ * {chatId, messageId, settings, language, sharedBy, deleteMessage, sourceDeleted, status, signal}.
+ * Message links are delivered with the chat settings, inline uploads with the defaults.
+ * `language` is the language of the bot's messages (see getLanguage), `sourceDeleted` means
+ * another delivery deletes the link message (playlists), `status` is the job's live status
+ * message and `signal` aborts when the user cancels.
+ */
 
-            console.log(`Compressing video: duration=${duration.toFixed(1)}s, target video bitrate=${targetVideoBitrate}k`);
+// Running jobs that can be cancelled: job id -> {controller, userId}
+const activeJobs = new Map();
+// Videos being downloaded: cache key -> Promise resolved when that job finishes (single-flight)
+const downloadsInFlight = new Map();
+// Telegram allows about one message edit per second per chat
+const STATUS_UPDATE_INTERVAL_MS = 3000;
 
-            // Compress with calculated bitrate, using fast preset for speed
-            const compressCmd = `ffmpeg -i "${videoPath}" -c:v libx264 -preset fast -b:v ${targetVideoBitrate}k -c:a aac -b:a ${audioBitrate}k -movflags +faststart "${compressedPath}"`;
+/**
+ * Creates the live status message of a job ("⏳ Downloading 43%…") with a Cancel button.
+ * The message is sent on the first update and deleted when the job finishes.
+ * Inline uploads go to a storage chat, so they get no status message.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - The job's delivery.
+ * @returns {{update: function(string, number=): void, close: function(string=): Promise<void>}}
+ */
+function createStatusMessage(job, delivery) {
+    if (!delivery.messageId) {
+        return { update() {}, async close() {} };
+    }
 
-            exec(compressCmd, { timeout: 120000 }, (error) => {
-                if (error) {
-                    console.error('Compression Error:', error);
-                    return reject(error);
-                }
+    const { chatId, language } = delivery;
+    let messageId = null;
+    let lastStage = null;
+    let lastText = null;
+    let lastUpdate = 0;
+    let closed = false;
+    // Updates are applied one by one, so the message is sent only once
+    let pending = Promise.resolve();
+
+    async function show(text, cancellable) {
+        if (text === lastText) return;
+        lastText = text;
+        const reply_markup = {
+            inline_keyboard: cancellable ? [[{ text: t(language, 'status.cancel'), callback_data: `cancel:${job.id}` }]] : []
+        };
+        try {
+            if (messageId) {
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup });
+            } else {
+                const message = await bot.sendMessage(chatId, text, {
+                    ...getSendOptions(delivery),
+                    reply_markup,
+                    disable_notification: true
+                });
+                messageId = message.message_id;
+            }
+        } catch (error) {
+            logger.error('Failed to update status message', { error });
+        }
+    }
 
-                if (fs.existsSync(compressedPath)) {
-                    const stats = fs.statSync(compressedPath);
-                    const compressedSizeMB = stats.size / (1024 * 1024);
-                    console.log(`✅ Video compressed: ${compressedSizeMB.toFixed(2)}MB`);
-                    resolve(compressedPath);
+    return {
+        /**
+         * @param {string} stage - download, compress, split or upload.
+         * @param {number} [percent] - Progress of the stage.
+         */
+        update(stage, percent) {
+            if (closed) return;
+            // Percentages change many times a second; a new stage is shown right away
+            if (stage === lastStage && Date.now() - lastUpdate < STATUS_UPDATE_INTERVAL_MS) return;
+            lastStage = stage;
+            lastUpdate = Date.now();
+
+            const text = `⏳ ${t(language, `status.${stage}`)}${percent !== undefined ? ` ${Math.floor(percent)}%` : ''}…`;
+            // The upload can't be stopped once it started
+            pending = pending.then(() => show(text, stage !== 'upload'));
+        },
+
+        /**
+         * Deletes the message, or replaces it with a final text.
+         * @param {string} [text] - Final text.
+         */
+        async close(text) {
+            if (closed) return;
+            closed = true;
+            await pending;
+            if (!messageId) return;
+            try {
+                if (text) {
+                    await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: [] } });
                 } else {
-                    reject(new Error('Compressed file not found'));
+                    await bot.deleteMessage(chatId, messageId);
                 }
-            });
-        });
-    });
+            } catch (error) {
+                logger.error('Failed to close status message', { error });
+            }
+        }
+    };
 }
 
 /**
- * Extracts a frame from the middle of a video file.
- * @param {string} videoPath - Path to the video file.
- * @returns {Promise<string>} Path to the extracted frame.
+ * Language of the bot's messages in a chat: the chat's /language setting,
+ * otherwise the Telegram language of the user.
+ * @param {object} settings - Chat settings.
+ * @param {object} [from] - Telegram user the message is for.
+ * @returns {string}
  */
-function extractFirstFrame(videoPath) {
-    return new Promise((resolve, reject) => {
-        const framePath = videoPath.replace('.mp4', '_frame.jpg');
-
-        // First, get video duration
-        const getDurationCmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`;
-
-        exec(getDurationCmd, { timeout: 10000 }, (error, stdout) => {
-            if (error) {
-                console.error('Duration Detection Error:', error);
-                // Fallback to 3 seconds if duration detection fails
-                extractFrameAtTime(videoPath, framePath, 3, resolve, reject);
-                return;
-            }
+function getLanguage(settings, from) {
+    return resolveLanguage(settings.language, from && from.language_code);
+}
 
-            const duration = parseFloat(stdout.trim());
-            const middleTime = duration / 2;
+/**
+ * getLanguage for a chat whose settings aren't loaded yet.
+ */
+async function getChatLanguage(chat, from) {
+    return getLanguage(await getChatSettings(chat.id), from);
+}
 
-            console.log(`Video duration: ${duration.toFixed(1)}s, extracting frame at: ${middleTime.toFixed(1)}s`);
-            extractFrameAtTime(videoPath, framePath, middleTime, resolve, reject);
-        });
+/**
+ * Caption template of chats without their own: CAPTION_TEMPLATE, or the built-in one.
+ */
+function getDefaultTemplate(language) {
+    return CAPTION_TEMPLATE || buildDefaultTemplate({
+        source: t(language, 'template.source'),
+        preview: t(language, 'template.preview')
     });
 }
 
 /**
- * Helper function to extract frame at specific time.
- * Resizes to max 1024px on longest side, preserving aspect ratio.
+ * Telegram send options: reply to the link message, or a plain post in repost mode.
  */
-function extractFrameAtTime(videoPath, framePath, timeInSeconds, resolve, reject) {
-    // Extract frame with resizing: max 1024px on longest side, keep aspect ratio
-    // scale=-2:1024 if height>width, scale=1024:-2 if width>height
-    // -2 maintains divisibility by 2 (required by some codecs)
-    const command = `ffmpeg -ss ${timeInSeconds} -i "${videoPath}" -vframes 1 -vf "scale='if(gt(iw,ih),1024,-2)':'if(gt(iw,ih),-2,1024)'" -q:v 5 "${framePath}"`;
+function getSendOptions(delivery) {
+    if (delivery.settings.replyMode === 'repost' || !delivery.messageId) {
+        return {};
+    }
+    return { reply_to_message_id: delivery.messageId, allow_sending_without_reply: true };
+}
 
-    exec(command, { timeout: 10000 }, (error) => {
-        if (error) {
-            console.error('Frame Extraction Error:', error);
-            return reject(error);
-        }
-        if (fs.existsSync(framePath)) {
-            const stats = fs.statSync(framePath);
-            console.log(`Frame extracted and compressed: ${(stats.size / 1024).toFixed(1)} KB`);
-            resolve(framePath);
-        } else {
-            reject(new Error('Extracted frame not found.'));
-        }
+/**
+ * Builds the caption from the chat's template (Telegram HTML): AI caption, original post
+ * metadata when enabled, who shared the link in repost mode, and the source link.
+ * @param {object} delivery - The delivery.
+ * @param {object} parts - AI caption and post metadata, see getPostInfo.
+ * @returns {string|undefined} Caption, at most 1024 visible characters (Telegram limit).
+ */
+function buildCaption(delivery, parts) {
+    const { settings } = delivery;
+    const post = settings.originalCaption ? parts : {};
+
+    return renderCaption(settings.captionTemplate || getDefaultTemplate(delivery.language), {
+        ai: settings.aiCaptions ? parts.aiCaption : null,
+        author: post.author,
+        description: post.postText,
+        title: post.title,
+        likes: formatCount(post.likeCount),
+        views: formatCount(post.viewCount),
+        music: post.music,
+        date: formatDate(post.uploadDate),
+        url: parts.sourceUrl || delivery.sourceUrl,
+        platform: delivery.platform,
+        sharedBy: delivery.deleteMessage || delivery.sourceDeleted ? delivery.sharedBy : null,
+        preview: settings.previewLink === 'caption' ? delivery.previewUrl : null
     });
 }
 
 /**
- * Generates a short caption (2-3 words) using Gemini Vision.
- * @param {string} imagePath - Path to the image file.
- * @returns {Promise<string>} Generated caption.
+ * Link to the web server's preview page of a post, which unfurls in any messenger.
+ * @param {object} provider - The post's provider.
+ * @param {string} videoId - The video ID.
+ * @returns {string|null} The URL, or null without PUBLIC_URL or for items without a page (stories, playlists).
  */
-async function generateCaption(imagePath) {
-    if (!geminiAvailable) {
-        return null;
-    }
+function getPreviewUrl(provider, videoId) {
+    const previewPath = PUBLIC_URL ? getPreviewPath(provider, videoId) : null;
+    return previewPath ? `${PUBLIC_URL}${previewPath}` : null;
+}
 
+/**
+ * Finishes a delivery: the link request is recorded as sent (see /stats),
+ * and in repost mode the original link message is deleted.
+ * @param {object} delivery - The delivery.
+ * @param {'cache'|'download'|'preview'|null} [source='download'] - How the link was served,
+ *   null for playlists, whose videos are requests of their own.
+ */
+async function completeDelivery(delivery, source = 'download') {
+    if (delivery.requestId) {
+        await finishRequest(delivery.requestId, { status: 'done', source });
+    }
+    if (!delivery.deleteMessage || !delivery.messageId) return;
     try {
-        const imageBuffer = fs.readFileSync(imagePath);
-        const base64Image = imageBuffer.toString('base64');
-
-        const result = await geminiModel.generateContent([
-            "Опиши кадр видео максимум 3 словами на русском. Только слова, без точек и лишнего:",
-            {
-                inlineData: {
-                    data: base64Image,
-                    mimeType: "image/jpeg"
-                }
-            }
-        ]);
-
-        const caption = result.response.text().trim();
-        // Remove punctuation and take first 3 words max
-        const cleaned = caption.replace(/[.,!?;:"'«»]/g, '').trim();
-        const words = cleaned.split(/\s+/).slice(0, 3);
-        return words.join(' ');
+        await bot.deleteMessage(delivery.chatId, delivery.messageId);
     } catch (error) {
-        console.error('Caption Generation Error:', error.message);
-        return null;
+        // The bot may lack the permission, or another link of the message already deleted it
+        logger.error('Failed to delete original message', { error });
     }
 }
 
 /**
- * Finds Instagram links in a given text.
- * @param {string} text - The text to search.
- * @returns {string[]} An array of found Instagram links.
+ * Send options of an upload to the archive channel: the caption names the cache entry,
+ * so the channel can be searched by link.
  */
-function findInstagramLinks(text) {
-    const instagramRegex = /https?:\/\/(?:www\.)?instagram\.com\/(?:p|reel)\/[^\/\s]+/g;
-    return text.match(instagramRegex) || [];
+function getArchiveOptions(job) {
+    return {
+        caption: escapeHtml(`${job.cacheKey}\n${job.url}`),
+        parse_mode: 'HTML',
+        disable_notification: true
+    };
 }
 
 /**
- * Finds YouTube links in a given text.
- * Supports: youtube.com/watch?v=ID, youtu.be/ID, youtube.com/shorts/ID
- * @param {string} text - The text to search.
- * @returns {string[]} An array of found YouTube links.
+ * Uploads album items (or video parts). With an archive channel they are uploaded there
+ * and sent to the chat by file_id, since copyMessage can't group messages into an album.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - Where and how to send the items.
+ * @param {Array<{type: string, media: fs.ReadStream, caption?: string}>} items - Files in order.
+ * @param {string|undefined} caption - Caption of the first item.
+ * @returns {Promise<Array<{type: string, fileId: string, archiveMessageId: number|null}>>} Items to cache.
  */
-function findYoutubeLinks(text) {
-    const youtubeRegex = /https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/)[^\s]+/g;
-    return text.match(youtubeRegex) || [];
+async function uploadMediaItems(job, delivery, items, caption) {
+    if (!ARCHIVE_CHAT_ID) {
+        const sent = await sendMediaItems(delivery.chatId, items, caption, getSendOptions(delivery));
+        return sent.map(({ type, fileId }) => ({ type, fileId, archiveMessageId: null }));
+    }
+
+    const { caption: archiveCaption, ...archiveOptions } = getArchiveOptions(job);
+    const archived = await sendMediaItems(ARCHIVE_CHAT_ID, items.map(({ type, media }) => ({ type, media })), archiveCaption, archiveOptions);
+    // Each item keeps its own caption even if an archived message had no media and was left out
+    await sendMediaItems(delivery.chatId, archived.map(({ type, fileId, index }) => ({
+        type,
+        media: fileId,
+        caption: items[index].caption
+    })), caption, getSendOptions(delivery));
+    return archived.map(({ type, fileId, messageId }) => ({ type, fileId, archiveMessageId: messageId }));
 }
 
 /**
- * Finds all supported video links (Instagram + YouTube) in a given text.
- * @param {string} text - The text to search.
- * @returns {Array<{url: string, type: 'instagram'|'youtube', videoId: string}>} An array of found links with metadata.
+ * Downloads every item of a multi-media post (carousel or photo post)
+ * and sends them as one album.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - Where and how to send the album.
+ * @param {object} provider - The job's provider.
+ * @param {object} info - yt-dlp metadata of the post.
  */
-function findVideoLinks(text) {
-    const links = [];
+async function processAlbumJob(job, delivery, provider, info) {
+    const { chatId, videoId, cacheKey } = job;
+    const { settings, status, signal } = delivery;
+    const url = provider.buildUrl(videoId);
+    const mediaItems = getMediaItems(info);
+    const postInfo = getPostInfo(info);
+    const tempFiles = [];
 
-    // Find Instagram links
-    const instagramLinks = findInstagramLinks(text);
-    for (const url of instagramLinks) {
-        const videoId = extractReelId(url);
-        if (videoId) {
-            links.push({ url, type: 'instagram', videoId });
+    try {
+        await bot.sendChatAction(chatId, 'upload_photo');
+
+        const files = [];
+        for (const item of mediaItems) {
+            const itemKey = `${cacheKey}_${item.index}`;
+            if (item.type === 'video') {
+                const downloadOptions = {
+                    ...provider.downloadOptions,
+                    maxHeight: settings.maxHeight,
+                    maxFileMB: TELEGRAM_FILE_LIMIT_MB,
+                    playlistItem: item.index,
+                    outputDir: delivery.tempDir
+                };
+                const videoPath = await timeStage('download', () => downloadVideo(url, itemKey, downloadOptions, {
+                    onProgress: (percent) => status.update('download', percent),
+                    signal
+                }), { provider: provider.name });
+                tempFiles.push(videoPath);
+                const fitted = await timeStage('compress', () => fitVideo(videoPath, {
+                    limitBytes: TELEGRAM_FILE_LIMIT_BYTES,
+                    url,
+                    videoId: itemKey,
+                    downloadOptions
+                }, { onProgress: status.update, signal }), { provider: provider.name });
+                tempFiles.push(...fitted.tempFiles);
+                files.push(...fitted.paths.map((partPath) => ({ type: 'video', path: partPath })));
+            } else {
+                if (!item.imageUrl) {
+                    throw new Error(`No image URL for item ${item.index}`);
+                }
+                const photoPath = path.join(delivery.tempDir, `${itemKey.replace(/:/g, '_')}.jpg`);
+                await timeStage('download', () => downloadFile(item.imageUrl, photoPath), { provider: provider.name });
+                tempFiles.push(photoPath);
+                files.push({ type: 'photo', path: photoPath });
+            }
+        }
+        logger.info('Album downloaded', { items: files.map((f) => f.type) });
+
+        // Caption is generated from the first item before sending, since albums are sent at once
+        let aiCaption = null;
+        if (captioner && captioner.available && settings.aiCaptions) {
+            try {
+                aiCaption = await timeStage('caption', () => (files[0].type === 'video'
+                    ? captioner.describeVideo(files[0].path, { postInfo, settings, signal })
+                    : captioner.generate({ imagePaths: captioner.usesImages ? [files[0].path] : [], postInfo, settings })
+                ), { provider: provider.name });
+            } catch (error) {
+                logger.error('Failed to generate caption', { error });
+            }
         }
-    }
 
-    // Find YouTube links
-    const youtubeLinks = findYoutubeLinks(text);
-    for (const url of youtubeLinks) {
-        const videoId = extractYoutubeId(url);
-        if (videoId) {
-            links.push({ url, type: 'youtube', videoId });
+        signal.throwIfAborted();
+        status.update('upload');
+        const sent = await timeStage('upload', () => uploadMediaItems(job, delivery, files.map((file) => ({
+            type: file.type,
+            media: fs.createReadStream(file.path)
+        })), buildCaption(delivery, { aiCaption, ...postInfo })), { provider: provider.name });
+
+        if (sent.length > 0) {
+            await cacheMediaGroup(cacheKey, sent, aiCaption, { expiresAt: getCacheExpiry(job), archiveChatId: ARCHIVE_CHAT_ID });
+            await updatePostInfo(cacheKey, postInfo);
+        }
+        await completeDelivery(delivery);
+    } finally {
+        for (const file of tempFiles) {
+            fs.unlink(file, (err) => {
+                if (err && err.code !== 'ENOENT') logger.error('File cleanup error', { file, error: err });
+            });
         }
     }
-
-    return links;
 }
 
-// --- Bot Logic ---
-
 /**
- * Main message handler.
+ * Downloads, compresses, captions and uploads one video. Runs inside the job queue;
+ * throwing makes the queue retry the job. options.mode is "audio" for the audio track only,
+ * or "clip" for the first minutes of a video over the chat's length limit.
+ * @param {{id: number, chatId: number, messageId: number, url: string, type: string, videoId: string, cacheKey: string,
+ *   options: {settings?: object, sharedBy?: string, deleteMessage?: boolean, sourceDeleted?: boolean, userId?: number,
+ *   mode?: string}}} job
  */
-bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const text = msg.text || '';
+async function processJob(job) {
+    const { chatId, messageId, type, videoId, cacheKey } = job;
+    const provider = getProvider(type);
+    if (!provider) {
+        throw new PermanentJobError(`Unknown provider: ${type}`);
+    }
 
-    const videoLinks = findVideoLinks(text);
-    if (videoLinks.length === 0) return;
+    // Settings and language are snapshotted when the job is queued; inline uploads use the defaults.
+    // AI captions without a language of their own are written in the chat's language
+    const language = resolveLanguage(job.options.language);
+    const settings = { ...DEFAULT_SETTINGS, ...job.options.settings };
+    const delivery = {
+        chatId,
+        messageId,
+        settings: { ...settings, captionLanguage: settings.captionLanguage || language },
+        language,
+        sharedBy: job.options.sharedBy || null,
+        deleteMessage: Boolean(job.options.deleteMessage),
+        sourceDeleted: Boolean(job.options.sourceDeleted),
+        sourceUrl: job.url,
+        previewUrl: getPreviewUrl(provider, videoId),
+        platform: provider.title,
+        requestId: job.options.requestId || null
+    };
+
+    if (provider.isPlaylist && provider.isPlaylist(videoId)) {
+        throttlePlatform(provider);
+        await queuePlaylist(job, delivery, provider);
+        return;
+    }
 
-    for (const { url, type, videoId } of videoLinks) {
-        try {
-            await bot.sendChatAction(chatId, 'typing');
+    // The video may have been cached by another job while this one was waiting, or another job
+    // may be downloading it right now (the same link posted in several chats): then this job waits
+    // for it and sends its file_id. If that job fails, or Telegram rejects the cached file_id,
+    // this one downloads the video itself.
+    let cached = await getCachedFileId(cacheKey);
+    while (cached || downloadsInFlight.has(cacheKey)) {
+        if (!cached) {
+            logger.info('Waiting for another job downloading the same video');
+            await downloadsInFlight.get(cacheKey);
+        } else if (await sendCachedVideo(delivery, cacheKey, cached)) {
+            logger.info('Sent from cache');
+            return;
+        }
+        cached = await getCachedFileId(cacheKey);
+    }
+    throttlePlatform(provider);
 
-            // Create unique cache key with type prefix
-            const cacheKey = `${type}:${videoId}`;
+    // Registered with no await since the check above, so only one job downloads each video
+    let finishDownload;
+    downloadsInFlight.set(cacheKey, new Promise((resolve) => {
+        finishDownload = resolve;
+    }));
 
-            // 1. Check cache
-            const cached = await getCachedFileId(cacheKey);
-            if (cached) {
-                await bot.sendChatAction(chatId, 'upload_video');
-                await bot.sendVideo(chatId, cached.fileId, {
-                    caption: cached.caption || undefined,
-                    reply_to_message_id: msg.message_id
-                });
-                console.log(`Sent from cache [${type}]: ${videoId}${cached.caption ? ` (caption: "${cached.caption}")` : ''}`);
-                continue; // Move to the next link
-            }
+    const controller = new AbortController();
+    activeJobs.set(job.id, { controller, userId: job.options.userId || null });
+    delivery.signal = controller.signal;
+    delivery.status = createStatusMessage(job, delivery);
 
-            // 2. Download if not in cache
-            if (!ytDlpAvailable) {
-                await bot.sendMessage(chatId, '⚠️ yt-dlp is not available. Cannot download video.');
-                continue;
+    try {
+        // Every file of the job goes to its own directory, so jobs never share a path
+        delivery.tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `pinsta-job${job.id}-`));
+        if (job.options.mode === 'audio') {
+            await downloadAndSendAudio(job, delivery, provider);
+        } else {
+            await downloadAndSend(job, delivery, provider);
+        }
+    } catch (error) {
+        if (error instanceof JobCancelledError) {
+            await delivery.status.close(t(delivery.language, 'status.cancelled'));
+            if (delivery.requestId) {
+                await finishRequest(delivery.requestId, { status: 'cancelled' });
             }
+        }
+        throw error;
+    } finally {
+        downloadsInFlight.delete(cacheKey);
+        finishDownload();
+        activeJobs.delete(job.id);
+        if (delivery.tempDir) {
+            fs.promises.rm(delivery.tempDir, { recursive: true, force: true })
+                .catch((error) => logger.error('Failed to remove job directory', { dir: delivery.tempDir, error }));
+        }
+        await delivery.status.close();
+    }
+}
+
+/**
+ * Takes a download token of the platform; without one the job is put back in the queue
+ * until the bucket refills, so a burst of links doesn't get the bot's IP banned.
+ * @param {object} provider - The job's provider.
+ */
+function throttlePlatform(provider) {
+    const wait = platformLimiter.take(provider.name);
+    if (wait > 0) {
+        throw new JobDeferredError(`${provider.title} rate limit reached`, wait);
+    }
+}
+
+/**
+ * The download part of processJob: metadata, album detection, download, size fitting and upload.
+ */
+async function downloadAndSend(job, delivery, provider) {
+    const { chatId, videoId, cacheKey } = job;
+    const { settings, status, signal } = delivery;
+
+    await bot.sendChatAction(chatId, 'typing');
+
+    const url = provider.buildUrl(videoId);
+    const useCaptioner = Boolean(captioner && captioner.available && settings.aiCaptions);
+
+    // Albums are detected from the metadata, so it is fetched before the download
+    const isAlbumCandidate = Boolean(provider.hasAlbums && provider.hasAlbums(job.url));
+    let info = null;
+    if (isAlbumCandidate) {
+        info = await fetchPostInfo(provider, videoId, signal);
+
+        // Carousels and photo posts are sent as an album
+        const mediaItems = getMediaItems(info);
+        if (mediaItems.length > 1 || (mediaItems.length === 1 && mediaItems[0].type === 'photo')) {
+            await processAlbumJob(job, delivery, provider, info);
+            return;
+        }
+    }
+
+    // Long videos are checked before downloading, and the chat chooses what to send instead
+    if (!info && provider.checkDuration && settings.maxDuration && !job.options.mode) {
+        info = await fetchPostInfo(provider, videoId, signal);
+        if (info.duration > settings.maxDuration * 60) {
+            await askLongVideoChoice(job, delivery, info);
+            return;
+        }
+    }
+
+    // Otherwise the post metadata is fetched alongside the download; the video is sent without it on failure
+    const infoPromise = info ? Promise.resolve(info) : fetchPostInfo(provider, videoId, signal).catch((error) => {
+        if (!signal.aborted) logger.warn('Failed to fetch post metadata', { error });
+        return null;
+    });
 
-            let videoPath = await downloadVideo(url, cacheKey);
-            let compressedPath = null;
-
-            // Check file size (Telegram limit is 50MB)
-            const stats = fs.statSync(videoPath);
-            const fileSizeMB = stats.size / (1024 * 1024);
-            console.log(`Downloaded video size: ${fileSizeMB.toFixed(2)} MB`);
-
-            if (fileSizeMB > 50) {
-                try {
-                    await bot.sendMessage(chatId, `⚙️ Видео слишком большое (${fileSizeMB.toFixed(1)}MB), сжимаю...`, {
-                        reply_to_message_id: msg.message_id
-                    });
-
-                    compressedPath = await compressVideo(videoPath);
-                    // Use compressed video instead
-                    videoPath = compressedPath;
-                } catch (compressError) {
-                    console.error('Failed to compress video:', compressError);
-                    await bot.sendMessage(chatId, `❌ Не удалось сжать видео (${fileSizeMB.toFixed(1)}MB). Слишком большой размер.`, {
-                        reply_to_message_id: msg.message_id
-                    });
-                    // Cleanup
-                    fs.unlink(videoPath, (err) => {
-                        if (err) console.error('File Cleanup Error:', err);
-                    });
-                    continue;
+    const downloadOptions = {
+        ...provider.downloadOptions,
+        maxHeight: settings.maxHeight,
+        maxFileMB: TELEGRAM_FILE_LIMIT_MB,
+        sectionEnd: job.options.mode === 'clip' ? settings.maxDuration * 60 : undefined,
+        outputDir: delivery.tempDir
+    };
+    status.update('download', 0);
+    const downloadedPath = await timeStage('download', () => downloadVideo(url, cacheKey, downloadOptions, {
+        onProgress: (percent) => status.update('download', percent),
+        signal
+    }), { provider: provider.name }).catch(async (error) => {
+        // Don't leave the metadata request running
+        await infoPromise;
+        throw error;
+    });
+    const tempFiles = [downloadedPath];
+    info = await infoPromise;
+    const postInfo = info ? getPostInfo(info) : {};
+
+    try {
+        // Check file size against Telegram's upload limit
+        const fileSizeMB = fs.statSync(downloadedPath).size / (1024 * 1024);
+        logger.info('Video downloaded', { sizeMB: Number(fileSizeMB.toFixed(2)) });
+
+        let paths = [downloadedPath];
+        if (fileSizeMB > TELEGRAM_FILE_LIMIT_MB) {
+            try {
+                logger.info('Video is over the upload limit, fitting', { limitMB: TELEGRAM_FILE_LIMIT_MB });
+                status.update('compress', 0);
+
+                const fitted = await timeStage('compress', () => fitVideo(downloadedPath, {
+                    limitBytes: TELEGRAM_FILE_LIMIT_BYTES,
+                    url,
+                    videoId: cacheKey,
+                    downloadOptions
+                }, { onProgress: status.update, signal }), { provider: provider.name });
+                tempFiles.push(...fitted.tempFiles);
+                paths = fitted.paths;
+            } catch (compressError) {
+                if (signal.aborted) throw compressError;
+                logger.error('Failed to compress video', { error: compressError });
+                await bot.sendMessage(chatId, t(delivery.language, 'error.compress', { size: fileSizeMB.toFixed(1) }), getSendOptions(delivery));
+                if (delivery.requestId) {
+                    await finishRequest(delivery.requestId, { status: 'failed' });
                 }
+                return;
             }
+        }
 
-            // 3. Generate caption and upload video in parallel
-            await bot.sendChatAction(chatId, 'upload_video');
-
-            let caption = null;
-            let framePath = null;
-
-            // Start both operations in parallel
-            const captionPromise = geminiAvailable ? (async () => {
-                try {
-                    framePath = await extractFirstFrame(videoPath);
-                    caption = await generateCaption(framePath);
-                    if (caption) {
-                        console.log(`Generated caption: "${caption}"`);
-                    }
-                    return caption;
-                } catch (error) {
-                    console.error('Failed to generate caption:', error.message);
-                    return null;
-                }
-            })() : Promise.resolve(null);
+        // Long videos that can't be compressed enough are sent as numbered parts
+        if (paths.length > 1) {
+            await sendVideoParts(job, delivery, provider, paths, postInfo);
+            return;
+        }
+        const videoPath = paths[0];
 
-            const uploadPromise = bot.sendVideo(chatId, fs.createReadStream(videoPath), {
-                reply_to_message_id: msg.message_id,
-                filename: `video.mp4`
-            });
+        // Generate caption and upload video in parallel
+        signal.throwIfAborted();
+        status.update('upload');
+        await bot.sendChatAction(chatId, 'upload_video');
 
-            // Wait for both to complete
-            const [generatedCaption, sentMessage] = await Promise.all([captionPromise, uploadPromise]);
-
-            // 4. If caption was generated, edit message to add it
-            if (generatedCaption && sentMessage.message_id) {
-                try {
-                    await bot.editMessageCaption(generatedCaption, {
-                        chat_id: chatId,
-                        message_id: sentMessage.message_id
-                    });
-                    caption = generatedCaption;
-                } catch (error) {
-                    console.error('Failed to edit caption:', error.message);
+        // Only set once the user sees the caption, it's what gets cached
+        let caption = null;
+
+        // Start both operations in parallel
+        const captionPromise = useCaptioner ? (async () => {
+            try {
+                const described = await timeStage('caption', () => captioner.describeVideo(videoPath, { postInfo, settings, signal }), {
+                    provider: provider.name
+                });
+                if (described) {
+                    logger.info('Caption generated', { caption: described });
                 }
+                return described;
+            } catch (error) {
+                logger.error('Failed to generate caption', { error });
+                return null;
             }
-
-            // 5. Cache with caption
+        })() : Promise.resolve(null);
+
+        // With an archive channel the video is uploaded there and copied to the chat once the caption is ready
+        const uploadPromise = timeStage('upload', () => bot.sendVideo(ARCHIVE_CHAT_ID || chatId, fs.createReadStream(videoPath), {
+            ...(ARCHIVE_CHAT_ID ? getArchiveOptions(job) : {
+                ...getSendOptions(delivery),
+                caption: buildCaption(delivery, postInfo),
+                parse_mode: 'HTML'
+            }),
+            filename: `video.mp4`
+        }), { provider: provider.name });
+
+        // Wait for both to complete
+        const [generatedCaption, sentMessage] = await Promise.all([captionPromise, uploadPromise]);
+
+        if (ARCHIVE_CHAT_ID) {
+            // Cached before copying: if the copy fails, the retry sends it from the cache
             if (sentMessage.video) {
-                await cacheFileId(cacheKey, sentMessage.video.file_id, caption);
-            }
-
-            // 6. Cleanup
-            fs.unlink(videoPath, (err) => {
-                if (err) console.error('File Cleanup Error:', err);
-            });
-            // Also cleanup original file if video was compressed
-            if (compressedPath) {
-                const originalPath = compressedPath.replace('_compressed.mp4', '.mp4');
-                if (originalPath !== videoPath && fs.existsSync(originalPath)) {
-                    fs.unlink(originalPath, (err) => {
-                        if (err) console.error('Original File Cleanup Error:', err);
-                    });
+                const { file_id: fileId, width, height, duration, file_size: fileSize } = sentMessage.video;
+                await cacheFileId(cacheKey, fileId, generatedCaption, {
+                    width, height, duration, fileSize,
+                    expiresAt: getCacheExpiry(job),
+                    archiveChatId: ARCHIVE_CHAT_ID,
+                    archiveMessageId: sentMessage.message_id
+                });
+                if (info) {
+                    await updatePostInfo(cacheKey, postInfo);
                 }
             }
-            if (framePath) {
-                fs.unlink(framePath, (err) => {
-                    if (err) console.error('Frame Cleanup Error:', err);
+            await bot.copyMessage(chatId, ARCHIVE_CHAT_ID, sentMessage.message_id, {
+                ...getSendOptions(delivery),
+                caption: buildCaption(delivery, { aiCaption: generatedCaption, ...postInfo }),
+                parse_mode: 'HTML'
+            });
+            await completeDelivery(delivery);
+            return;
+        }
+
+        // If caption was generated, edit message to add it
+        if (generatedCaption && sentMessage.message_id) {
+            try {
+                await bot.editMessageCaption(buildCaption(delivery, { aiCaption: generatedCaption, ...postInfo }), {
+                    chat_id: chatId,
+                    message_id: sentMessage.message_id,
+                    parse_mode: 'HTML'
                 });
+                caption = generatedCaption;
+            } catch (error) {
+                logger.error('Failed to edit caption', { error });
             }
+        }
 
-        } catch (error) {
-            console.error(`Failed to process link ${url}:`, error);
-            await bot.sendMessage(chatId, `❌ Error processing link: ${url}`);
+        // Cache with caption
+        if (sentMessage.video) {
+            const { file_id: fileId, width, height, duration, file_size: fileSize } = sentMessage.video;
+            await cacheFileId(cacheKey, fileId, caption, { width, height, duration, fileSize, expiresAt: getCacheExpiry(job) });
+            if (info) {
+                await updatePostInfo(cacheKey, postInfo);
+            }
+        }
+        await completeDelivery(delivery);
+    } finally {
+        for (const file of tempFiles) {
+            fs.unlink(file, (err) => {
+                if (err && err.code !== 'ENOENT') logger.error('File cleanup error', { file, error: err });
+            });
         }
     }
-});
+}
 
-// --- Bot Startup ---
+/**
+ * Formats seconds as H:MM:SS or M:SS.
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
 
 /**
- * Checks if yt-dlp is installed and available.
+ * Asks the chat what to do with a video over its length limit: audio only, the first
+ * minutes, or skip. The buttons ("long:<choice>:<job id>") queue a new job, see handleLongVideoCallback.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - The job's delivery.
+ * @param {object} info - yt-dlp metadata of the video.
  */
-async function checkYtDlp() {
-    return new Promise((resolve) => {
-        exec('yt-dlp --version', (error, stdout) => {
-            if (error) {
-                console.error('❌ yt-dlp not found. Please install it.');
-                resolve(false);
-            } else {
-                console.log(`✅ yt-dlp found, version: ${stdout.trim()}`);
-                resolve(true);
+async function askLongVideoChoice(job, delivery, info) {
+    const { settings, language } = delivery;
+    // Inline uploads have nobody to ask
+    if (!delivery.messageId) {
+        throw new PermanentJobError(`Video is longer than ${settings.maxDuration} min`);
+    }
+
+    const size = info.filesize || info.filesize_approx;
+    logger.info('Video over the length limit, asking the chat', { duration: info.duration, maxDuration: settings.maxDuration });
+    await bot.sendMessage(job.chatId, [
+        t(language, size ? 'long.question_size' : 'long.question', {
+            duration: formatDuration(info.duration),
+            size: size ? Math.round(size / 1024 / 1024) : null,
+            limit: settings.maxDuration
+        }),
+        t(language, 'long.ask')
+    ].join('\n'), {
+        ...getSendOptions(delivery),
+        reply_markup: {
+            inline_keyboard: [
+                [
+                    { text: t(language, 'long.audio'), callback_data: `long:audio:${job.id}` },
+                    { text: t(language, 'long.clip', { minutes: settings.maxDuration }), callback_data: `long:clip:${job.id}` }
+                ],
+                [{ text: t(language, 'long.skip'), callback_data: `long:skip:${job.id}` }]
+            ]
+        }
+    });
+}
+
+/**
+ * Queues the videos of a playlist as separate jobs, up to MAX_PLAYLIST_ITEMS.
+ * Each of them is cached and length-checked like a single link.
+ * @param {object} job - The playlist job.
+ * @param {object} delivery - The job's delivery.
+ * @param {object} provider - The job's provider.
+ */
+async function queuePlaylist(job, delivery, provider) {
+    if (!delivery.messageId) {
+        throw new PermanentJobError('Playlists are not supported in inline mode');
+    }
+
+    const playlist = await fetchPlaylist(provider.buildUrl(job.videoId), {
+        limit: MAX_PLAYLIST_ITEMS,
+        args: provider.downloadOptions.args,
+        authErrorPattern: provider.downloadOptions.authErrorPattern
+    });
+    if (playlist.entries.length === 0) {
+        throw new PermanentJobError('Playlist is empty or private');
+    }
+
+    // Flat playlist entries carry the plain video ID. A retry after a partial failure skips
+    // the videos an earlier attempt already queued
+    const entries = [];
+    for (const entry of playlist.entries) {
+        const cacheKey = getQualityCacheKey(buildCacheKey(provider, entry.id), delivery.settings);
+        if (await findJob({ chatId: job.chatId, messageId: job.messageId, cacheKey })) continue;
+        entries.push({ entry, cacheKey });
+    }
+
+    // Announced once, before the first video is queued
+    if (entries.length === playlist.entries.length) {
+        const { language } = delivery;
+        const total = playlist.count || playlist.entries.length;
+        await bot.sendMessage(job.chatId, [
+            `📃 ${playlist.title || t(language, 'playlist.title')}`,
+            total > playlist.entries.length
+                ? t(language, 'playlist.first', { count: playlist.entries.length, total })
+                : t(language, 'playlist.all', { count: playlist.entries.length })
+        ].join('\n'), getSendOptions(delivery));
+    }
+
+    for (const { entry, cacheKey } of entries) {
+        // Every video is a request of its own for /stats, recorded together with its job. The link
+        // message is deleted once, below, but the videos still name who shared it
+        await queue.enqueue({
+            chatId: job.chatId,
+            messageId: job.messageId,
+            url: provider.buildUrl(entry.id),
+            type: job.type,
+            videoId: entry.id,
+            cacheKey,
+            options: {
+                ...job.options,
+                deleteMessage: false,
+                sourceDeleted: Boolean(job.options.deleteMessage)
+            },
+            request: {
+                chatId: job.chatId,
+                userId: job.options.userId || null,
+                provider: job.type,
+                videoId: entry.id,
+                cacheKey
             }
         });
-    });
+    }
+    logger.info('Playlist queued', { count: playlist.entries.length });
+    await completeDelivery(delivery, null);
 }
 
+// Audio bitrate range for sendAudio, in kbps
+const AUDIO_MAX_BITRATE = 128;
+const AUDIO_MIN_BITRATE = 32;
+
 /**
- * Starts the bot.
+ * Downloads the audio track of a video and sends it with sendAudio. The bitrate is
+ * lowered for long videos so the file fits the upload limit. Cached as a one-item album.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - The job's delivery.
+ * @param {object} provider - The job's provider.
  */
-async function startBot() {
-    console.log('🤖 Starting Telegram bot...');
-    ytDlpAvailable = await checkYtDlp();
-    if (!ytDlpAvailable) {
-        console.log('⚠️ Running in fallback mode. Only cached videos will be sent.');
+async function downloadAndSendAudio(job, delivery, provider) {
+    const { chatId, videoId, cacheKey } = job;
+    const { status, signal } = delivery;
+
+    const info = await fetchPostInfo(provider, videoId, signal);
+    const postInfo = getPostInfo(info);
+    const bitrate = info.duration
+        ? Math.min(AUDIO_MAX_BITRATE, Math.floor((TELEGRAM_FILE_LIMIT_BYTES * 0.95 * 8) / 1000 / info.duration))
+        : AUDIO_MAX_BITRATE;
+    if (bitrate < AUDIO_MIN_BITRATE) {
+        throw new PermanentJobError(`Audio of ${formatDuration(info.duration)} doesn't fit ${TELEGRAM_FILE_LIMIT_MB}MB`);
+    }
+
+    status.update('download', 0);
+    const audioPath = await timeStage('download', () => downloadAudio(provider.buildUrl(videoId), cacheKey, {
+        bitrate,
+        args: provider.downloadOptions.args,
+        authErrorPattern: provider.downloadOptions.authErrorPattern,
+        outputDir: delivery.tempDir
+    }, {
+        onProgress: (percent) => status.update('download', percent),
+        signal
+    }), { provider: provider.name });
+
+    try {
+        signal.throwIfAborted();
+        status.update('upload');
+        await bot.sendChatAction(chatId, 'upload_voice');
+
+        const caption = buildCaption(delivery, postInfo);
+        const message = await timeStage('upload', () => bot.sendAudio(ARCHIVE_CHAT_ID || chatId, fs.createReadStream(audioPath), {
+            ...(ARCHIVE_CHAT_ID ? getArchiveOptions(job) : { ...getSendOptions(delivery), caption, parse_mode: 'HTML' }),
+            title: postInfo.title || undefined,
+            performer: postInfo.author || undefined,
+            duration: info.duration ? Math.round(info.duration) : undefined
+        }, { filename: 'audio.m4a', contentType: 'audio/mp4' }), { provider: provider.name });
+
+        if (message.audio) {
+            await cacheMediaGroup(cacheKey, [{
+                type: 'audio',
+                fileId: message.audio.file_id,
+                archiveMessageId: ARCHIVE_CHAT_ID ? message.message_id : null
+            }], null, {
+                expiresAt: getCacheExpiry(job),
+                archiveChatId: ARCHIVE_CHAT_ID
+            });
+            await updatePostInfo(cacheKey, postInfo);
+        }
+        if (ARCHIVE_CHAT_ID) {
+            await bot.copyMessage(chatId, ARCHIVE_CHAT_ID, message.message_id, {
+                ...getSendOptions(delivery),
+                caption,
+                parse_mode: 'HTML'
+            });
+        }
+        await completeDelivery(delivery);
+    } finally {
+        fs.unlink(audioPath, (err) => {
+            if (err && err.code !== 'ENOENT') logger.error('File cleanup error', { file: audioPath, error: err });
+        });
     }
-    console.log('💡 Bot is ready and listening for messages.');
 }
 
-startBot();
+/**
+ * Sends a video split into parts as an album; the caption goes on the first part,
+ * the others are numbered. The album is cached like a carousel.
+ * @param {object} job - The queue job.
+ * @param {object} delivery - Where and how to send the parts.
+ * @param {object} provider - The job's provider.
+ * @param {string[]} partPaths - Part files in order.
+ * @param {object} postInfo - Original post author and text.
+ */
+async function sendVideoParts(job, delivery, provider, partPaths, postInfo) {
+    const { chatId, cacheKey } = job;
+    const { settings, status, signal } = delivery;
+
+    await bot.sendChatAction(chatId, 'upload_video');
+
+    let aiCaption = null;
+    if (captioner && captioner.available && settings.aiCaptions) {
+        try {
+            aiCaption = await timeStage('caption', () => captioner.describeVideo(partPaths[0], { postInfo, settings, signal }), {
+                provider: provider.name
+            });
+        } catch (error) {
+            logger.error('Failed to generate caption', { error });
+        }
+    }
+
+    signal.throwIfAborted();
+    status.update('upload');
+
+    const sent = await timeStage('upload', () => uploadMediaItems(job, delivery, partPaths.map((partPath, i) => ({
+        type: 'video',
+        media: fs.createReadStream(partPath),
+        caption: `🎞 ${i + 1}/${partPaths.length}`
+    })), buildCaption(delivery, { aiCaption, ...postInfo })), { provider: provider.name });
+
+    if (sent.length > 0) {
+        await cacheMediaGroup(cacheKey, sent, aiCaption, { expiresAt: getCacheExpiry(job), archiveChatId: ARCHIVE_CHAT_ID });
+        if (postInfo.sourceUrl) {
+            await updatePostInfo(cacheKey, postInfo);
+        }
+    }
+    await completeDelivery(delivery);
+}
+
+const staleFileIds = counter('pinsta_stale_file_ids_total', 'Cached file_ids rejected by Telegram');
+
+const ARCHIVE_MESSAGE_MISSING_PATTERN = /message to (?:copy|forward) not found/i;
+
+/**
+ * Whether Telegram rejected a cached file: the file_id belongs to another bot (the token changed),
+ * the file is gone, or its message was deleted from the archive channel.
+ * @param {Error} error - Error of a Bot API call.
+ * @returns {boolean}
+ */
+function isStaleFileIdError(error) {
+    const response = error && error.response;
+    const statusCode = response && (response.statusCode || (response.body && response.body.error_code));
+    return statusCode === 400 && (
+        /wrong (?:remote )?file (?:identifier|id)|file_id|FILE_REFERENCE|MEDIA_EMPTY/i.test(error.message) ||
+        ARCHIVE_MESSAGE_MISSING_PATTERN.test(error.message)
+    );
+}
+
+/**
+ * Drops a cache entry whose file_id Telegram no longer accepts, so the video is downloaded again.
+ */
+async function dropStaleFileId(cacheKey, error) {
+    logger.warn('Cached file_id rejected by Telegram, downloading again', { cacheKey, reason: error.message });
+    staleFileIds.inc();
+    await invalidateFileId(cacheKey);
+}
+
+/**
+ * Handles a cached file Telegram rejected. Entries mirrored to the archive channel get
+ * the file_ids of their archived messages; other entries are dropped and downloaded again.
+ * @param {string} cacheKey - Cache key of the entry.
+ * @param {object} cached - The entry, see getCachedFileId.
+ * @param {Error} error - The rejection.
+ * @returns {Promise<object|null>} The refreshed entry, or null if it was dropped.
+ */
+async function recoverStaleEntry(cacheKey, cached, error) {
+    const messageIds = getArchivedMessageIds(cached);
+    if (messageIds && !ARCHIVE_MESSAGE_MISSING_PATTERN.test(error.message)) {
+        try {
+            await refreshFromArchive(bot, { cacheKey, archiveChatId: cached.archiveChatId, messageIds });
+            logger.warn('Cached file_id rejected by Telegram, refreshed from the archive channel', {
+                cacheKey,
+                reason: error.message
+            });
+            staleFileIds.inc();
+            return await getCachedFileId(cacheKey);
+        } catch (archiveError) {
+            logger.error('Failed to refresh file_ids from the archive channel', { cacheKey, error: archiveError });
+        }
+    }
+    await dropStaleFileId(cacheKey, error);
+    return null;
+}
+
+/**
+ * Sends a cache entry: albums by their file_ids, an archived video or audio as a copy
+ * of its archive message, anything else by its file_id.
+ */
+async function sendCachedEntry(delivery, cached, caption) {
+    const { chatId } = delivery;
+    if (cached.items) {
+        await bot.sendChatAction(chatId, 'upload_photo');
+        await sendMediaItems(chatId, cached.items.map((item) => ({
+            type: item.type,
+            media: item.fileId
+        })), caption, getSendOptions(delivery));
+    } else if (cached.archiveMessageId) {
+        await bot.sendChatAction(chatId, 'upload_video');
+        await bot.copyMessage(chatId, cached.archiveChatId, cached.archiveMessageId, {
+            ...getSendOptions(delivery),
+            caption,
+            parse_mode: 'HTML'
+        });
+    } else {
+        await bot.sendChatAction(chatId, 'upload_video');
+        await bot.sendVideo(chatId, cached.fileId, { ...getSendOptions(delivery), caption, parse_mode: 'HTML' });
+    }
+}
+
+/**
+ * Sends a cached video (or album).
+ * @returns {Promise<boolean>} false if the cached file is stale and couldn't be refreshed from
+ *   the archive channel: the cache entry is dropped and the caller downloads the video instead.
+ */
+async function sendCachedVideo(delivery, cacheKey, cached) {
+    const caption = buildCaption(delivery, { ...cached, aiCaption: cached.caption });
+
+    try {
+        await sendCachedEntry(delivery, cached, caption);
+    } catch (error) {
+        if (!isStaleFileIdError(error)) throw error;
+        const refreshed = await recoverStaleEntry(cacheKey, cached, error);
+        if (!refreshed) return false;
+        try {
+            await sendCachedEntry(delivery, refreshed, caption);
+        } catch (retryError) {
+            if (!isStaleFileIdError(retryError)) throw retryError;
+            await dropStaleFileId(cacheKey, retryError);
+            return false;
+        }
+    }
+    await completeDelivery(delivery, 'cache');
+    return true;
+}
 
-// --- Graceful Shutdown ---
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down bot...');
-    bot.stopPolling();
-    process.exit(0);
+const queue = createJobQueue({
+    handler: async (job) => {
+        await processJob(job);
+        await resolveInlinePlaceholders(job.cacheKey);
+    },
+    onDead: async (job, error) => {
+        const language = resolveLanguage(job.options.language);
+        await failInlinePlaceholders(job.cacheKey, job.url, language);
+        if (job.options.requestId) {
+            await finishRequest(job.options.requestId, { status: 'failed' });
+        }
+        if (error instanceof AuthRequiredError) {
+            const provider = getProvider(job.type);
+            const title = provider ? provider.title : job.type;
+            logger.warn('Login required, check the cookies (e.g. INSTAGRAM_COOKIES, INSTAGRAM_SESSIONID)', { url: job.url });
+            await bot.sendMessage(job.chatId, t(language, 'error.login_required', { platform: title, url: job.url }));
+            return;
+        }
+        await bot.sendMessage(job.chatId, t(language, 'error.link', { url: job.url }));
+    },
+    concurrency: QUEUE_CONCURRENCY,
+    maxAttempts: QUEUE_MAX_ATTEMPTS,
+    retryDelayMs: QUEUE_RETRY_DELAY_MS
 });
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Shutting down bot...');
-    bot.stopPolling();
-    process.exit(0);
-});
\ No newline at end of file
+
+/**
+ * Returns the display name of a message sender.
+ */
+function getSenderName(msg) {
+    if (msg.from) {
+        return msg.from.username ? `@${msg.from.username}` : [msg.from.first_name, msg.from.last_name].filter(Boolean).join(' ');
+    }
+    return msg.sender_chat ? msg.sender_chat.title : null;
+}
+
+/**
+ * Replies to a message, ignoring errors (the message may already be deleted).
+ */
+async function replyToMessage(msg, text) {
+    await bot.sendMessage(msg.chat.id, text, {
+        reply_to_message_id: msg.message_id,
+        allow_sending_without_reply: true
+    }).catch((error) => logger.error('Failed to reply', { error }));
+}
+
+/**
+ * Tells the user that their links are over the rate limit, once per limit window.
+ * @param {object} msg - The message with the links.
+ * @param {number} userId - The sender.
+ * @param {number} waitMs - Time until the next link is accepted.
+ * @param {string} language - Language of the reply.
+ */
+async function notifyRateLimited(msg, userId, waitMs, language) {
+    const now = Date.now();
+    for (const [id, expiresAt] of rateLimitNotices) {
+        if (expiresAt <= now) rateLimitNotices.delete(id);
+    }
+    logger.info('Links over the rate limit', { chatId: msg.chat.id, userId, waitMs });
+    if (rateLimitNotices.has(userId)) return;
+
+    rateLimitNotices.set(userId, now + waitMs);
+    await replyToMessage(msg, t(language, 'limit.rate', { seconds: retryAfterSeconds(waitMs) }));
+}
+
+const accessDenied = counter('pinsta_access_denied_total', 'Messages and chats refused by access control, by reason');
+
+/**
+ * The archive and inline storage chats are the bot's own, it never leaves them.
+ */
+function isServiceChat(chatId) {
+    return [ARCHIVE_CHAT_ID, INLINE_STORAGE_CHAT_ID].some((id) => id && String(id) === String(chatId));
+}
+
+/**
+ * Leaves a group or channel the bot may not serve (see access.js).
+ * @param {object} chat - Telegram chat.
+ * @param {object} [from] - The user whose message or action made the bot leave.
+ */
+async function leaveUnauthorizedChat(chat, from) {
+    accessDenied.inc({ reason: 'left_chat' });
+    logger.info('Leaving unauthorized chat', { chatId: chat.id, title: chat.title });
+    if (chat.type !== 'channel') {
+        const language = await getChatLanguage(chat, from);
+        await bot.sendMessage(chat.id, t(language, 'access.leaving')).catch(() => {});
+    }
+    await bot.leaveChat(chat.id).catch((error) => logger.error('Failed to leave chat', { chatId: chat.id, error }));
+}
+
+/**
+ * Whether the bot serves a user in a chat (see access.js). Links, commands and buttons are all
+ * checked, so refused users can't change settings either. A failed check refuses.
+ * @param {object} chat - Telegram chat.
+ * @param {object} [from] - The user, missing for messages sent on behalf of a chat.
+ * @returns {Promise<{allowed: boolean, reason?: 'unauthorized_chat'|'blocked_user'|'blocked_chat'|'private_mode'|'error'}>}
+ *   unauthorized_chat is a group or channel the bot should leave.
+ */
+async function getAccess(chat, from) {
+    const userId = from ? from.id : null;
+    try {
+        // The owner doesn't make the bot leave, so /allow works in a group that isn't allowed yet
+        if (!isServiceChat(chat.id) && !isOwner(userId) && !(await isChatAuthorized(chat))) {
+            return { allowed: false, reason: 'unauthorized_chat' };
+        }
+        return await checkAccess(chat, userId);
+    } catch (error) {
+        logger.error('Failed to check access', { chatId: chat.id, error });
+        return { allowed: false, reason: 'error' };
+    }
+}
+
+/**
+ * Main message handler. Cached videos are sent right away,
+ * everything else goes to the download queue.
+ */
+bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+    const text = msg.text || '';
+
+    // Messages posted through inline mode already contain the video
+    if (msg.via_bot) return;
+
+    // Access is checked before anything else, so refused chats cost no downloads or captions.
+    // Commands are checked again by their handlers, see commandHandler
+    const access = await getAccess(msg.chat, msg.from);
+    if (access.reason === 'unauthorized_chat') {
+        await leaveUnauthorizedChat(msg.chat, msg.from);
+        return;
+    }
+    // Without the access lists nothing is served, the error is logged by getAccess
+    if (access.reason === 'error') return;
+    if (!access.allowed) {
+        accessDenied.inc({ reason: access.reason });
+        // Only private chats are told, and only about links, so the bot doesn't answer every message
+        if (msg.chat.type === 'private' && findVideoLinks(text).length > 0) {
+            await replyToMessage(msg, t(await getChatLanguage(msg.chat, msg.from), 'access.private'));
+        }
+        return;
+    }
+
+    const settings = await getChatSettings(chatId);
+    const videoLinks = findVideoLinks(text).filter((link) => isPlatformEnabled(settings, link.type));
+    if (videoLinks.length === 0) return;
+    const language = getLanguage(settings, msg.from);
+
+    // Tokens are taken before anything is sent, so it is known up front which links are refused
+    const userId = msg.from ? msg.from.id : chatId;
+    const links = [];
+    let wait = 0;
+    for (const link of videoLinks.slice(0, settings.maxLinks)) {
+        wait = takeAll([[userLimiter, userId], [chatLimiter, chatId]]);
+        if (wait > 0) break;
+        links.push(link);
+    }
+
+    if (videoLinks.length > settings.maxLinks) {
+        await replyToMessage(msg, t(language, 'limit.links', {
+            count: settings.maxLinks,
+            skipped: videoLinks.length - settings.maxLinks
+        }));
+    }
+    if (wait > 0) {
+        await notifyRateLimited(msg, userId, wait, language);
+    }
+    if (links.length === 0) return;
+
+    // In repost mode the message is deleted only if it has nothing but links, and all of them are sent
+    const textWithoutLinks = videoLinks.reduce((rest, link) => rest.replace(link.url, ''), text);
+    const delivery = {
+        chatId,
+        messageId: msg.message_id,
+        settings,
+        language,
+        sharedBy: getSenderName(msg),
+        deleteMessage: settings.replyMode === 'repost' && textWithoutLinks.trim() === '' && links.length === videoLinks.length
+    };
+
+    for (const { url, type, videoId, cacheKey: baseCacheKey, provider } of links) {
+        const cacheKey = getQualityCacheKey(baseCacheKey, settings);
+        const previewUrl = getPreviewUrl(provider, videoId);
+        // Every link is recorded in the request history for /stats
+        const requestId = await recordRequest({ chatId, userId: msg.from ? msg.from.id : null, provider: type, videoId, cacheKey });
+        const linkDelivery = { ...delivery, sourceUrl: url, previewUrl, platform: provider.title, requestId };
+        try {
+            // The chat wants the preview page link instead of the video
+            if (previewUrl && settings.previewLink === 'only') {
+                const text = delivery.deleteMessage && delivery.sharedBy ? `👤 ${delivery.sharedBy}\n${previewUrl}` : previewUrl;
+                await bot.sendMessage(chatId, text, getSendOptions(delivery));
+                await completeDelivery(linkDelivery, 'preview');
+                logger.info('Sent preview link', { chatId, provider: type, videoId });
+                continue;
+            }
+
+            // 1. Check cache
+            const cached = await getCachedFileId(cacheKey);
+            if (cached && await sendCachedVideo(linkDelivery, cacheKey, cached)) {
+                logger.info('Sent from cache', { chatId, provider: type, videoId, caption: cached.caption });
+                continue; // Move to the next link
+            }
+
+            // 2. Queue download if not in cache or the cached file_id is stale
+            if (!ytDlpAvailable) {
+                await bot.sendMessage(chatId, t(language, 'error.no_yt_dlp'));
+                if (requestId) await finishRequest(requestId, { status: 'failed' });
+                continue;
+            }
+
+            const jobId = await queue.enqueue({
+                chatId,
+                messageId: msg.message_id,
+                url,
+                type,
+                videoId,
+                cacheKey,
+                options: {
+                    settings,
+                    language,
+                    sharedBy: delivery.sharedBy,
+                    deleteMessage: delivery.deleteMessage,
+                    userId: msg.from ? msg.from.id : null,
+                    requestId
+                }
+            });
+            logger.info('Job queued', { jobId, chatId, provider: type, videoId });
+        } catch (error) {
+            logger.error('Failed to process link', { chatId, url, error });
+            if (requestId) await finishRequest(requestId, { status: 'failed' });
+            await bot.sendMessage(chatId, t(language, 'error.link', { url }));
+        }
+    }
+});
+
+// --- Commands & Settings ---
+
+/**
+ * Checks whether a user may change chat settings: anyone in a private chat,
+ * admins (including anonymous admins posting as the chat) in groups.
+ */
+async function canChangeSettings(chat, from, senderChat) {
+    if (chat.type === 'private') return true;
+    if (senderChat && senderChat.id === chat.id) return true;
+    if (!from) return false;
+    try {
+        const member = await bot.getChatMember(chat.id, from.id);
+        return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+        logger.error('Failed to check chat admin', { error });
+        return false;
+    }
+}
+
+/**
+ * Wraps a command handler: commands of users and chats refused by access control are ignored
+ * (the message handler leaves unauthorized groups), and a failed Telegram or database call
+ * is logged instead of becoming an unhandled rejection.
+ * @param {string} command - Command name for logs.
+ * @param {function(object, Array): Promise} handler - The onText handler.
+ * @returns {function(object, Array): Promise}
+ */
+function commandHandler(command, handler) {
+    return async (msg, match) => {
+        try {
+            const access = await getAccess(msg.chat, msg.from);
+            if (!access.allowed) return;
+            await handler(msg, match);
+        } catch (error) {
+            logger.error('Command failed', { command, chatId: msg.chat.id, error });
+        }
+    };
+}
+
+/**
+ * /settings - shows the settings keyboard.
+ */
+bot.onText(/^\/settings(?:@\w+)?$/, commandHandler('settings', async (msg) => {
+    const settings = await getChatSettings(msg.chat.id);
+    const language = getLanguage(settings, msg.from);
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(msg.chat.id, t(language, 'settings.admins_only'), { reply_to_message_id: msg.message_id });
+    }
+    await bot.sendMessage(msg.chat.id, t(language, 'settings.title'), {
+        reply_markup: { inline_keyboard: buildSettingsKeyboard(settings, { previewLinks: Boolean(PUBLIC_URL), language }) }
+    });
+}));
+
+/**
+ * /language [en|ru|auto] - the language of the bot's messages in the chat;
+ * auto follows the Telegram language of each user.
+ */
+bot.onText(/^\/language(?:@\w+)?(?:\s+(\S+))?$/i, commandHandler('language', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const current = await getChatSettings(chatId);
+    const value = (match[1] || '').toLowerCase();
+    const describe = (settings) => {
+        const language = getLanguage(settings, msg.from);
+        return t(language, settings.language ? 'language.current' : 'language.current_auto', {
+            language: t(language, 'language.name')
+        });
+    };
+    const usage = t(getLanguage(current, msg.from), 'language.usage', { options: LANGUAGES.join('|') });
+
+    const language = value === 'auto' ? null : normalizeLanguage(value);
+    if (!value || (value !== 'auto' && !language)) {
+        return bot.sendMessage(chatId, `${describe(current)}\n${usage}`, replyOptions);
+    }
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(chatId, t(getLanguage(current, msg.from), 'settings.admins_only'), replyOptions);
+    }
+    const settings = await updateChatSettings(chatId, { language });
+    await bot.sendMessage(chatId, describe(settings), replyOptions);
+}));
+
+/**
+ * /captions [on|off] - toggles or sets AI captions.
+ * /captions lang <code> | words <n> | prompt <text|reset> | hashtags on|off - caption language,
+ * word limit, prompt and hashtags.
+ */
+bot.onText(/^\/captions(?:@\w+)?(?:\s+([\s\S]+))?$/i, commandHandler('captions', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const current = await getChatSettings(chatId);
+    const language = getLanguage(current, msg.from);
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(chatId, t(language, 'settings.admins_only'), replyOptions);
+    }
+    const [, option, value] = (match[1] || '').trim().match(/^(\S*)\s*([\s\S]*)$/);
+
+    let patch;
+    switch (option.toLowerCase()) {
+        case '':
+            patch = { aiCaptions: !current.aiCaptions };
+            break;
+        case 'on':
+        case 'off':
+            patch = { aiCaptions: option.toLowerCase() === 'on' };
+            break;
+        case 'lang':
+            patch = { captionLanguage: value.toLowerCase() === 'auto' ? null : value.toLowerCase() };
+            break;
+        case 'words':
+            patch = { captionMaxWords: parseInt(value, 10) };
+            break;
+        case 'prompt':
+            patch = { captionPrompt: !value || value.toLowerCase() === 'reset' ? null : value };
+            break;
+        case 'hashtags':
+            patch = { captionHashtags: value ? value.toLowerCase() === 'on' : !current.captionHashtags };
+            break;
+        default:
+            return bot.sendMessage(chatId, t(language, 'captions.usage'), replyOptions);
+    }
+
+    let settings;
+    try {
+        settings = await updateChatSettings(chatId, patch);
+    } catch (error) {
+        return bot.sendMessage(chatId, `❌ ${localizeError(language, error)}`, replyOptions);
+    }
+    const onOff = (enabled) => t(language, enabled ? 'common.on' : 'common.off');
+    await bot.sendMessage(chatId, [
+        t(language, 'captions.ai', { value: onOff(settings.aiCaptions) }),
+        t(language, 'captions.language', {
+            value: settings.captionLanguage || t(language, 'captions.language_auto', { language: t(language, 'language.name') })
+        }),
+        t(language, 'captions.words', { value: settings.captionMaxWords }),
+        t(language, 'captions.prompt', { value: settings.captionPrompt || t(language, 'captions.prompt_default') }),
+        t(language, 'captions.hashtags', { value: onOff(settings.captionHashtags) })
+    ].join('\n'), replyOptions);
+}));
+
+// Sample post used to preview caption templates
+const TEMPLATE_PREVIEW_POST = {
+    aiCaption: 'Cat plays piano',
+    author: 'catlover',
+    postText: 'Sunday concert 🎹 #cats',
+    title: 'Video by catlover',
+    likeCount: 12400,
+    viewCount: 310000,
+    music: 'Ludwig van Beethoven — Für Elise',
+    uploadDate: '20240512',
+    sourceUrl: 'https://www.instagram.com/reel/C6qXxTzN1aB/'
+};
+
+/**
+ * /template <html> | reset - sets the chat's caption template; without arguments shows the current one.
+ * The template is previewed with a sample post first, so one Telegram can't parse is never saved.
+ */
+bot.onText(/^\/template(?:@\w+)?(?:\s+([\s\S]+))?$/i, commandHandler('template', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const current = await getChatSettings(chatId);
+    const language = getLanguage(current, msg.from);
+    const value = (match[1] || '').trim();
+
+    if (!value) {
+        return bot.sendMessage(chatId, [
+            t(language, current.captionTemplate ? 'template.current' : 'template.current_default'),
+            '',
+            current.captionTemplate || getDefaultTemplate(language),
+            '',
+            t(language, 'template.usage')
+        ].join('\n'), replyOptions);
+    }
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(chatId, t(language, 'settings.admins_only'), replyOptions);
+    }
+
+    const captionTemplate = value.toLowerCase() === 'reset' ? null : value;
+    const preview = { ...current, captionTemplate, aiCaptions: true, originalCaption: true };
+    try {
+        await bot.sendMessage(chatId, buildCaption({
+            settings: preview,
+            language,
+            platform: 'Instagram',
+            previewUrl: getPreviewUrl(getProvider('instagram'), 'C6qXxTzN1aB')
+        }, TEMPLATE_PREVIEW_POST) || t(language, 'template.empty'), {
+            ...replyOptions,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        });
+        await updateChatSettings(chatId, { captionTemplate });
+    } catch (error) {
+        const reason = error.response && error.response.body ? error.response.body.description : localizeError(language, error);
+        return bot.sendMessage(chatId, `❌ ${reason}`, replyOptions);
+    }
+    await bot.sendMessage(chatId, t(language, 'template.saved'), replyOptions);
+}));
+
+/**
+ * /stats [all] [today|7d|YYYY-MM-DD|YYYY-MM-DD..YYYY-MM-DD] - usage statistics of the chat,
+ * or of every chat for the owner (see stats.js).
+ */
+bot.onText(/^\/stats(?:@\w+)?(?:\s+([\s\S]+))?$/i, commandHandler('stats', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const language = await getChatLanguage(msg.chat, msg.from);
+    const filter = parseStatsArgs(match[1] || '');
+
+    if (filter.error) {
+        const reason = t(language, filter.error.key, filter.error.params);
+        return bot.sendMessage(chatId, `❌ ${reason}\n${t(language, 'stats.usage')}`, replyOptions);
+    }
+    if (filter.all && !isOwner(msg.from && msg.from.id)) {
+        return bot.sendMessage(chatId, t(language, 'stats.owner_only'), replyOptions);
+    }
+
+    try {
+        const stats = await getRequestStats({
+            chatId: filter.all ? null : chatId,
+            since: filter.since,
+            until: filter.until
+        });
+        await bot.sendMessage(chatId, formatStats(stats, filter, language), {
+            ...replyOptions,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true
+        });
+    } catch (error) {
+        logger.error('Failed to build stats', { chatId, error });
+        await bot.sendMessage(chatId, t(language, 'stats.failed'), replyOptions);
+    }
+}));
+
+/**
+ * Describes an access list entry for command replies.
+ */
+function describeAccessSubject({ kind, id }, language) {
+    return t(language, `access.subject.${kind}`, { id });
+}
+
+/**
+ * /allow and /block (owner only):
+ *   /allow <id>           a user (positive ID) or a chat (negative ID)
+ *   /allow                in reply to a message: its sender; otherwise the current group
+ *   /allow list           the entries of the list
+ *   /allow remove <id>    removes the entry, the access mode decides again
+ * A blocked group is left.
+ * @param {object} msg - The command message.
+ * @param {'allow'|'block'} list - The list of the command.
+ * @param {string} args - Arguments after the command.
+ */
+async function handleAccessCommand(msg, list, args) {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const language = await getChatLanguage(msg.chat, msg.from);
+    if (!isOwner(msg.from && msg.from.id)) {
+        return bot.sendMessage(chatId, t(language, 'access.owner_only'), replyOptions);
+    }
+
+    const [action = '', value = ''] = args.trim().split(/\s+/);
+    const usage = t(language, 'access.usage', { list });
+    const describe = (subject) => describeAccessSubject(subject, language);
+
+    if (action.toLowerCase() === 'list') {
+        const entries = await listAccessRules(list);
+        return bot.sendMessage(chatId, entries.length > 0
+            ? [t(language, `access.list.${list}`), ...entries.map(describe)].join('\n')
+            : t(language, `access.empty.${list}`), replyOptions);
+    }
+    if (action.toLowerCase() === 'remove') {
+        const subject = parseAccessSubject(value);
+        if (!subject) {
+            return bot.sendMessage(chatId, usage, replyOptions);
+        }
+        const removed = await removeAccessRule(subject.kind, subject.id);
+        return bot.sendMessage(chatId, t(language, removed ? 'access.removed' : 'access.not_listed', {
+            subject: describe(subject)
+        }), replyOptions);
+    }
+
+    let subject = null;
+    if (action) {
+        subject = parseAccessSubject(action);
+    } else if (msg.reply_to_message && msg.reply_to_message.from) {
+        subject = { kind: 'user', id: msg.reply_to_message.from.id };
+    } else if (msg.chat.type !== 'private') {
+        subject = { kind: 'chat', id: chatId };
+    }
+    if (!subject) {
+        return bot.sendMessage(chatId, usage, replyOptions);
+    }
+
+    try {
+        await setAccessRule(subject.kind, subject.id, list, msg.from.id);
+    } catch (error) {
+        return bot.sendMessage(chatId, `❌ ${localizeError(language, error)}`, replyOptions);
+    }
+    await bot.sendMessage(chatId, t(language, list === 'allow' ? 'access.allowed' : 'access.blocked', {
+        subject: describe(subject)
+    }), replyOptions);
+
+    if (list === 'block' && subject.kind === 'chat' && subject.id === chatId) {
+        await leaveUnauthorizedChat(msg.chat, msg.from);
+    }
+}
+
+bot.onText(/^\/allow(?:@\w+)?(?:\s+(.+))?$/i, commandHandler('allow', (msg, match) => handleAccessCommand(msg, 'allow', match[1] || '')));
+bot.onText(/^\/block(?:@\w+)?(?:\s+(.+))?$/i, commandHandler('block', (msg, match) => handleAccessCommand(msg, 'block', match[1] || '')));
+
+/**
+ * /mode <private|public> - who may use the bot (owner only), see access.js.
+ */
+bot.onText(/^\/mode(?:@\w+)?(?:\s+(\S+))?$/i, commandHandler('mode', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const language = await getChatLanguage(msg.chat, msg.from);
+    if (!isOwner(msg.from && msg.from.id)) {
+        return bot.sendMessage(chatId, t(language, 'access.owner_only'), replyOptions);
+    }
+
+    const value = (match[1] || '').toLowerCase();
+    const usage = t(language, 'access.mode_usage');
+    if (!value) {
+        return bot.sendMessage(chatId, `${t(language, 'access.mode', { mode: await getAccessMode() })}\n${usage}`, replyOptions);
+    }
+    try {
+        await setAccessMode(value);
+    } catch (error) {
+        return bot.sendMessage(chatId, `❌ ${localizeError(language, error)}\n${usage}`, replyOptions);
+    }
+
+    const lines = [t(language, 'access.mode', { mode: value })];
+    if (value === 'private') {
+        // The group the owner switches the mode in is kept
+        if (msg.chat.type !== 'private' && !(await isChatAuthorized(msg.chat))) {
+            await setAccessRule('chat', chatId, 'allow', msg.from.id);
+            lines.push(t(language, 'access.chat_allowed'));
+        }
+        lines.push(t(language, 'access.private_notice'));
+    }
+    await bot.sendMessage(chatId, lines.join('\n'), replyOptions);
+}));
+
+/**
+ * The bot was added to or removed from a chat. Groups and channels it may not serve,
+ * or that a blocked user added it to, are left right away. A group the owner adds the bot to
+ * is allowed.
+ */
+bot.on('my_chat_member', async (update) => {
+    const { chat, from } = update;
+    const joined = ['member', 'administrator'].includes(update.new_chat_member.status) &&
+        ['left', 'kicked'].includes(update.old_chat_member.status);
+    if (!joined || chat.type === 'private' || isServiceChat(chat.id)) return;
+
+    try {
+        if (isOwner(from.id)) {
+            if (!(await isChatAuthorized(chat))) {
+                await setAccessRule('chat', chat.id, 'allow', from.id);
+            }
+            return;
+        }
+        const access = await checkAccess(chat, from.id);
+        if (access.reason === 'blocked_user' || !(await isChatAuthorized(chat))) {
+            await leaveUnauthorizedChat(chat, from);
+        }
+    } catch (error) {
+        logger.error('Failed to check a new chat', { chatId: chat.id, error });
+    }
+});
+
+/**
+ * /quality <360|480|720|1080> - sets the maximum video resolution.
+ */
+bot.onText(/^\/quality(?:@\w+)?(?:\s+(\d+)p?)?$/i, commandHandler('quality', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const current = await getChatSettings(chatId);
+    const language = getLanguage(current, msg.from);
+    const maxHeight = match[1] ? parseInt(match[1], 10) : null;
+
+    if (!maxHeight || !QUALITY_OPTIONS.includes(maxHeight)) {
+        return bot.sendMessage(chatId, [
+            t(language, 'quality.current', { value: current.maxHeight }),
+            t(language, 'quality.usage', { options: QUALITY_OPTIONS.join('|') })
+        ].join('\n'), {
+            reply_to_message_id: msg.message_id
+        });
+    }
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(chatId, t(language, 'settings.admins_only'), { reply_to_message_id: msg.message_id });
+    }
+    await updateChatSettings(chatId, { maxHeight });
+    await bot.sendMessage(chatId, t(language, 'quality.current', { value: maxHeight }), { reply_to_message_id: msg.message_id });
+}));
+
+/**
+ * /duration <minutes|off> - sets the video length limit for long-form platforms (YouTube).
+ */
+bot.onText(/^\/duration(?:@\w+)?(?:\s+(\d+|off))?$/i, commandHandler('duration', async (msg, match) => {
+    const chatId = msg.chat.id;
+    const replyOptions = { reply_to_message_id: msg.message_id };
+    const current = await getChatSettings(chatId);
+    const language = getLanguage(current, msg.from);
+    const describe = (minutes) => t(language, 'duration.current', {
+        value: minutes ? t(language, 'duration.minutes', { minutes }) : t(language, 'duration.no_limit')
+    });
+
+    if (!match[1]) {
+        return bot.sendMessage(chatId, `${describe(current.maxDuration)}\n${t(language, 'duration.usage')}`, replyOptions);
+    }
+    if (!(await canChangeSettings(msg.chat, msg.from, msg.sender_chat))) {
+        return bot.sendMessage(chatId, t(language, 'settings.admins_only'), replyOptions);
+    }
+
+    const maxDuration = match[1].toLowerCase() === 'off' ? 0 : parseInt(match[1], 10);
+    try {
+        await updateChatSettings(chatId, { maxDuration });
+    } catch (error) {
+        return bot.sendMessage(chatId, `❌ ${localizeError(language, error)}`, replyOptions);
+    }
+    await bot.sendMessage(chatId, describe(maxDuration), replyOptions);
+}));
+
+/**
+ * Settings keyboard buttons ("settings:<action>").
+ */
+async function handleSettingsCallback(query, action) {
+    const { message } = query;
+    const current = await getChatSettings(message.chat.id);
+
+    if (!(await canChangeSettings(message.chat, query.from, null))) {
+        return bot.answerCallbackQuery(query.id, { text: t(getLanguage(current, query.from), 'settings.admins_only'), show_alert: true });
+    }
+
+    if (action === 'close') {
+        await bot.deleteMessage(message.chat.id, message.message_id).catch(() => {});
+        return bot.answerCallbackQuery(query.id);
+    }
+
+    const patch = getSettingsPatch(current, action);
+    if (!patch) {
+        return bot.answerCallbackQuery(query.id);
+    }
+
+    const settings = await updateChatSettings(message.chat.id, patch);
+    // The language button changes the title too, so the whole message is edited
+    const language = getLanguage(settings, query.from);
+    await bot.editMessageText(t(language, 'settings.title'), {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        reply_markup: { inline_keyboard: buildSettingsKeyboard(settings, { previewLinks: Boolean(PUBLIC_URL), language }) }
+    });
+    await bot.answerCallbackQuery(query.id, { text: t(language, 'settings.saved') });
+}
+
+/**
+ * Cancel button of a status message ("cancel:<job id>"). The user who sent the link
+ * and chat admins may cancel.
+ */
+async function handleCancelCallback(query, jobId) {
+    const language = await getChatLanguage(query.message.chat, query.from);
+    const active = activeJobs.get(jobId);
+    if (!active) {
+        return bot.answerCallbackQuery(query.id, { text: t(language, 'cancel.finished') });
+    }
+
+    const allowed = query.from.id === active.userId || (await canChangeSettings(query.message.chat, query.from, null));
+    if (!allowed) {
+        return bot.answerCallbackQuery(query.id, { text: t(language, 'cancel.not_allowed'), show_alert: true });
+    }
+
+    // Kills the running yt-dlp/ffmpeg process; processJob then throws JobCancelledError
+    active.controller.abort(new JobCancelledError(`Cancelled by user ${query.from.id}`));
+    await bot.answerCallbackQuery(query.id, { text: t(language, 'status.cancelled') });
+}
+
+/**
+ * Buttons of a video over the chat's length limit ("long:<audio|clip|skip>:<job id>").
+ * The user who sent the link and chat admins may choose; the choice is queued as a new job.
+ */
+async function handleLongVideoCallback(query, choice, jobId) {
+    const { message } = query;
+    const language = await getChatLanguage(message.chat, query.from);
+    const job = await getJob(jobId);
+    if (!job) {
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: message.chat.id, message_id: message.message_id }).catch(() => {});
+        return bot.answerCallbackQuery(query.id, { text: t(language, 'long.expired') });
+    }
+
+    const allowed = query.from.id === job.options.userId || (await canChangeSettings(message.chat, query.from, null));
+    if (!allowed) {
+        return bot.answerCallbackQuery(query.id, { text: t(language, 'long.not_allowed'), show_alert: true });
+    }
+
+    if (choice === 'skip') {
+        await bot.deleteMessage(message.chat.id, message.message_id).catch(() => {});
+        if (job.options.requestId) {
+            await finishRequest(job.options.requestId, { status: 'skipped' });
+        }
+        return bot.answerCallbackQuery(query.id);
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, ...job.options.settings };
+    // Audio doesn't depend on the video quality, so it has one cache entry per video
+    const cacheKey = choice === 'audio'
+        ? `${buildCacheKey(job.type, job.videoId)}@audio`
+        : `${job.cacheKey}@${settings.maxDuration}min`;
+    const label = choice === 'audio' ? t(language, 'long.audio') : t(language, 'long.clip', { minutes: settings.maxDuration });
+
+    await bot.editMessageText(`${label}: ${job.url}`, {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        disable_web_page_preview: true
+    }).catch(() => {});
+    const newJobId = await queue.enqueue({
+        chatId: job.chatId,
+        messageId: job.messageId,
+        url: job.url,
+        type: job.type,
+        videoId: job.videoId,
+        cacheKey,
+        options: { ...job.options, mode: choice }
+    });
+    logger.info('Job queued', { jobId: newJobId, chatId: job.chatId, provider: job.type, videoId: job.videoId, mode: choice });
+    await bot.answerCallbackQuery(query.id, { text: label });
+}
+
+bot.on('callback_query', async (query) => {
+    const data = query.data || '';
+    try {
+        // Buttons follow access control like messages: refused users can't change settings or pick
+        // long video options, and a button in a group the bot may not serve makes it leave
+        if (query.message) {
+            const access = await getAccess(query.message.chat, query.from);
+            if (access.reason === 'unauthorized_chat') {
+                await bot.answerCallbackQuery(query.id);
+                await leaveUnauthorizedChat(query.message.chat, query.from);
+                return;
+            }
+            if (!access.allowed) {
+                if (access.reason !== 'error') accessDenied.inc({ reason: access.reason });
+                const language = await getChatLanguage(query.message.chat, query.from);
+                return bot.answerCallbackQuery(query.id, { text: t(language, 'access.private'), show_alert: true });
+            }
+        }
+
+        if (data.startsWith('settings:') && query.message) {
+            await handleSettingsCallback(query, data.slice('settings:'.length));
+        } else if (data.startsWith('cancel:') && query.message) {
+            await handleCancelCallback(query, parseInt(data.slice('cancel:'.length), 10));
+        } else if (/^long:(audio|clip|skip):\d+$/.test(data) && query.message) {
+            const [, choice, jobId] = data.split(':');
+            await handleLongVideoCallback(query, choice, parseInt(jobId, 10));
+        } else {
+            await bot.answerCallbackQuery(query.id);
+        }
+    } catch (error) {
+        logger.error('Callback query error', { error });
+        bot.answerCallbackQuery(query.id).catch(() => {});
+    }
+});
+
+// --- Inline Mode ---
+
+// Inline messages waiting for a download: cacheKey -> Set of inline_message_id
+const inlinePlaceholders = new Map();
+// Cache keys queued from inline queries, so repeated queries don't queue duplicates
+const inlinePendingKeys = new Set();
+// Cache key of the "processing" placeholder photo
+const INLINE_PLACEHOLDER_KEY = 'bot:inline_placeholder';
+let inlinePlaceholderFileId = null;
+
+/**
+ * Returns the file_id of the placeholder photo shown while a video is downloading.
+ * Telegram can only turn a media message into another media via editMessageMedia,
+ * so the placeholder has to be a photo rather than a text message.
+ * The photo is generated once, uploaded to `chatId`, deleted there and cached.
+ * @param {number|string} chatId - Chat to upload the placeholder to.
+ * @returns {Promise<string>} The placeholder photo file_id.
+ */
+async function getInlinePlaceholder(chatId) {
+    if (inlinePlaceholderFileId) return inlinePlaceholderFileId;
+
+    const cached = await getCachedFileId(INLINE_PLACEHOLDER_KEY);
+    if (cached) {
+        inlinePlaceholderFileId = cached.fileId;
+        return inlinePlaceholderFileId;
+    }
+
+    const imagePath = path.join(os.tmpdir(), 'inline_placeholder.jpg');
+    await runFfmpeg(['-y', '-f', 'lavfi', '-i', 'color=c=0x667eea:s=640x360', '-frames:v', '1', imagePath], { timeoutMs: 10000 });
+
+    try {
+        const message = await bot.sendPhoto(chatId, fs.createReadStream(imagePath), { disable_notification: true });
+        bot.deleteMessage(chatId, message.message_id).catch(() => {});
+        inlinePlaceholderFileId = message.photo[message.photo.length - 1].file_id;
+        cacheFileId(INLINE_PLACEHOLDER_KEY, inlinePlaceholderFileId);
+        return inlinePlaceholderFileId;
+    } finally {
+        fs.unlink(imagePath, () => {});
+    }
+}
+
+/**
+ * Builds inline results from a cache entry: one video, or one result per album item.
+ */
+function buildCachedInlineResults(cached, title) {
+    const items = cached.items || [{ type: 'video', fileId: cached.fileId }];
+    return items.map((item, i) => {
+        const caption = i === 0 && cached.caption ? cached.caption : undefined;
+        if (item.type === 'photo') {
+            return { type: 'photo', id: String(i), photo_file_id: item.fileId, caption };
+        }
+        if (item.type === 'audio') {
+            return { type: 'audio', id: String(i), audio_file_id: item.fileId, caption };
+        }
+        return { type: 'video', id: String(i), video_file_id: item.fileId, title: cached.caption || title, caption };
+    });
+}
+
+/**
+ * Replaces inline "processing" placeholders with the downloaded video.
+ * @param {string} cacheKey - Cache key of the finished job.
+ */
+async function resolveInlinePlaceholders(cacheKey) {
+    inlinePendingKeys.delete(cacheKey);
+    const pending = inlinePlaceholders.get(cacheKey);
+    if (!pending) return;
+    inlinePlaceholders.delete(cacheKey);
+
+    const cached = await getCachedFileId(cacheKey);
+    if (!cached) return;
+
+    // An inline message holds a single media, so albums show their first item
+    const first = cached.items ? cached.items[0] : { type: 'video', fileId: cached.fileId };
+    for (const inlineMessageId of pending) {
+        try {
+            await bot.editMessageMedia(
+                { type: first.type, media: first.fileId, caption: cached.caption || undefined },
+                { inline_message_id: inlineMessageId }
+            );
+        } catch (error) {
+            logger.error('Failed to update inline message', { error });
+        }
+    }
+}
+
+/**
+ * Marks inline "processing" placeholders as failed.
+ * @param {string} cacheKey - Cache key of the failed job.
+ * @param {string} url - The original link.
+ * @param {string} language - Language of the job.
+ */
+async function failInlinePlaceholders(cacheKey, url, language) {
+    inlinePendingKeys.delete(cacheKey);
+    const pending = inlinePlaceholders.get(cacheKey);
+    if (!pending) return;
+    inlinePlaceholders.delete(cacheKey);
+
+    for (const inlineMessageId of pending) {
+        try {
+            await bot.editMessageText(t(language, 'error.link', { url }), { inline_message_id: inlineMessageId });
+        } catch (error) {
+            logger.error('Failed to update inline message', { error });
+        }
+    }
+}
+
+/**
+ * Inline query handler: "@bot <url>" in any chat.
+ * Cached videos are returned as cached results; otherwise the download is queued
+ * and a "processing" placeholder is offered, which is replaced once the video is ready.
+ */
+bot.on('inline_query', async (query) => {
+    const [link] = findVideoLinks(query.query || '');
+    if (!link) {
+        return bot.answerInlineQuery(query.id, [], { cache_time: 0 }).catch(() => {});
+    }
+
+    // Inline queries have no chat, so the user is checked as if in their private chat
+    const access = await getAccess({ id: query.from.id, type: 'private' }, query.from);
+    if (!access.allowed) {
+        if (access.reason !== 'error') accessDenied.inc({ reason: access.reason });
+        return bot.answerInlineQuery(query.id, [], { cache_time: 0, is_personal: true }).catch(() => {});
+    }
+
+    const { url, type, videoId, cacheKey, provider } = link;
+    const title = `${provider.title || type}: ${videoId}`;
+    // The language of the user's private chat with the bot
+    const language = await getChatLanguage({ id: query.from.id }, query.from);
+
+    // Inline queries are sent while typing, so only the user limit applies
+    const wait = userLimiter.take(query.from.id);
+    if (wait > 0) {
+        return bot.answerInlineQuery(query.id, [{
+            type: 'article',
+            id: 'rate_limited',
+            title: t(language, 'inline.rate_limited'),
+            description: t(language, 'inline.try_again', { seconds: retryAfterSeconds(wait) }),
+            input_message_content: { message_text: url }
+        }], { cache_time: 0, is_personal: true }).catch(() => {});
+    }
+
+    try {
+        let cached = await getCachedFileId(cacheKey);
+        let refreshed = false;
+        while (cached) {
+            try {
+                await bot.answerInlineQuery(query.id, buildCachedInlineResults(cached, title));
+                logger.info('Inline result from cache', { provider: type, videoId });
+                return;
+            } catch (error) {
+                // A rejected answer doesn't use up the query: it is answered again with the file_ids
+                // refreshed from the archive channel, or with a placeholder below
+                if (!isStaleFileIdError(error)) throw error;
+                if (refreshed) {
+                    await dropStaleFileId(cacheKey, error);
+                    break;
+                }
+                cached = await recoverStaleEntry(cacheKey, cached, error);
+                refreshed = true;
+            }
+        }
+
+        if (!ytDlpAvailable) {
+            await bot.answerInlineQuery(query.id, [], { cache_time: 0 });
+            return;
+        }
+
+        // The video has to be uploaded somewhere to get a file_id:
+        // a storage chat if configured, otherwise the user's private chat with the bot
+        const uploadChatId = INLINE_STORAGE_CHAT_ID || query.from.id;
+        if (!inlinePendingKeys.has(cacheKey)) {
+            inlinePendingKeys.add(cacheKey);
+            const jobId = await queue.enqueue({
+                chatId: uploadChatId,
+                messageId: null,
+                url,
+                type,
+                videoId,
+                cacheKey,
+                options: { language }
+            });
+            logger.info('Inline job queued', { jobId, provider: type, videoId });
+        }
+
+        const placeholder = {
+            id: 'processing',
+            title: t(language, 'inline.processing'),
+            description: t(language, 'inline.processing_description'),
+            // A keyboard is required for Telegram to report the inline_message_id
+            reply_markup: { inline_keyboard: [[{ text: t(language, 'inline.original'), url }]] }
+        };
+        try {
+            const photoFileId = await getInlinePlaceholder(uploadChatId);
+            Object.assign(placeholder, { type: 'photo', photo_file_id: photoFileId, caption: `⏳ ${url}` });
+        } catch (error) {
+            // Without a placeholder photo the message can't be replaced later, but the link is still shared
+            logger.error('Failed to create inline placeholder', { error });
+            Object.assign(placeholder, { type: 'article', input_message_content: { message_text: url } });
+        }
+
+        await bot.answerInlineQuery(query.id, [placeholder], { cache_time: 0, is_personal: true });
+    } catch (error) {
+        // The placeholder photo is cached too; the next query uploads a new one
+        if (isStaleFileIdError(error) && inlinePlaceholderFileId) {
+            inlinePlaceholderFileId = null;
+            await dropStaleFileId(INLINE_PLACEHOLDER_KEY, error);
+        }
+        logger.error('Failed to answer inline query', { url, error });
+    }
+});
+
+/**
+ * Remembers which inline message shows a "processing" placeholder,
+ * so it can be edited once the download finishes.
+ * Requires inline feedback to be enabled in @BotFather (/setinlinefeedback).
+ */
+bot.on('chosen_inline_result', async (result) => {
+    if (result.result_id !== 'processing' || !result.inline_message_id) return;
+
+    const [link] = findVideoLinks(result.query || '');
+    if (!link) return;
+
+    if (!inlinePlaceholders.has(link.cacheKey)) {
+        inlinePlaceholders.set(link.cacheKey, new Set());
+    }
+    inlinePlaceholders.get(link.cacheKey).add(result.inline_message_id);
+
+    // The download may have finished before the result was chosen
+    if (!inlinePendingKeys.has(link.cacheKey)) {
+        await resolveInlinePlaceholders(link.cacheKey);
+    }
+});
+
+// --- Bot Startup ---
+
+/**
+ * Checks if yt-dlp is installed and available.
+ */
+async function checkYtDlp() {
+    const tools = await checkTools();
+    if (!tools.ytDlp.ok) {
+        logger.error('yt-dlp not found, please install it', { reason: tools.ytDlp.error });
+        return false;
+    }
+    logger.info('yt-dlp found', { version: tools.ytDlp.version });
+    if (!tools.ffmpeg.ok) {
+        logger.warn('ffmpeg not found, large videos and captions won\'t work', { reason: tools.ffmpeg.error });
+    }
+    return true;
+}
+
+/**
+ * Starts the queue and receiving updates: long polling, or registers the webhook
+ * of server.js with Telegram in webhook mode.
+ */
+async function startBot() {
+    logger.info('Starting Telegram bot', { mode: BOT_MODE });
+    startCacheEviction();
+    if (!OWNER_ID && (await getAccessMode()) === 'private') {
+        logger.warn('Private mode without OWNER_ID: only chats already on the allow list are served');
+    }
+    ytDlpAvailable = await checkYtDlp();
+    if (!ytDlpAvailable) {
+        logger.warn('Running in fallback mode, only cached videos will be sent');
+    } else {
+        await queue.start();
+        logger.info('Download queue started', { concurrency: QUEUE_CONCURRENCY });
+    }
+
+    if (BOT_MODE === 'webhook') {
+        if (!WEBHOOK_URL) {
+            throw new Error('WEBHOOK_URL is required in webhook mode');
+        }
+        await bot.setWebHook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, { secret_token: WEBHOOK_SECRET });
+        logger.info('Webhook registered', { url: `${WEBHOOK_URL}${WEBHOOK_PATH}` });
+    } else {
+        // Polling removes a webhook left from webhook mode by itself
+        await bot.startPolling();
+    }
+    logger.info('Bot is ready and listening for messages');
+}
+
+/**
+ * Express handler of WEBHOOK_PATH: checks the secret token and hands the update to the bot.
+ * While shutting down it answers 503, so Telegram delivers the update again later.
+ */
+function handleWebhook(req, res) {
+    const token = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+    const secret = Buffer.from(WEBHOOK_SECRET);
+    if (token.length !== secret.length || !crypto.timingSafeEqual(token, secret)) {
+        logger.warn('Webhook request with a wrong secret token', { ip: req.ip });
+        return res.sendStatus(401);
+    }
+    if (shuttingDown) {
+        return res.sendStatus(503);
+    }
+    // Updates are answered right away, the handlers run in the background
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+}
+
+/**
+ * Stops receiving updates and waits up to SHUTDOWN_TIMEOUT_MS for running jobs.
+ * Jobs that didn't finish are restored on the next start. The webhook stays registered,
+ * so updates sent during a restart are delivered once the server is back.
+ */
+async function stopBot() {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down bot');
+
+    if (BOT_MODE === 'polling') {
+        await bot.stopPolling().catch((error) => logger.error('Failed to stop polling', { error }));
+    }
+    const drained = await queue.drain(SHUTDOWN_TIMEOUT_MS);
+    if (!drained) {
+        logger.warn('Jobs still running at shutdown, they will be restored on the next start', { count: queue.running });
+    }
+    killAllProcesses();
+}
+
+// The library prints polling errors itself unless they are handled
+bot.on('polling_error', (error) => logger.error('Polling error', { error }));
+
+// Run directly, the bot polls for updates; in webhook mode server.js runs it
+if (require.main === module) {
+    if (BOT_MODE === 'webhook') {
+        logger.error('BOT_MODE=webhook: start server.js, it receives the webhook and runs the bot');
+        process.exit(1);
+    }
+    if (METRICS_PORT > 0) {
+        startMonitoringServer(METRICS_PORT);
+    }
+    startBot().catch((error) => {
+        logger.error('Failed to start the bot', { error });
+        process.exit(1);
+    });
+
+    // --- Graceful Shutdown ---
+    const shutdown = () => stopBot().finally(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+    WEBHOOK_PATH,
+    startBot,
+    stopBot,
+    handleWebhook
+};
\ No newline at end of file
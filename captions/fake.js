@@ -0,0 +1,23 @@
+/**
+ * Offline provider that returns a fixed caption and remembers its requests.
+ * Select it with CAPTION_PROVIDER=fake to run the bot without network access to an AI backend;
+ * the caption tests (test/captions.test.js) use it the same way.
+ * @param {{caption?: string}} [config]
+ */
+function createFakeProvider({ caption = 'Fake caption' } = {}) {
+    const calls = [];
+
+    return {
+        name: 'fake',
+        title: 'Fake',
+        usesImages: true,
+        calls,
+
+        async generate(input) {
+            calls.push(input);
+            return caption;
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,19 @@
+/**
+ * No-AI captions: the original post caption or title from yt-dlp metadata.
+ * Used when no AI backend is configured or when it fails.
+ */
+function createFallbackProvider() {
+    return {
+        name: 'fallback',
+        title: 'Original caption',
+        usesImages: false,
+
+        async generate({ postInfo }) {
+            if (!postInfo) return null;
+            // The captioner takes the first line as the title and keeps the post's own hashtags
+            return postInfo.postText || postInfo.title || null;
+        }
+    };
+}
+
+module.exports = { createFallbackProvider };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini vision model.
+ * @param {{apiKey: string, model?: string, timeoutMs?: number}} config
+ */
+function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash', timeoutMs = 30000 }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const geminiModel = genAI.getGenerativeModel({ model });
+
+    return {
+        name: 'gemini',
+        title: `Gemini (${model})`,
+        usesImages: true,
+        // Gemini listens to the audio clip itself, no transcript needed
+        supportsAudio: true,
+
+        async generate({ prompt, imagePaths, audioPath }) {
+            if (imagePaths.length === 0) return null;
+
+            const result = await geminiModel.generateContent([
+                prompt,
+                ...imagePaths.map((imagePath) => ({
+                    inlineData: {
+                        data: fs.readFileSync(imagePath).toString('base64'),
+                        mimeType: 'image/jpeg'
+                    }
+                })),
+                ...(audioPath ? [{
+                    inlineData: {
+                        data: fs.readFileSync(audioPath).toString('base64'),
+                        mimeType: 'audio/mpeg'
+                    }
+                }] : [])
+            ], {
+                // A hung request would hold up the whole job, the fallback takes over instead
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            return result.response.text();
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
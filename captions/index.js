@@ -0,0 +1,330 @@
+/**
+ * Caption generators.
+ *
+ * Every backend is a module that creates a provider object with:
+ *   - name            unique provider name, selected with CAPTION_PROVIDER
+ *   - title           human readable backend name for logs
+ *   - usesImages      true if the provider needs video frames
+ *   - supportsAudio   optional, true if the provider accepts the audio clip itself
+ *   - generate(input) returns the raw caption text or null, where input is
+ *                     {prompt, imagePaths, audioPath, postInfo, language, maxWords}
+ *
+ * The captioner samples several frames at scene changes, optionally adds the audio
+ * (or its transcript), and asks the configured provider for a title and hashtags in
+ * one request. The no-AI fallback is tried second. Answers are cleaned to the chat's
+ * word limit.
+ */
+
+const fs = require('fs');
+const { logger } = require('../logger.js');
+const { counter } = require('../metrics.js');
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createFallbackProvider } = require('./fallback');
+const { createFakeProvider } = require('./fake');
+const { createTranscriber } = require('./transcribe');
+const { extractKeyFrames, extractAudioClip } = require('./media');
+const { DEFAULT_LANGUAGE } = require('../i18n');
+
+const DEFAULT_MAX_WORDS = 3;
+const MAX_WORDS_LIMIT = 20;
+const MAX_HASHTAGS = 3;
+const MAX_TRANSCRIPT_LENGTH = 1000;
+
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+const log = logger.child({ module: 'captions' });
+// Results per provider; rate_limited shows when the Gemini quota runs out
+const captionRequests = counter('pinsta_caption_requests_total', 'Caption provider requests by result');
+
+/**
+ * Builds the model prompt. A custom chat prompt replaces the title instruction
+ * and may use {words} and {language} placeholders.
+ * @param {{language?: string, maxWords?: number, prompt?: string|null, frameCount?: number,
+ *   hasAudio?: boolean, transcript?: string|null, hashtags?: boolean}} options
+ * @returns {string}
+ */
+function buildPrompt({
+    language = DEFAULT_LANGUAGE,
+    maxWords = DEFAULT_MAX_WORDS,
+    prompt = null,
+    frameCount = 1,
+    hasAudio = false,
+    transcript = null,
+    hashtags = false
+}) {
+    const languageName = languageNames.of(language) || language;
+    const lines = [
+        frameCount > 1 ? `These are ${frameCount} frames from one short video, in order.` : 'This is a frame from a short video.'
+    ];
+
+    if (hasAudio) {
+        lines.push('The beginning of its audio track is attached.');
+    }
+    if (transcript) {
+        lines.push(`Audio transcript: "${transcript.slice(0, MAX_TRANSCRIPT_LENGTH)}"`);
+    }
+
+    if (prompt) {
+        lines.push(prompt.replace(/\{words\}/g, maxWords).replace(/\{language\}/g, languageName));
+    } else {
+        lines.push(`Write a title for the video in ${languageName}, at most ${maxWords} word(s), only the words, no punctuation.`);
+    }
+
+    lines.push(hashtags
+        ? `On a second line, add up to ${MAX_HASHTAGS} relevant hashtags.`
+        : 'Reply with the title only.');
+    return lines.join('\n');
+}
+
+/**
+ * Removes punctuation and cuts the caption to the word limit.
+ * @param {string|null} text - Raw provider answer.
+ * @param {number} maxWords - Word limit.
+ * @returns {string|null}
+ */
+function cleanCaption(text, maxWords = DEFAULT_MAX_WORDS) {
+    if (!text) return null;
+    const cleaned = text.replace(/[.,!?;:"'«»]/g, '').trim();
+    if (!cleaned) return null;
+    return cleaned.split(/\s+/).slice(0, maxWords).join(' ');
+}
+
+/**
+ * Turns a provider answer into the final caption: the first line as the title,
+ * plus hashtags found anywhere in the answer on a second line.
+ * @param {string|null} text - Raw provider answer.
+ * @param {{maxWords?: number, hashtags?: boolean}} options
+ * @returns {string|null}
+ */
+function parseCaption(text, { maxWords = DEFAULT_MAX_WORDS, hashtags = false } = {}) {
+    if (!text) return null;
+
+    const titleLine = text.split('\n')
+        .map((line) => line.replace(HASHTAG_PATTERN, '').trim())
+        .find(Boolean);
+    const title = cleanCaption(titleLine, maxWords);
+    if (!title) return null;
+
+    const tags = hashtags ? [...new Set(text.match(HASHTAG_PATTERN) || [])].slice(0, MAX_HASHTAGS) : [];
+    return tags.length > 0 ? `${title}\n${tags.join(' ')}` : title;
+}
+
+/**
+ * True for quota and rate limit errors (HTTP 429, Gemini's RESOURCE_EXHAUSTED).
+ */
+function isRateLimited(error) {
+    return error.status === 429 || /\b429\b|RESOURCE_EXHAUSTED|quota/i.test(error.message);
+}
+
+/**
+ * Creates the AI provider selected by configuration.
+ * CAPTION_PROVIDER may be gemini, openai, fallback, fake or none; when it is not set,
+ * Gemini is used if GEMINI_API_KEY is present, then OPENAI_BASE_URL, then the fallback only.
+ * @param {object} env - Environment variables.
+ * @returns {object|null} The provider, or null for no AI backend.
+ */
+function createProviderFromEnv(env) {
+    const name = (env.CAPTION_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : env.OPENAI_BASE_URL ? 'openai' : 'fallback')).toLowerCase();
+
+    switch (name) {
+        case 'gemini':
+            if (!env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is required for the gemini caption provider');
+            return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+        case 'openai':
+            if (!env.OPENAI_BASE_URL) throw new Error('OPENAI_BASE_URL is required for the openai caption provider');
+            return createOpenAIProvider({
+                baseUrl: env.OPENAI_BASE_URL,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.OPENAI_MODEL || 'gpt-4o-mini'
+            });
+        case 'fake':
+            return createFakeProvider({ caption: env.FAKE_CAPTION || undefined });
+        case 'fallback':
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown caption provider: ${name}`);
+    }
+}
+
+/**
+ * Creates the transcriber for providers that can't listen to audio themselves.
+ * TRANSCRIBE_BASE_URL defaults to OPENAI_BASE_URL.
+ * @param {object} env - Environment variables.
+ * @returns {object|null}
+ */
+function createTranscriberFromEnv(env) {
+    const baseUrl = env.TRANSCRIBE_BASE_URL || env.OPENAI_BASE_URL;
+    if (!baseUrl) return null;
+    return createTranscriber({
+        baseUrl,
+        apiKey: env.TRANSCRIBE_API_KEY || env.OPENAI_API_KEY,
+        model: env.TRANSCRIBE_MODEL || undefined
+    });
+}
+
+/**
+ * Creates a captioner from a provider and an optional fallback.
+ * @param {object} options
+ * @param {object|null} [options.provider] - AI provider.
+ * @param {object|null} [options.fallback] - Provider tried when the AI one fails.
+ * @param {object|null} [options.transcriber] - Speech-to-text for providers without audio support.
+ * @param {number} [options.frameCount=4] - Frames sampled per video.
+ * @param {number} [options.sceneThreshold=0.3] - ffmpeg scene change threshold.
+ * @param {boolean} [options.audio=false] - Add the audio track or its transcript.
+ * @param {number} [options.audioSeconds=60] - Length of the audio clip.
+ */
+function createCaptioner({
+    provider = null,
+    fallback = null,
+    transcriber = null,
+    frameCount = 4,
+    sceneThreshold = 0.3,
+    audio = false,
+    audioSeconds = 60
+}) {
+    const chain = [provider, fallback].filter(Boolean);
+
+    return {
+        provider,
+        fallback,
+
+        /**
+         * @returns {boolean} True if any provider can produce captions.
+         */
+        get available() {
+            return chain.length > 0;
+        },
+
+        /**
+         * @returns {boolean} True if video frames should be extracted for the provider.
+         */
+        get usesImages() {
+            return chain.some((p) => p.usesImages);
+        },
+
+        /**
+         * Generates a caption, trying each provider in turn.
+         * @param {{imagePaths?: string[], audioPath?: string|null, transcript?: string|null,
+         *   postInfo?: object|null, settings?: object}} input
+         * @returns {Promise<string|null>}
+         */
+        async generate({ imagePaths = [], audioPath = null, transcript = null, postInfo = null, settings = {} }) {
+            const language = settings.captionLanguage || DEFAULT_LANGUAGE;
+            const maxWords = settings.captionMaxWords || DEFAULT_MAX_WORDS;
+            const hashtags = Boolean(settings.captionHashtags);
+
+            for (const p of chain) {
+                const providerAudio = p.supportsAudio ? audioPath : null;
+                const prompt = buildPrompt({
+                    language,
+                    maxWords,
+                    prompt: settings.captionPrompt,
+                    frameCount: imagePaths.length,
+                    hasAudio: Boolean(providerAudio),
+                    transcript: providerAudio ? null : transcript,
+                    hashtags
+                });
+                try {
+                    const answer = await p.generate({ prompt, imagePaths, audioPath: providerAudio, postInfo, language, maxWords });
+                    const caption = parseCaption(answer, { maxWords, hashtags });
+                    captionRequests.inc({ provider: p.name, result: caption ? 'ok' : 'empty' });
+                    if (caption) return caption;
+                } catch (error) {
+                    const rateLimited = isRateLimited(error);
+                    captionRequests.inc({ provider: p.name, result: rateLimited ? 'rate_limited' : 'error' });
+                    log.error('Caption provider failed', { provider: p.name, rateLimited, error });
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Captions a downloaded video: samples key frames, adds the audio clip
+         * (or its transcript) when enabled and asks the providers.
+         * @param {string} videoPath - Path to the video file.
+         * @param {{postInfo?: object|null, settings?: object, signal?: AbortSignal}} [context]
+         * @returns {Promise<string|null>}
+         */
+        async describeVideo(videoPath, { postInfo = null, settings = {}, signal } = {}) {
+            const tempFiles = [];
+            try {
+                let imagePaths = [];
+                let audioPath = null;
+                let transcript = null;
+
+                if (this.usesImages) {
+                    try {
+                        imagePaths = await extractKeyFrames(videoPath, { count: frameCount, sceneThreshold, signal });
+                        tempFiles.push(...imagePaths);
+                    } catch (error) {
+                        if (signal && signal.aborted) throw error;
+                        // Image providers skip the request, the fallback still gets a chance
+                        log.error('Frame extraction error', { error });
+                    }
+                }
+
+                if (audio && provider && (provider.supportsAudio || transcriber)) {
+                    try {
+                        audioPath = await extractAudioClip(videoPath, audioSeconds, signal);
+                        if (audioPath) {
+                            tempFiles.push(audioPath);
+                            if (!provider.supportsAudio) {
+                                transcript = await transcriber.transcribe(audioPath);
+                            }
+                        }
+                    } catch (error) {
+                        if (signal && signal.aborted) throw error;
+                        log.error('Audio transcription error', { error });
+                    }
+                }
+
+                return await this.generate({ imagePaths, audioPath, transcript, postInfo, settings });
+            } finally {
+                for (const file of tempFiles) {
+                    fs.unlink(file, (err) => {
+                        if (err && err.code !== 'ENOENT') log.error('File cleanup error', { file, error: err });
+                    });
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates the captioner configured by environment variables.
+ * CAPTION_FALLBACK=false disables the original caption fallback.
+ * @param {object} [env=process.env]
+ */
+function createCaptionerFromEnv(env = process.env) {
+    return createCaptioner({
+        provider: createProviderFromEnv(env),
+        fallback: env.CAPTION_FALLBACK === 'false' ? null : createFallbackProvider(),
+        transcriber: createTranscriberFromEnv(env),
+        frameCount: parseInt(env.CAPTION_FRAMES, 10) || 4,
+        sceneThreshold: parseFloat(env.CAPTION_SCENE_THRESHOLD) || 0.3,
+        audio: env.CAPTION_AUDIO === 'true',
+        audioSeconds: parseInt(env.CAPTION_AUDIO_SECONDS, 10) || 60
+    });
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    DEFAULT_MAX_WORDS,
+    MAX_WORDS_LIMIT,
+    MAX_HASHTAGS,
+    buildPrompt,
+    cleanCaption,
+    parseCaption,
+    createCaptioner,
+    createCaptionerFromEnv,
+    createGeminiProvider,
+    createOpenAIProvider,
+    createFallbackProvider,
+    createFakeProvider,
+    createTranscriber
+};
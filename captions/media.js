@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { probeVideo } = require('../downloader.js');
+const { runFfmpeg } = require('../subprocess.js');
+const { logger } = require('../logger.js');
+
+const log = logger.child({ module: 'captions' });
+
+/**
+ * Extracts one frame, resized to max 768px on the longest side.
+ * @param {string} videoPath - Path to the video file.
+ * @param {string} framePath - Where to save the JPEG.
+ * @param {number} timeInSeconds - Frame timestamp.
+ * @param {AbortSignal} [signal] - Cancellation.
+ * @returns {Promise<string>} The frame path.
+ */
+async function extractFrameAtTime(videoPath, framePath, timeInSeconds, signal) {
+    // -2 keeps the other side divisible by 2 while preserving the aspect ratio
+    await runFfmpeg(['-y', '-ss', timeInSeconds.toFixed(2), '-i', videoPath, '-vframes', '1',
+        '-vf', "scale='if(gt(iw,ih),768,-2)':'if(gt(iw,ih),-2,768)'", '-q:v', '5', framePath], { timeoutMs: 10000, signal });
+
+    if (!fs.existsSync(framePath)) {
+        throw new Error('Extracted frame not found.');
+    }
+    return framePath;
+}
+
+/**
+ * Finds scene changes with ffmpeg's scene score on a downscaled copy of the video.
+ * @param {string} videoPath - Path to the video file.
+ * @param {number} threshold - Scene score between 0 and 1, lower finds more cuts.
+ * @param {AbortSignal} [signal] - Cancellation.
+ * @returns {Promise<number[]>} Timestamps of scene changes in seconds.
+ */
+async function detectScenes(videoPath, threshold, signal) {
+    const times = [];
+    await runFfmpeg(['-i', videoPath, '-an', '-vf', `scale=160:-2,select='gt(scene,${threshold})',showinfo`, '-f', 'null', '-'], {
+        timeoutMs: 30000,
+        signal,
+        onLine: (line, stream) => {
+            // showinfo logs every selected frame to stderr as "... pts_time:12.345 ..."
+            const match = stream === 'stderr' && line.match(/pts_time:([\d.]+)/);
+            if (match) times.push(parseFloat(match[1]));
+        }
+    });
+    return times;
+}
+
+/**
+ * Chooses up to `count` frame timestamps: one near the start (intros and text overlays),
+ * scene changes spread over the video, and evenly spaced frames if there are too few cuts.
+ * @param {number} duration - Video duration in seconds.
+ * @param {number[]} sceneTimes - Scene change timestamps.
+ * @param {number} count - Number of frames.
+ * @returns {number[]} Sorted timestamps.
+ */
+function pickFrameTimes(duration, sceneTimes, count) {
+    const minGap = duration / (count * 2);
+    let times = [Math.min(1, duration * 0.1), ...sceneTimes.filter((t) => t < duration - 0.5)];
+
+    // Too many cuts: keep the first and last and spread the rest evenly
+    if (times.length > count) {
+        const step = (times.length - 1) / (count - 1 || 1);
+        times = Array.from({ length: count }, (_, i) => times[Math.round(i * step)]);
+    }
+
+    for (let i = 0; i < count && times.length < count; i++) {
+        const t = (duration * (i + 0.5)) / count;
+        if (times.every((existing) => Math.abs(existing - t) >= minGap)) {
+            times.push(t);
+        }
+    }
+
+    return [...new Set(times)].sort((a, b) => a - b);
+}
+
+/**
+ * Samples key frames of a video for captioning.
+ * @param {string} videoPath - Path to the video file.
+ * @param {{count?: number, sceneThreshold?: number, signal?: AbortSignal}} [options]
+ * @returns {Promise<string[]>} Paths of the extracted frames in video order.
+ */
+async function extractKeyFrames(videoPath, { count = 4, sceneThreshold = 0.3, signal } = {}) {
+    const { duration } = await probeVideo(videoPath);
+    if (!duration) {
+        // Unknown duration: a single frame a few seconds in
+        return [await extractFrameAtTime(videoPath, videoPath.replace(/\.mp4$/, '_frame1.jpg'), 3, signal)];
+    }
+
+    let sceneTimes = [];
+    if (count > 1) {
+        try {
+            sceneTimes = await detectScenes(videoPath, sceneThreshold, signal);
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            log.warn('Scene detection error', { error });
+        }
+    }
+
+    const times = pickFrameTimes(duration, sceneTimes, count);
+    log.debug('Frames picked', { duration, sceneChanges: sceneTimes.length, times });
+
+    const frames = [];
+    for (const [i, time] of times.entries()) {
+        try {
+            frames.push(await extractFrameAtTime(videoPath, videoPath.replace(/\.mp4$/, `_frame${i + 1}.jpg`), time, signal));
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            log.warn('Frame extraction error', { time, error });
+        }
+    }
+    if (frames.length === 0) {
+        throw new Error('No frames extracted');
+    }
+    return frames;
+}
+
+/**
+ * Extracts the beginning of the audio track as a small mono MP3.
+ * @param {string} videoPath - Path to the video file.
+ * @param {number} [seconds=60] - Clip length.
+ * @param {AbortSignal} [signal] - Cancellation.
+ * @returns {Promise<string|null>} Path to the clip, or null if the video has no audio.
+ */
+async function extractAudioClip(videoPath, seconds = 60, signal) {
+    const audioPath = videoPath.replace(/\.mp4$/, '_audio.mp3');
+    try {
+        await runFfmpeg(['-y', '-i', videoPath, '-vn', '-t', String(seconds), '-ac', '1', '-ar', '16000', '-b:a', '32k', audioPath], {
+            timeoutMs: 30000,
+            signal
+        });
+    } catch (error) {
+        // ffmpeg fails with "does not contain any stream" for silent videos
+        if (error.stderr && /does not contain any stream|matches no streams/.test(error.stderr)) return null;
+        throw error;
+    }
+    return fs.existsSync(audioPath) ? audioPath : null;
+}
+
+module.exports = {
+    extractFrameAtTime,
+    extractKeyFrames,
+    extractAudioClip,
+    pickFrameTimes
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+
+/**
+ * Any OpenAI-compatible chat completions endpoint with vision support:
+ * OpenAI itself, or a local Ollama / llama.cpp server.
+ * @param {{baseUrl: string, apiKey?: string, model: string, timeoutMs?: number}} config
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs = 30000 }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        title: `OpenAI-compatible (${model})`,
+        usesImages: true,
+
+        async generate({ prompt, imagePaths }) {
+            if (imagePaths.length === 0) return null;
+
+            const content = [
+                { type: 'text', text: prompt },
+                ...imagePaths.map((imagePath) => ({
+                    type: 'image_url',
+                    image_url: { url: `data:image/jpeg;base64,${fs.readFileSync(imagePath).toString('base64')}` }
+                }))
+            ];
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({ model, messages: [{ role: 'user', content }] }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} from ${endpoint}`);
+            }
+
+            const data = await response.json();
+            const choice = data.choices && data.choices[0];
+            return choice && choice.message ? choice.message.content : null;
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
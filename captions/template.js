@@ -0,0 +1,138 @@
+/**
+ * Caption templates.
+ *
+ * A template is Telegram HTML with {placeholders}; values are escaped before they are
+ * inserted, so only the template itself may contain tags. A line whose placeholders
+ * are all empty is dropped, and so is an empty " · " separated part of a line, so one
+ * template works for posts with and without music, likes or a description.
+ *
+ * Placeholders: {ai} {author} {description} {title} {likes} {views} {music} {date}
+ * {url} {platform} {sharedBy} {preview}
+ */
+
+const CAPTION_MAX_LENGTH = 1024;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const SEGMENT_SEPARATOR = ' · ';
+
+const compactNumber = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 });
+
+/**
+ * The default template, with the words of its links in the chat's language.
+ * @param {{source: string, preview: string}} labels - Link texts, plain text.
+ * @returns {string}
+ */
+function buildDefaultTemplate({ source, preview }) {
+    return [
+        '{ai}',
+        '',
+        '<b>{author}</b>',
+        '{description}',
+        '🎵 {music}',
+        '❤️ {likes} · 👁 {views} · 📅 {date}',
+        '',
+        '👤 {sharedBy}',
+        `<a href="{url}">${escapeHtml(source)}</a> · <a href="{preview}">${escapeHtml(preview)}</a>`
+    ].join('\n');
+}
+
+/**
+ * Escapes text for Telegram HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The caption text as Telegram shows it: tags removed, entities decoded.
+ * Telegram counts the caption limit on this text.
+ * @param {string} html
+ * @returns {string}
+ */
+function toPlainText(html) {
+    return html.replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * Formats a count as 1.2K, 3.4M.
+ * @param {number|null} count
+ * @returns {string|null}
+ */
+function formatCount(count) {
+    return Number.isFinite(count) ? compactNumber.format(count) : null;
+}
+
+/**
+ * Formats a yt-dlp upload date (YYYYMMDD) as DD.MM.YYYY.
+ * @param {string|null} date
+ * @returns {string|null}
+ */
+function formatDate(date) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(date || '');
+    return match ? `${match[3]}.${match[2]}.${match[1]}` : null;
+}
+
+/**
+ * Fills one line, or returns null if every placeholder in it is empty.
+ */
+function renderLine(line, values) {
+    const names = [...line.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]);
+    if (names.length > 0 && names.every((name) => !values[name])) {
+        return null;
+    }
+    // Parts like "❤️ {likes} · 👁 {views}" are dropped one by one
+    const segments = line.split(SEGMENT_SEPARATOR).filter((segment) => {
+        const segmentNames = [...segment.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]);
+        return segmentNames.length === 0 || segmentNames.some((name) => values[name]);
+    });
+    return segments.join(SEGMENT_SEPARATOR).replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+        name in values ? escapeHtml(values[name] || '') : placeholder
+    ));
+}
+
+function fill(template, values) {
+    return template.split('\n')
+        .map((line) => renderLine(line, values))
+        .filter((line) => line !== null)
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Renders a caption template. The description is shortened first when the caption
+ * is over Telegram's limit; if the template alone is too long, plain text is returned.
+ * @param {string} template - Telegram HTML template.
+ * @param {object} values - Placeholder values (strings, or null/undefined for empty).
+ * @param {number} [maxLength=1024] - Limit of the visible caption length.
+ * @returns {string|undefined} The caption, or undefined if it is empty.
+ */
+function renderCaption(template, values, maxLength = CAPTION_MAX_LENGTH) {
+    const known = {};
+    for (const [name, value] of Object.entries(values)) {
+        known[name] = value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    let caption = fill(template, known);
+    const overflow = toPlainText(caption).length - maxLength;
+    if (overflow > 0 && known.description) {
+        const description = known.description.slice(0, Math.max(0, known.description.length - overflow - 1)).trimEnd();
+        caption = fill(template, { ...known, description: description ? `${description}…` : '' });
+    }
+    if (toPlainText(caption).length > maxLength) {
+        caption = escapeHtml(`${toPlainText(caption).slice(0, maxLength - 1)}…`);
+    }
+    return caption || undefined;
+}
+
+module.exports = {
+    CAPTION_MAX_LENGTH,
+    buildDefaultTemplate,
+    escapeHtml,
+    formatCount,
+    formatDate,
+    renderCaption
+};
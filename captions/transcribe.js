@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Speech-to-text through an OpenAI-compatible /audio/transcriptions endpoint
+ * (OpenAI Whisper, faster-whisper-server, whisper.cpp server, ...).
+ * @param {{baseUrl: string, apiKey?: string, model?: string, timeoutMs?: number}} config
+ */
+function createTranscriber({ baseUrl, apiKey, model = 'whisper-1', timeoutMs = 60000 }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`;
+
+    return {
+        name: 'openai',
+
+        /**
+         * @param {string} audioPath - Path to the audio clip.
+         * @returns {Promise<string|null>} The transcript.
+         */
+        async transcribe(audioPath) {
+            const form = new FormData();
+            form.append('model', model);
+            form.append('file', new Blob([fs.readFileSync(audioPath)], { type: 'audio/mpeg' }), path.basename(audioPath));
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                body: form,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} from ${endpoint}`);
+            }
+
+            const data = await response.json();
+            return data.text ? data.text.trim() : null;
+        }
+    };
+}
+
+module.exports = { createTranscriber };
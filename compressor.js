@@ -0,0 +1,263 @@
+const fs = require('fs');
+const { downloadVideo, probeVideo } = require('./downloader.js');
+const { runFfmpeg } = require('./subprocess.js');
+const { PermanentJobError } = require('./queue.js');
+const { logger } = require('./logger.js');
+const { counter } = require('./metrics.js');
+
+const log = logger.child({ module: 'compressor' });
+// How oversized videos were made to fit: format, compress or split
+const fitStrategies = counter('pinsta_fit_strategy_total', 'Oversized videos by the strategy that made them fit');
+
+const VIDEO_CODEC = process.env.VIDEO_CODEC === 'libx265' ? 'libx265' : 'libx264';
+const MAX_VIDEO_PARTS = parseInt(process.env.MAX_VIDEO_PARTS, 10) || 10;
+
+const AUDIO_BITRATE = 96; // kbps
+// Encoded files come out a bit larger than the bitrate math says (container, rate control)
+const SIZE_SAFETY = 0.95;
+
+/**
+ * Resolution ladder: a height is used only if the target bitrate reaches its minimum,
+ * otherwise the next, smaller one is tried.
+ */
+const RESOLUTION_LADDER = [
+    { height: 1080, minBitrate: 1500 },
+    { height: 720, minBitrate: 800 },
+    { height: 540, minBitrate: 500 },
+    { height: 480, minBitrate: 350 },
+    { height: 360, minBitrate: 200 },
+    { height: 240, minBitrate: 120 }
+];
+
+/**
+ * Removes files, ignoring the ones that don't exist.
+ */
+function removeFiles(files) {
+    for (const file of files) {
+        fs.unlink(file, (err) => {
+            if (err && err.code !== 'ENOENT') log.error('File cleanup error', { file, error: err });
+        });
+    }
+}
+
+/**
+ * Video bitrate (kbps) that makes `duration` seconds fit into `limitBytes`.
+ */
+function getTargetBitrate(limitBytes, duration) {
+    return Math.floor((limitBytes * SIZE_SAFETY * 8) / 1000 / duration - AUDIO_BITRATE);
+}
+
+/**
+ * Picks the highest rung of the ladder, not above the source, whose minimum bitrate is reached.
+ * @param {number} sourceHeight - Source video height.
+ * @param {number} bitrate - Target video bitrate in kbps.
+ * @returns {number|null} The height, or null if even the lowest rung doesn't fit.
+ */
+function pickResolution(sourceHeight, bitrate) {
+    const rungs = RESOLUTION_LADDER.filter((rung) => !sourceHeight || rung.height <= sourceHeight);
+    if (rungs.length === 0) rungs.push(RESOLUTION_LADDER[RESOLUTION_LADDER.length - 1]);
+    const rung = rungs.find((r) => bitrate >= r.minBitrate);
+    return rung ? Math.min(rung.height, sourceHeight || rung.height) : null;
+}
+
+/**
+ * Two-pass encode to a target bitrate. The first pass only analyzes the video,
+ * so the second one hits the requested size much closer than a single pass.
+ * @param {string} inputPath - Source video.
+ * @param {string} outputPath - Encoded video.
+ * @param {{height: number, bitrate: number, duration: number}} options - Output height, video bitrate (kbps).
+ * @param {{onProgress?: function(string, number): void, signal?: AbortSignal}} [control] - Progress and cancellation.
+ * @returns {Promise<string>} The output path.
+ */
+async function encodeTwoPass(inputPath, outputPath, { height, bitrate, duration }, { onProgress, signal } = {}) {
+    const passLog = outputPath.replace(/\.mp4$/, '_2pass');
+    // Landscape videos are scaled by height, portrait ones by width, so `height` is the short side
+    const scale = `scale='if(gt(iw,ih),-2,${height})':'if(gt(iw,ih),${height},-2)'`;
+    const codec = VIDEO_CODEC === 'libx265'
+        ? (pass) => ['-c:v', 'libx265', '-preset', 'fast', '-b:v', `${bitrate}k`, '-x265-params', `pass=${pass}:stats=${passLog}.log`, '-tag:v', 'hvc1']
+        : (pass) => ['-c:v', 'libx264', '-preset', 'fast', '-b:v', `${bitrate}k`, '-pass', String(pass), '-passlogfile', passLog];
+    // Encoding is slow on small servers, so the timeout grows with the video length
+    const timeoutMs = Math.max(120000, duration * 4000);
+    // Each pass is half of the work
+    const passProgress = (pass) => (onProgress ? (percent) => onProgress('compress', (pass - 1) * 50 + percent / 2) : undefined);
+
+    log.info('Encoding video', { file: inputPath, height, bitrate, codec: VIDEO_CODEC });
+    try {
+        await runFfmpeg(['-y', '-i', inputPath, '-vf', scale, ...codec(1), '-an', '-f', 'mp4', '/dev/null'], {
+            timeoutMs, duration, onProgress: passProgress(1), signal
+        });
+        await runFfmpeg(['-y', '-i', inputPath, '-vf', scale, ...codec(2), '-c:a', 'aac', '-b:a', `${AUDIO_BITRATE}k`,
+            '-movflags', '+faststart', outputPath], {
+            timeoutMs, duration, onProgress: passProgress(2), signal
+        });
+    } finally {
+        removeFiles([`${passLog}-0.log`, `${passLog}-0.log.mbtree`, `${passLog}.log`, `${passLog}.log.cutree`]);
+    }
+
+    if (!fs.existsSync(outputPath)) {
+        throw new Error('Encoded file not found');
+    }
+    return outputPath;
+}
+
+/**
+ * Re-encodes a video to fit the size limit, stepping down the resolution ladder.
+ * @param {string} videoPath - Source video.
+ * @param {number} limitBytes - Size limit.
+ * @param {object} [control] - Progress and cancellation, see encodeTwoPass.
+ * @returns {Promise<string|null>} The encoded video, or null if it can't fit at the lowest resolution.
+ */
+async function compressVideo(videoPath, limitBytes, control = {}) {
+    const { height, width, duration } = await probeVideo(videoPath);
+    if (!duration) {
+        throw new Error('Invalid video duration');
+    }
+
+    let bitrate = getTargetBitrate(limitBytes, duration);
+    const sourceHeight = width && height ? Math.min(width, height) : height;
+    const targetHeight = pickResolution(sourceHeight, bitrate);
+    if (!targetHeight) {
+        return null;
+    }
+
+    const outputPath = videoPath.replace(/\.mp4$/, '_compressed.mp4');
+    await encodeTwoPass(videoPath, outputPath, { height: targetHeight, bitrate, duration }, control);
+
+    // Still over the limit: one more try with the bitrate scaled down by the overshoot
+    const size = fs.statSync(outputPath).size;
+    if (size > limitBytes) {
+        bitrate = Math.floor(bitrate * (limitBytes / size) * SIZE_SAFETY);
+        log.warn('Encoded video is over the limit, retrying', { size, limitBytes, bitrate });
+        await encodeTwoPass(videoPath, outputPath, { height: targetHeight, bitrate, duration }, control);
+        if (fs.statSync(outputPath).size > limitBytes) {
+            fs.unlink(outputPath, () => {});
+            return null;
+        }
+    }
+
+    log.info('Video compressed', { size: fs.statSync(outputPath).size });
+    return outputPath;
+}
+
+/**
+ * Splits a video into numbered parts that fit the size limit. Parts are cut without
+ * re-encoding; a part that is still too big (bitrate varies over the video) is compressed.
+ * @param {string} videoPath - Source video.
+ * @param {number} limitBytes - Size limit of one part.
+ * @param {{onProgress?: function(string, number): void, signal?: AbortSignal}} [control] - Progress and cancellation.
+ * @returns {Promise<string[]>} Part paths in order.
+ */
+async function splitVideo(videoPath, limitBytes, { onProgress, signal } = {}) {
+    const { duration, fileSize } = await probeVideo(videoPath);
+    if (!duration) {
+        throw new Error('Invalid video duration');
+    }
+
+    // Parts are sized by the lowest ladder bitrate, so each of them can always be compressed to fit
+    const lowest = RESOLUTION_LADDER[RESOLUTION_LADDER.length - 1].minBitrate + AUDIO_BITRATE;
+    const maxPartDuration = (limitBytes * SIZE_SAFETY * 8) / 1000 / lowest;
+    const partCount = Math.max(Math.ceil(fileSize / (limitBytes * SIZE_SAFETY)), Math.ceil(duration / maxPartDuration));
+    if (partCount > MAX_VIDEO_PARTS) {
+        throw new PermanentJobError(`Video needs ${partCount} parts, the limit is ${MAX_VIDEO_PARTS}`);
+    }
+
+    const partDuration = duration / partCount;
+    log.info('Splitting video', { file: videoPath, parts: partCount, partDuration: Math.round(partDuration) });
+
+    const parts = [];
+    try {
+        for (let i = 0; i < partCount; i++) {
+            const partPath = videoPath.replace(/\.mp4$/, `_part${i + 1}.mp4`);
+            if (onProgress) onProgress('split', (i / partCount) * 100);
+            await runFfmpeg(['-y', '-ss', (i * partDuration).toFixed(2), '-i', videoPath, '-t', partDuration.toFixed(2),
+                '-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart', partPath], { timeoutMs: 120000, signal });
+            parts.push(partPath);
+
+            if (fs.statSync(partPath).size > limitBytes) {
+                const compressedPath = await compressVideo(partPath, limitBytes, { onProgress, signal });
+                removeFiles([partPath]);
+                if (!compressedPath) {
+                    throw new Error(`Part ${i + 1} doesn't fit the limit`);
+                }
+                parts[i] = compressedPath;
+            }
+        }
+    } catch (error) {
+        removeFiles(parts);
+        throw error;
+    }
+    return parts;
+}
+
+/**
+ * Makes a downloaded video fit Telegram's upload limit. Strategies, cheapest first:
+ *   1. download again with a yt-dlp format that is known to be under the limit
+ *   2. re-encode in two passes, stepping down the resolution ladder
+ *   3. split into numbered parts, sent as an album
+ *
+ * @param {string} videoPath - The downloaded video.
+ * @param {object} options
+ * @param {number} options.limitBytes - Upload size limit.
+ * @param {string} [options.url] - Source URL for the format re-selection.
+ * @param {string} [options.videoId] - Download file name.
+ * @param {object} [options.downloadOptions] - Provider download options plus maxHeight and playlistItem.
+ * @param {{onProgress?: function(string, number): void, signal?: AbortSignal}} [control] - Progress as
+ *   (stage, percent) with stage "download", "compress" or "split", and cancellation.
+ * @returns {Promise<{paths: string[], tempFiles: string[]}>} Files to send, and every created file to remove afterwards.
+ */
+async function fitVideo(videoPath, { limitBytes, url, videoId, downloadOptions }, control = {}) {
+    const { onProgress, signal } = control;
+    const tempFiles = [];
+    const fits = (file) => fs.statSync(file).size <= limitBytes;
+
+    if (fits(videoPath)) {
+        return { paths: [videoPath], tempFiles };
+    }
+
+    // 1. Let yt-dlp pick a format whose reported size is under the limit
+    if (url) {
+        const limitMB = Math.floor(limitBytes / 1024 / 1024);
+        const maxHeight = downloadOptions.maxHeight || 720;
+        try {
+            const selectedPath = await downloadVideo(url, `${videoId}_fit`, {
+                ...downloadOptions,
+                // Only mp4, the result is sent and cached as .mp4 and has to play inline
+                format: () => `best[ext=mp4][height<=${maxHeight}][filesize<${limitMB}M]/best[ext=mp4][height<=${maxHeight}][filesize_approx<${limitMB}M]/best[ext=mp4][filesize<${limitMB}M]/best[ext=mp4][filesize_approx<${limitMB}M]`
+            }, {
+                onProgress: onProgress ? (percent) => onProgress('download', percent) : undefined,
+                signal
+            });
+            tempFiles.push(selectedPath);
+            if (fits(selectedPath)) {
+                log.info('Smaller format selected with yt-dlp');
+                fitStrategies.inc({ strategy: 'format' });
+                return { paths: [selectedPath], tempFiles };
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            log.warn('No format under the size limit', { reason: error.message.split('\n')[0] });
+        }
+    }
+
+    // 2. Two-pass encoding on the resolution ladder
+    const compressedPath = await compressVideo(videoPath, limitBytes, control);
+    if (compressedPath) {
+        tempFiles.push(compressedPath);
+        fitStrategies.inc({ strategy: 'compress' });
+        return { paths: [compressedPath], tempFiles };
+    }
+
+    // 3. Numbered parts
+    const parts = await splitVideo(videoPath, limitBytes, control);
+    tempFiles.push(...parts);
+    fitStrategies.inc({ strategy: 'split' });
+    return { paths: parts, tempFiles };
+}
+
+module.exports = {
+    RESOLUTION_LADDER,
+    pickResolution,
+    compressVideo,
+    splitVideo,
+    fitVideo
+};
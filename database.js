@@ -1,66 +1,1320 @@
 const sqlite3 = require('sqlite3').verbose();
-const db = new sqlite3.Database('./reels_cache.db');
-
-// Создаем таблицу для кэша, если она не существует
-db.serialize(() => {
-    // Создаем таблицу с новым полем caption
-    // reel_id может содержать префикс типа: "instagram:ID" или "youtube:ID"
-    db.run(`CREATE TABLE IF NOT EXISTS cache (
-        reel_id TEXT PRIMARY KEY,
-        file_id TEXT,
-        caption TEXT
-    )`);
-
-    // Добавляем колонку caption, если она не существует (для старых БД)
-    db.run("ALTER TABLE cache ADD COLUMN caption TEXT", (err) => {
-        if (err && !err.message.includes('duplicate column')) {
-            console.error('Error adding caption column:', err);
-        }
+const { logger } = require('./logger.js');
+const { counter } = require('./metrics.js');
+
+const log = logger.child({ module: 'database' });
+// Попадания и промахи кэша: kind = file (file_id бота) или metadata (Open Graph веб-сервера)
+const cacheLookups = counter('pinsta_cache_lookups_total', 'Cache lookups by kind and result');
+
+// --- Настройки ---
+// Путь к БД общий для бота и веб-сервера
+const DB_PATH = process.env.DB_PATH || './reels_cache.db';
+// Время жизни file_id в днях (0 - без ограничения)
+const CACHE_FILE_TTL_DAYS = parseFloat(process.env.CACHE_FILE_TTL_DAYS) || 0;
+// Время жизни мета-данных Open Graph в секундах
+const CACHE_METADATA_TTL_SECONDS = parseFloat(process.env.CACHE_METADATA_TTL_SECONDS) || 300;
+// Максимальное количество записей в кэше, лишние вытесняются по LRU (0 - без ограничения)
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 0;
+// Интервал очистки кэша в минутах
+const CACHE_EVICTION_INTERVAL_MINUTES = parseFloat(process.env.CACHE_EVICTION_INTERVAL_MINUTES) || 60;
+// Сколько дней хранится история запросов для /stats (0 - без ограничения)
+const STATS_RETENTION_DAYS = parseFloat(process.env.STATS_RETENTION_DAYS ?? '365') || 0;
+
+const db = new sqlite3.Database(DB_PATH);
+// Бот и веб-сервер работают с БД одновременно
+db.configure('busyTimeout', 5000);
+
+// --- Промис-обертки над sqlite3 ---
+
+function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+}
+
+function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
     });
+}
+
+// --- Миграции ---
+// Текущая версия схемы хранится в PRAGMA user_version.
+// Новые миграции добавляются в конец списка, старые не изменяются.
+const migrations = [
+    {
+        version: 1,
+        description: 'базовая схема: кэш file_id, элементы альбомов, очередь задач',
+        async up() {
+            // reel_id содержит префикс типа: "instagram:ID" или "youtube:ID"
+            await run(`CREATE TABLE IF NOT EXISTS cache (
+                reel_id TEXT PRIMARY KEY,
+                file_id TEXT,
+                caption TEXT
+            )`);
+            // В самых старых БД колонки caption нет
+            const columns = await all("PRAGMA table_info(cache)");
+            if (!columns.some((column) => column.name === 'caption')) {
+                await run("ALTER TABLE cache ADD COLUMN caption TEXT");
+            }
+
+            await run(`CREATE TABLE IF NOT EXISTS cache_items (
+                reel_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                media_type TEXT NOT NULL,
+                file_id TEXT NOT NULL,
+                PRIMARY KEY (reel_id, position)
+            )`);
+
+            // Очередь задач на скачивание. Переживает перезапуски бота:
+            // status: pending -> running -> done | dead
+            await run(`CREATE TABLE IF NOT EXISTS jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id INTEGER NOT NULL,
+                message_id INTEGER,
+                url TEXT NOT NULL,
+                type TEXT NOT NULL,
+                video_id TEXT NOT NULL,
+                cache_key TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                run_at INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`);
+            await run("CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)");
+        }
+    },
+    {
+        version: 2,
+        description: 'единая таблица media для бота и веб-сервера',
+        async up() {
+            const now = Date.now();
+
+            // Одна строка на видео/пост: file_id бота, мета-данные Open Graph веб-сервера,
+            // размеры и статистика обращений
+            await run(`CREATE TABLE media (
+                cache_key TEXT PRIMARY KEY,
+                provider TEXT NOT NULL,
+                video_id TEXT NOT NULL,
+                file_id TEXT,
+                caption TEXT,
+                title TEXT,
+                description TEXT,
+                thumbnail_url TEXT,
+                video_url TEXT,
+                video_type TEXT,
+                source_url TEXT,
+                width INTEGER,
+                height INTEGER,
+                duration REAL,
+                file_size INTEGER,
+                hit_count INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL,
+                file_cached_at INTEGER,
+                metadata_cached_at INTEGER,
+                last_hit_at INTEGER
+            )`);
+            await run("CREATE INDEX idx_media_last_hit_at ON media (last_hit_at)");
+            await run(
+                `INSERT INTO media (cache_key, provider, video_id, file_id, caption, created_at, updated_at, file_cached_at)
+                 SELECT reel_id,
+                        substr(reel_id, 1, instr(reel_id, ':') - 1),
+                        substr(reel_id, instr(reel_id, ':') + 1),
+                        file_id, caption, ?, ?, ?
+                 FROM cache`,
+                [now, now, now]
+            );
+
+            await run(`CREATE TABLE media_items (
+                cache_key TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                media_type TEXT NOT NULL,
+                file_id TEXT NOT NULL,
+                PRIMARY KEY (cache_key, position)
+            )`);
+            await run(
+                `INSERT INTO media_items (cache_key, position, media_type, file_id)
+                 SELECT reel_id, position, media_type, file_id FROM cache_items`
+            );
+
+            await run("DROP TABLE cache_items");
+            await run("DROP TABLE cache");
+        }
+    },
+    {
+        version: 3,
+        description: 'настройки чатов, параметры задач, автор и текст поста',
+        async up() {
+            // Настройки хранятся в JSON, значения по умолчанию задаются в settings.js
+            await run(`CREATE TABLE chat_settings (
+                chat_id INTEGER PRIMARY KEY,
+                settings TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`);
+            // Снимок настроек чата на момент постановки задачи (JSON)
+            await run("ALTER TABLE jobs ADD COLUMN options TEXT");
+            await run("ALTER TABLE media ADD COLUMN author TEXT");
+            await run("ALTER TABLE media ADD COLUMN post_text TEXT");
+        }
+    },
+    {
+        version: 4,
+        description: 'мета-данные поста: лайки, просмотры, музыка, дата публикации',
+        async up() {
+            await run("ALTER TABLE media ADD COLUMN like_count INTEGER");
+            await run("ALTER TABLE media ADD COLUMN view_count INTEGER");
+            await run("ALTER TABLE media ADD COLUMN music TEXT");
+            // Дата в формате yt-dlp: YYYYMMDD
+            await run("ALTER TABLE media ADD COLUMN upload_date TEXT");
+        }
+    },
+    {
+        version: 5,
+        description: 'срок жизни отдельных записей: истории, хайлайты, аватары',
+        async up() {
+            // NULL - запись живет по общим правилам CACHE_FILE_TTL_DAYS
+            await run("ALTER TABLE media ADD COLUMN expires_at INTEGER");
+        }
+    },
+    {
+        version: 6,
+        description: 'копии загрузок в архивном канале',
+        async up() {
+            // Канал и сообщение с файлом: по ним file_id восстанавливается без повторного скачивания
+            await run("ALTER TABLE media ADD COLUMN archive_chat_id TEXT");
+            await run("ALTER TABLE media ADD COLUMN archive_message_id INTEGER");
+            await run("ALTER TABLE media_items ADD COLUMN archive_message_id INTEGER");
+        }
+    },
+    {
+        version: 7,
+        description: 'история запросов для статистики',
+        async up() {
+            // Одна строка на ссылку из сообщения. status: pending, done, failed, cancelled, skipped;
+            // source: cache, download или preview (только ссылка на страницу превью)
+            await run(`CREATE TABLE requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id INTEGER NOT NULL,
+                user_id INTEGER,
+                provider TEXT NOT NULL,
+                video_id TEXT NOT NULL,
+                cache_key TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                source TEXT,
+                created_at INTEGER NOT NULL,
+                completed_at INTEGER
+            )`);
+            await run("CREATE INDEX idx_requests_chat_created_at ON requests (chat_id, created_at)");
+            await run("CREATE INDEX idx_requests_created_at ON requests (created_at)");
+        }
+    },
+    {
+        version: 8,
+        description: 'доступ к боту: списки разрешенных и заблокированных, настройки бота',
+        async up() {
+            // kind: chat или user, list: allow или block. Одна запись на чат или пользователя
+            await run(`CREATE TABLE access_rules (
+                kind TEXT NOT NULL,
+                id INTEGER NOT NULL,
+                list TEXT NOT NULL,
+                created_by INTEGER,
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (kind, id)
+            )`);
+            // Глобальные настройки бота (режим доступа и т.п.), значения в JSON
+            await run(`CREATE TABLE bot_settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`);
+        }
+    }
+];
+
+/**
+ * Применяет недостающие миграции. Каждая миграция выполняется в отдельной транзакции,
+ * версия перепроверяется внутри нее, поэтому бот и веб-сервер могут стартовать одновременно.
+ */
+async function migrate() {
+    await run("PRAGMA journal_mode = WAL");
+
+    for (const migration of migrations) {
+        await run("BEGIN IMMEDIATE");
+        try {
+            const { user_version: currentVersion } = await get("PRAGMA user_version");
+            if (currentVersion >= migration.version) {
+                await run("COMMIT");
+                continue;
+            }
+            await migration.up();
+            await run(`PRAGMA user_version = ${migration.version}`);
+            await run("COMMIT");
+            log.info('Миграция БД применена', { version: migration.version, description: migration.description });
+        } catch (err) {
+            await run("ROLLBACK").catch(() => {});
+            throw err;
+        }
+    }
+}
+
+// Все запросы ждут завершения миграций
+const ready = migrate();
+ready.catch((err) => {
+    log.error('Ошибка миграции БД', { error: err });
 });
 
+/**
+ * Разбивает ключ кэша "provider:videoId" на части
+ */
+function splitCacheKey(cacheKey) {
+    const index = cacheKey.indexOf(':');
+    return {
+        provider: cacheKey.slice(0, index),
+        videoId: cacheKey.slice(index + 1)
+    };
+}
+
+/**
+ * Создает строку media, если ее еще нет
+ */
+function ensureMediaRow(cacheKey, now) {
+    const { provider, videoId } = splitCacheKey(cacheKey);
+    return run(
+        "INSERT OR IGNORE INTO media (cache_key, provider, video_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+        [cacheKey, provider, videoId, now, now]
+    );
+}
+
+/**
+ * Увеличивает счетчик обращений к записи кэша
+ */
+function touchMedia(cacheKey) {
+    run("UPDATE media SET hit_count = hit_count + 1, last_hit_at = ? WHERE cache_key = ?", [Date.now(), cacheKey])
+        .catch((err) => log.error('Ошибка записи в БД', { error: err }));
+}
+
+// --- Кэш file_id (бот) ---
+
 /**
  * Получает данные из кэша по video_id (с префиксом типа)
- * @param {string} videoId - ID видео с префиксом (например, "instagram:ABC" или "youtube:XYZ")
- * @returns {Promise<{fileId: string, caption: string}|null>} - данные или null
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC" или "youtube:XYZ")
+ * @returns {Promise<{fileId: string, caption: string, author: string|null, postText: string|null,
+ *   likeCount: number|null, viewCount: number|null, music: string|null, uploadDate: string|null, sourceUrl: string|null,
+ *   archiveChatId: string|null, archiveMessageId: number|null,
+ *   items: Array<{type: string, fileId: string, archiveMessageId: number|null}>|null}|null>} - данные или null;
+ *   items заполнен для альбомов и фото, archive* - копия в архивном канале
  */
-function getCachedFileId(reelId) {
-    return new Promise((resolve, reject) => {
-        db.get("SELECT file_id, caption FROM cache WHERE reel_id = ?", [reelId], (err, row) => {
-            if (err) {
-                console.error('Ошибка чтения из БД:', err);
-                return resolve(null);
-            }
-            if (row) {
-                resolve({ fileId: row.file_id, caption: row.caption || null });
-            } else {
-                resolve(null);
-            }
-        });
-    });
+async function getCachedFileId(cacheKey) {
+    try {
+        await ready;
+        const minCachedAt = CACHE_FILE_TTL_DAYS > 0 ? Date.now() - CACHE_FILE_TTL_DAYS * 24 * 60 * 60 * 1000 : 0;
+        const row = await get(
+            `SELECT file_id, caption, author, post_text, like_count, view_count, music, upload_date, source_url,
+                    archive_chat_id, archive_message_id FROM media
+             WHERE cache_key = ? AND file_id IS NOT NULL AND file_cached_at >= ?
+               AND (expires_at IS NULL OR expires_at > ?)`,
+            [cacheKey, minCachedAt, Date.now()]
+        );
+        cacheLookups.inc({ kind: 'file', result: row ? 'hit' : 'miss' });
+        if (!row) {
+            return null;
+        }
+
+        const items = await all(
+            "SELECT media_type, file_id, archive_message_id FROM media_items WHERE cache_key = ? ORDER BY position",
+            [cacheKey]
+        );
+        touchMedia(cacheKey);
+
+        return {
+            fileId: row.file_id,
+            caption: row.caption || null,
+            author: row.author || null,
+            postText: row.post_text || null,
+            likeCount: row.like_count,
+            viewCount: row.view_count,
+            music: row.music || null,
+            uploadDate: row.upload_date || null,
+            sourceUrl: row.source_url || null,
+            archiveChatId: row.archive_chat_id || null,
+            archiveMessageId: row.archive_message_id || null,
+            items: items.length > 0
+                ? items.map((item) => ({
+                    type: item.media_type,
+                    fileId: item.file_id,
+                    archiveMessageId: item.archive_message_id || null
+                }))
+                : null
+        };
+    } catch (err) {
+        log.error('Ошибка чтения из БД', { error: err });
+        return null;
+    }
 }
 
 /**
  * Сохраняет file_id и caption в кэш
- * @param {string} videoId - ID видео с префиксом (например, "instagram:ABC" или "youtube:XYZ")
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC" или "youtube:XYZ")
  * @param {string} fileId - file_id видео в Telegram
  * @param {string|null} caption - заголовок видео (опционально)
+ * @param {{width?: number, height?: number, duration?: number, fileSize?: number, expiresAt?: number|null,
+ *   archiveChatId?: string|null, archiveMessageId?: number|null}} details -
+ *   параметры видео, время, когда запись устаревает, и сообщение в архивном канале (опционально)
+ * @returns {Promise<void>}
  */
-function cacheFileId(reelId, fileId, caption = null) {
-    db.run(
-        "INSERT OR REPLACE INTO cache (reel_id, file_id, caption) VALUES (?, ?, ?)",
-        [reelId, fileId, caption],
-        (err) => {
-            if (err) {
-                console.error('Ошибка записи в БД:', err);
-            } else {
-                console.log(`Кэширован reel_id: ${reelId}${caption ? ` (caption: "${caption}")` : ''}`);
+async function cacheFileId(cacheKey, fileId, caption = null, details = {}) {
+    const now = Date.now();
+    try {
+        await ready;
+        await ensureMediaRow(cacheKey, now);
+        await run(
+            `UPDATE media SET file_id = ?, caption = ?,
+                width = COALESCE(?, width), height = COALESCE(?, height),
+                duration = COALESCE(?, duration), file_size = COALESCE(?, file_size),
+                file_cached_at = ?, expires_at = ?, archive_chat_id = ?, archive_message_id = ?, updated_at = ?
+             WHERE cache_key = ?`,
+            [
+                fileId, caption,
+                details.width || null, details.height || null,
+                details.duration || null, details.fileSize || null,
+                now, details.expiresAt || null,
+                details.archiveChatId ? String(details.archiveChatId) : null, details.archiveMessageId || null,
+                now, cacheKey
+            ]
+        );
+        // Пост мог раньше кэшироваться как альбом
+        await run("DELETE FROM media_items WHERE cache_key = ?", [cacheKey]);
+        log.info('Кэширован file_id', { cacheKey, caption });
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+/**
+ * Сохраняет альбом (карусель или фото-пост) в кэш: упорядоченный список file_id и caption
+ * @param {string} cacheKey - ID поста с префиксом (например, "instagram:ABC")
+ * @param {Array<{type: 'photo'|'video'|'audio', fileId: string, archiveMessageId?: number|null}>} items - элементы
+ *   в порядке поста
+ * @param {string|null} caption - заголовок альбома (опционально)
+ * @param {{expiresAt?: number|null, archiveChatId?: string|null}} options - время, когда запись устаревает,
+ *   и архивный канал с копиями элементов (опционально)
+ * @returns {Promise<void>}
+ */
+async function cacheMediaGroup(cacheKey, items, caption = null, { expiresAt = null, archiveChatId = null } = {}) {
+    const now = Date.now();
+    try {
+        await ready;
+        await ensureMediaRow(cacheKey, now);
+        await run("DELETE FROM media_items WHERE cache_key = ?", [cacheKey]);
+        await run(
+            `INSERT INTO media_items (cache_key, position, media_type, file_id, archive_message_id)
+             VALUES ${items.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+            items.flatMap((item, position) => [cacheKey, position, item.type, item.fileId, item.archiveMessageId || null])
+        );
+        // file_id выставляется последним: до этого getCachedFileId не вернет неполный альбом
+        await run(
+            `UPDATE media SET file_id = ?, caption = ?, file_cached_at = ?, expires_at = ?,
+                archive_chat_id = ?, archive_message_id = ?, updated_at = ?
+             WHERE cache_key = ?`,
+            [
+                items[0].fileId, caption, now, expiresAt,
+                archiveChatId ? String(archiveChatId) : null, items[0].archiveMessageId || null,
+                now, cacheKey
+            ]
+        );
+        log.info('Кэширован альбом', { cacheKey, items: items.length });
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+/**
+ * Сохраняет мета-данные оригинального поста: автор, текст, лайки, просмотры, музыка, дата, ссылка
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @param {{author: string|null, postText: string|null, likeCount?: number|null, viewCount?: number|null,
+ *   music?: string|null, uploadDate?: string|null, sourceUrl?: string|null}} info
+ * @returns {Promise<void>}
+ */
+async function updatePostInfo(cacheKey, { author, postText, likeCount, viewCount, music, uploadDate, sourceUrl }) {
+    const now = Date.now();
+    try {
+        await ready;
+        await ensureMediaRow(cacheKey, now);
+        await run(
+            `UPDATE media SET author = ?, post_text = ?, like_count = ?, view_count = ?, music = ?, upload_date = ?,
+                source_url = COALESCE(?, source_url), updated_at = ?
+             WHERE cache_key = ?`,
+            [
+                author || null, postText || null,
+                Number.isFinite(likeCount) ? likeCount : null, Number.isFinite(viewCount) ? viewCount : null,
+                music || null, uploadDate || null, sourceUrl || null,
+                now, cacheKey
+            ]
+        );
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+// --- Кэш мета-данных Open Graph (веб-сервер) ---
+
+/**
+ * Получает мета-данные поста, если они не старше CACHE_METADATA_TTL_SECONDS
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @returns {Promise<{title: string, description: string, image: string, video: string, videoType: string,
+ *   originalUrl: string, width: number|null, height: number|null, duration: number|null}|null>}
+ */
+async function getCachedMetadata(cacheKey) {
+    try {
+        await ready;
+        const row = await get(
+            "SELECT * FROM media WHERE cache_key = ? AND metadata_cached_at >= ?",
+            [cacheKey, Date.now() - CACHE_METADATA_TTL_SECONDS * 1000]
+        );
+        cacheLookups.inc({ kind: 'metadata', result: row ? 'hit' : 'miss' });
+        if (!row) {
+            return null;
+        }
+        touchMedia(cacheKey);
+
+        return {
+            title: row.title,
+            description: row.description,
+            image: row.thumbnail_url,
+            video: row.video_url,
+            videoType: row.video_type,
+            originalUrl: row.source_url,
+            width: row.width,
+            height: row.height,
+            duration: row.duration
+        };
+    } catch (err) {
+        log.error('Ошибка чтения из БД', { error: err });
+        return null;
+    }
+}
+
+/**
+ * Сохраняет мета-данные поста. Длительность из мета-данных нужна для проверки лимита длины
+ * до скачивания; уже известная (из ffprobe) не затирается пустой
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @param {{title: string, description: string, image: string, video: string, videoType: string, originalUrl: string,
+ *   duration?: number|null}} data
+ * @returns {Promise<void>}
+ */
+async function cacheMetadata(cacheKey, data) {
+    const now = Date.now();
+    try {
+        await ready;
+        await ensureMediaRow(cacheKey, now);
+        await run(
+            `UPDATE media SET title = ?, description = ?, thumbnail_url = ?, video_url = ?, video_type = ?,
+                source_url = ?, duration = COALESCE(?, duration), metadata_cached_at = ?, updated_at = ?
+             WHERE cache_key = ?`,
+            [data.title, data.description, data.image, data.video, data.videoType, data.originalUrl,
+                data.duration || null, now, now, cacheKey]
+        );
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+/**
+ * Получает параметры видео (размеры, длительность, размер файла) независимо от срока жизни мета-данных
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @returns {Promise<{width: number|null, height: number|null, duration: number|null, fileSize: number|null}|null>}
+ */
+async function getMediaDetails(cacheKey) {
+    try {
+        await ready;
+        const row = await get("SELECT width, height, duration, file_size FROM media WHERE cache_key = ?", [cacheKey]);
+        if (!row) {
+            return null;
+        }
+        return { width: row.width, height: row.height, duration: row.duration, fileSize: row.file_size };
+    } catch (err) {
+        log.error('Ошибка чтения из БД', { error: err });
+        return null;
+    }
+}
+
+/**
+ * Сохраняет параметры видео, полученные через ffprobe
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @param {{width?: number, height?: number, duration?: number, fileSize?: number}} details
+ * @returns {Promise<void>}
+ */
+async function updateMediaDetails(cacheKey, details) {
+    const now = Date.now();
+    try {
+        await ready;
+        await ensureMediaRow(cacheKey, now);
+        await run(
+            `UPDATE media SET width = COALESCE(?, width), height = COALESCE(?, height),
+                duration = COALESCE(?, duration), file_size = COALESCE(?, file_size), updated_at = ?
+             WHERE cache_key = ?`,
+            [details.width || null, details.height || null, details.duration || null, details.fileSize || null, now, cacheKey]
+        );
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+/**
+ * Забывает file_id записи (и элементы альбома, и копию в архивном канале), когда Telegram больше
+ * его не принимает, например после смены токена бота. Мета-данные остаются, видео скачивается заново
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @returns {Promise<void>}
+ */
+async function invalidateFileId(cacheKey) {
+    try {
+        await ready;
+        await run("DELETE FROM media_items WHERE cache_key = ?", [cacheKey]);
+        await run(
+            `UPDATE media SET file_id = NULL, file_cached_at = NULL, archive_chat_id = NULL, archive_message_id = NULL,
+                updated_at = ?
+             WHERE cache_key = ?`,
+            [Date.now(), cacheKey]
+        );
+        log.info('Сброшен file_id', { cacheKey });
+    } catch (err) {
+        log.error('Ошибка записи в БД', { error: err });
+    }
+}
+
+/**
+ * Заменяет file_id записи новыми, например полученными из архивного канала после смены токена.
+ * Остальные поля записи не меняются
+ * @param {string} cacheKey - ID видео с префиксом (например, "instagram:ABC")
+ * @param {string[]} fileIds - file_id в порядке элементов (один для видео)
+ * @returns {Promise<void>}
+ */
+async function replaceFileIds(cacheKey, fileIds) {
+    const now = Date.now();
+    await ready;
+    for (const [position, fileId] of fileIds.entries()) {
+        await run("UPDATE media_items SET file_id = ? WHERE cache_key = ? AND position = ?", [fileId, cacheKey, position]);
+    }
+    await run(
+        "UPDATE media SET file_id = ?, file_cached_at = ?, updated_at = ? WHERE cache_key = ?",
+        [fileIds[0], now, now, cacheKey]
+    );
+}
+
+// --- Обслуживание кэша (maintenance.js) ---
+
+/**
+ * Возвращает записи, у которых есть копия в архивном канале
+ * @returns {Promise<Array<{cacheKey: string, archiveChatId: string, messageIds: number[]}>>}
+ */
+async function listArchivedEntries() {
+    await ready;
+    const rows = await all(
+        `SELECT cache_key, archive_chat_id, archive_message_id FROM media
+         WHERE file_id IS NOT NULL AND archive_chat_id IS NOT NULL AND archive_message_id IS NOT NULL
+         ORDER BY cache_key`
+    );
+    const entries = [];
+    for (const row of rows) {
+        const items = await all(
+            "SELECT archive_message_id FROM media_items WHERE cache_key = ? ORDER BY position",
+            [row.cache_key]
+        );
+        // Альбом без копий отдельных элементов восстановить нельзя
+        if (items.some((item) => !item.archive_message_id)) continue;
+        entries.push({
+            cacheKey: row.cache_key,
+            archiveChatId: row.archive_chat_id,
+            messageIds: items.length > 0 ? items.map((item) => item.archive_message_id) : [row.archive_message_id]
+        });
+    }
+    return entries;
+}
+
+/**
+ * Возвращает все закэшированные file_id: у альбома - file_id каждого элемента
+ * @returns {Promise<Array<{cacheKey: string, fileIds: string[]}>>}
+ */
+async function listCachedFileIds() {
+    await ready;
+    const rows = await all("SELECT cache_key, file_id FROM media WHERE file_id IS NOT NULL ORDER BY cache_key");
+    const items = await all("SELECT cache_key, file_id FROM media_items ORDER BY cache_key, position");
+    const itemsByKey = new Map();
+    for (const item of items) {
+        if (!itemsByKey.has(item.cache_key)) itemsByKey.set(item.cache_key, []);
+        itemsByKey.get(item.cache_key).push(item.file_id);
+    }
+    return rows.map((row) => ({
+        cacheKey: row.cache_key,
+        fileIds: itemsByKey.get(row.cache_key) || [row.file_id]
+    }));
+}
+
+/**
+ * Выгружает кэш: строки media как есть (имена колонок из БД) и элементы альбомов в поле items
+ * @returns {Promise<Array<object>>}
+ */
+async function exportCache() {
+    await ready;
+    const rows = await all("SELECT * FROM media ORDER BY cache_key");
+    const items = await all("SELECT * FROM media_items ORDER BY cache_key, position");
+    return rows.map((row) => {
+        const rowItems = items
+            .filter((item) => item.cache_key === row.cache_key)
+            .map(({ cache_key: itemCacheKey, ...item }) => item);
+        return { ...row, items: rowItems };
+    });
+}
+
+/**
+ * Загружает записи, выгруженные exportCache: существующие записи с тем же ключом заменяются.
+ * Неизвестные колонки пропускаются, все записи загружаются в одной транзакции
+ * @param {Array<object>} entries - записи с cache_key и колонками media, items - элементы альбома (опционально)
+ * @returns {Promise<number>} - количество загруженных записей
+ */
+async function importCache(entries) {
+    await ready;
+    const columns = (await all("PRAGMA table_info(media)")).map((column) => column.name);
+    const now = Date.now();
+
+    await run("BEGIN IMMEDIATE");
+    try {
+        for (const entry of entries) {
+            if (!entry.cache_key || !String(entry.cache_key).includes(':')) {
+                throw new Error(`Некорректный cache_key: ${entry.cache_key}`);
             }
+            // provider и video_id берутся из ключа, если их нет в записи
+            const { provider, videoId } = splitCacheKey(String(entry.cache_key));
+            const row = { provider, video_id: videoId, created_at: now, updated_at: now, hit_count: 0 };
+            for (const column of columns) {
+                if (entry[column] !== undefined && entry[column] !== '') row[column] = entry[column];
+            }
+            const names = columns.filter((column) => row[column] !== undefined);
+            await run(
+                `INSERT OR REPLACE INTO media (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+                names.map((column) => row[column])
+            );
+
+            await run("DELETE FROM media_items WHERE cache_key = ?", [entry.cache_key]);
+            for (const [index, item] of (entry.items || []).entries()) {
+                await run(
+                    "INSERT INTO media_items (cache_key, position, media_type, file_id, archive_message_id) VALUES (?, ?, ?, ?, ?)",
+                    [entry.cache_key, item.position ?? index, item.media_type, item.file_id, item.archive_message_id || null]
+                );
+            }
+        }
+        await run("COMMIT");
+    } catch (err) {
+        await run("ROLLBACK").catch(() => {});
+        throw err;
+    }
+    log.info('Кэш загружен', { entries: entries.length });
+    return entries.length;
+}
+
+// --- Очистка кэша ---
+
+/**
+ * Удаляет устаревшие записи и вытесняет лишние по LRU:
+ *   - file_id старше CACHE_FILE_TTL_DAYS забываются
+ *   - записи с истекшим expires_at (истории, аватары) удаляются
+ *   - записи без file_id и с устаревшими мета-данными удаляются
+ *   - при превышении CACHE_MAX_ENTRIES удаляются давно не использованные записи
+ * @returns {Promise<{expired: number, evicted: number}>}
+ */
+async function evictCache() {
+    const now = Date.now();
+    let expired = 0;
+    let evicted = 0;
+    try {
+        await ready;
+
+        if (CACHE_FILE_TTL_DAYS > 0) {
+            const cutoff = now - CACHE_FILE_TTL_DAYS * 24 * 60 * 60 * 1000;
+            await run(
+                "DELETE FROM media_items WHERE cache_key IN (SELECT cache_key FROM media WHERE file_cached_at < ?)",
+                [cutoff]
+            );
+            await run("UPDATE media SET file_id = NULL, file_cached_at = NULL WHERE file_cached_at < ?", [cutoff]);
+        }
+
+        const metadataCutoff = now - CACHE_METADATA_TTL_SECONDS * 1000;
+        ({ changes: expired } = await run(
+            `DELETE FROM media WHERE (file_id IS NULL AND (metadata_cached_at IS NULL OR metadata_cached_at < ?))
+                OR expires_at <= ?`,
+            [metadataCutoff, now]
+        ));
+
+        if (CACHE_MAX_ENTRIES > 0) {
+            ({ changes: evicted } = await run(
+                `DELETE FROM media WHERE cache_key IN (
+                    SELECT cache_key FROM media
+                    ORDER BY COALESCE(last_hit_at, updated_at) DESC
+                    LIMIT -1 OFFSET ?
+                )`,
+                [CACHE_MAX_ENTRIES]
+            ));
         }
+
+        await run("DELETE FROM media_items WHERE cache_key NOT IN (SELECT cache_key FROM media)");
+    } catch (err) {
+        log.error('Ошибка очистки кэша', { error: err });
+    }
+    return { expired, evicted };
+}
+
+let evictionTimer = null;
+
+/**
+ * Запускает периодическую очистку кэша. Не держит процесс живым.
+ */
+function startCacheEviction() {
+    // В режиме webhook бот и веб-сервер работают в одном процессе и оба вызывают эту функцию
+    if (evictionTimer) return;
+    evictionTimer = setInterval(async () => {
+        const { expired, evicted } = await evictCache();
+        if (expired > 0 || evicted > 0) {
+            log.info('Очистка кэша', { expired, evicted });
+        }
+        // История запросов чистится заодно с кэшем
+        await pruneRequests();
+    }, CACHE_EVICTION_INTERVAL_MINUTES * 60 * 1000);
+    evictionTimer.unref();
+}
+
+// --- История запросов ---
+
+/**
+ * Записывает запрос ссылки из сообщения
+ * @param {{chatId: number, userId: number|null, provider: string, videoId: string, cacheKey: string}} request
+ * @returns {Promise<number|null>} - id записи или null, если записать не удалось
+ */
+async function recordRequest({ chatId, userId, provider, videoId, cacheKey }) {
+    try {
+        await ready;
+        const { lastID } = await run(
+            `INSERT INTO requests (chat_id, user_id, provider, video_id, cache_key, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [chatId, userId, provider, videoId, cacheKey, Date.now()]
+        );
+        return lastID;
+    } catch (err) {
+        log.error('Ошибка записи запроса в БД', { error: err });
+        return null;
+    }
+}
+
+/**
+ * Отмечает, чем закончился запрос. Меняется только запрос в ожидании, так что повторный
+ * итог (например, после повтора задачи) не перезаписывает первый
+ * @param {number} id - id записи
+ * @param {{status: 'done'|'failed'|'cancelled'|'skipped', source?: 'cache'|'download'|'preview'|null}} outcome
+ * @returns {Promise<void>}
+ */
+async function finishRequest(id, { status, source = null }) {
+    try {
+        await ready;
+        await run(
+            "UPDATE requests SET status = ?, source = ?, completed_at = ? WHERE id = ? AND status = 'pending'",
+            [status, source, Date.now(), id]
+        );
+    } catch (err) {
+        log.error('Ошибка обновления запроса в БД', { error: err });
+    }
+}
+
+/**
+ * Считает статистику запросов за период
+ * @param {{chatId?: number|null, since?: number|null, until?: number|null, limit?: number}} filter -
+ *   чат (null - все чаты), границы периода в мс и длина топов
+ * @returns {Promise<{total: number, done: number, failed: number, cacheHits: number, downloads: number,
+ *   avgDownloadMs: number|null, avgCacheMs: number|null, chats: number, users: number,
+ *   platforms: Array<{provider: string, count: number}>,
+ *   top: Array<{provider: string, videoId: string, count: number}>}>}
+ */
+async function getRequestStats({ chatId = null, since = null, until = null, limit = 5 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (chatId !== null) {
+        conditions.push('chat_id = ?');
+        params.push(chatId);
+    }
+    if (since !== null) {
+        conditions.push('created_at >= ?');
+        params.push(since);
+    }
+    if (until !== null) {
+        conditions.push('created_at < ?');
+        params.push(until);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    await ready;
+    const totals = await get(
+        `SELECT COUNT(*) AS total,
+                COALESCE(SUM(status = 'done'), 0) AS done,
+                COALESCE(SUM(status = 'failed'), 0) AS failed,
+                COALESCE(SUM(source = 'cache'), 0) AS cache_hits,
+                COALESCE(SUM(source = 'download'), 0) AS downloads,
+                AVG(CASE WHEN source = 'download' THEN completed_at - created_at END) AS avg_download_ms,
+                AVG(CASE WHEN source = 'cache' THEN completed_at - created_at END) AS avg_cache_ms,
+                COUNT(DISTINCT chat_id) AS chats,
+                COUNT(DISTINCT user_id) AS users
+         FROM requests ${where}`,
+        params
+    );
+    const platforms = await all(
+        `SELECT provider, COUNT(*) AS count FROM requests ${where}
+         GROUP BY provider ORDER BY count DESC, provider LIMIT ?`,
+        [...params, limit]
+    );
+    // Качество и режим (аудио, отрывок) не делают видео другим, поэтому группировка по video_id, а не cache_key
+    const top = await all(
+        `SELECT provider, video_id, COUNT(*) AS count FROM requests ${where}
+         GROUP BY provider, video_id ORDER BY count DESC, MAX(created_at) DESC LIMIT ?`,
+        [...params, limit]
+    );
+
+    return {
+        total: totals.total,
+        done: totals.done,
+        failed: totals.failed,
+        cacheHits: totals.cache_hits,
+        downloads: totals.downloads,
+        avgDownloadMs: totals.avg_download_ms === null ? null : Math.round(totals.avg_download_ms),
+        avgCacheMs: totals.avg_cache_ms === null ? null : Math.round(totals.avg_cache_ms),
+        chats: totals.chats,
+        users: totals.users,
+        platforms,
+        top: top.map((row) => ({ provider: row.provider, videoId: row.video_id, count: row.count }))
+    };
+}
+
+/**
+ * Удаляет записи истории старше STATS_RETENTION_DAYS
+ * @returns {Promise<number>} - количество удаленных записей
+ */
+async function pruneRequests() {
+    if (STATS_RETENTION_DAYS <= 0) return 0;
+    try {
+        await ready;
+        const { changes } = await run(
+            "DELETE FROM requests WHERE created_at < ?",
+            [Date.now() - STATS_RETENTION_DAYS * 24 * 60 * 60 * 1000]
+        );
+        return changes;
+    } catch (err) {
+        log.error('Ошибка очистки истории запросов', { error: err });
+        return 0;
+    }
+}
+
+// --- Настройки чатов ---
+
+/**
+ * Загружает сохраненные настройки чата
+ * @param {number} chatId - ID чата
+ * @returns {Promise<object>} - сохраненные значения (без значений по умолчанию)
+ */
+async function loadChatSettings(chatId) {
+    try {
+        await ready;
+        const row = await get("SELECT settings FROM chat_settings WHERE chat_id = ?", [chatId]);
+        return row ? JSON.parse(row.settings) : {};
+    } catch (err) {
+        log.error('Ошибка чтения настроек из БД', { error: err });
+        return {};
+    }
+}
+
+/**
+ * Сохраняет настройки чата
+ * @param {number} chatId - ID чата
+ * @param {object} settings - настройки
+ * @returns {Promise<void>}
+ */
+async function saveChatSettings(chatId, settings) {
+    await ready;
+    await run(
+        `INSERT INTO chat_settings (chat_id, settings, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(chat_id) DO UPDATE SET settings = excluded.settings, updated_at = excluded.updated_at`,
+        [chatId, JSON.stringify(settings), Date.now()]
+    );
+}
+
+// --- Доступ к боту ---
+
+/**
+ * Загружает списки доступа
+ * @returns {Promise<Array<{kind: 'chat'|'user', id: number, list: 'allow'|'block', createdBy: number|null,
+ *   createdAt: number}>>}
+ */
+async function loadAccessRules() {
+    await ready;
+    const rows = await all("SELECT kind, id, list, created_by, created_at FROM access_rules ORDER BY created_at");
+    return rows.map((row) => ({
+        kind: row.kind,
+        id: row.id,
+        list: row.list,
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    }));
+}
+
+/**
+ * Добавляет чат или пользователя в список (заменяет запись в другом списке)
+ * @param {'chat'|'user'} kind - чат или пользователь
+ * @param {number} id - ID чата или пользователя
+ * @param {'allow'|'block'} list - список
+ * @param {number|null} createdBy - кто добавил
+ * @returns {Promise<void>}
+ */
+async function saveAccessRule(kind, id, list, createdBy = null) {
+    await ready;
+    await run(
+        `INSERT INTO access_rules (kind, id, list, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(kind, id) DO UPDATE SET list = excluded.list, created_by = excluded.created_by,
+            created_at = excluded.created_at`,
+        [kind, id, list, createdBy, Date.now()]
     );
 }
 
+/**
+ * Удаляет чат или пользователя из списков
+ * @param {'chat'|'user'} kind - чат или пользователь
+ * @param {number} id - ID чата или пользователя
+ * @returns {Promise<boolean>} - true, если запись была
+ */
+async function deleteAccessRule(kind, id) {
+    await ready;
+    const { changes } = await run("DELETE FROM access_rules WHERE kind = ? AND id = ?", [kind, id]);
+    return changes > 0;
+}
+
+/**
+ * Читает глобальную настройку бота
+ * @param {string} key - ключ
+ * @returns {Promise<*>} - значение или undefined, если не задано
+ */
+async function loadBotSetting(key) {
+    await ready;
+    const row = await get("SELECT value FROM bot_settings WHERE key = ?", [key]);
+    return row ? JSON.parse(row.value) : undefined;
+}
+
+/**
+ * Сохраняет глобальную настройку бота
+ * @param {string} key - ключ
+ * @param {*} value - значение (сохраняется в JSON)
+ * @returns {Promise<void>}
+ */
+async function saveBotSetting(key, value) {
+    await ready;
+    await run(
+        `INSERT INTO bot_settings (key, value, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        [key, JSON.stringify(value), Date.now()]
+    );
+}
+
+// --- Очередь задач ---
+
+/**
+ * Преобразует строку таблицы jobs в объект задачи
+ */
+function rowToJob(row) {
+    return {
+        id: row.id,
+        chatId: row.chat_id,
+        messageId: row.message_id,
+        url: row.url,
+        type: row.type,
+        videoId: row.video_id,
+        cacheKey: row.cache_key,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        runAt: row.run_at,
+        options: row.options ? JSON.parse(row.options) : {}
+    };
+}
+
+/**
+ * Добавляет задачу скачивания в очередь
+ * @param {{chatId: number, messageId: number, url: string, type: string, videoId: string, cacheKey: string,
+ *   options?: object, request?: object}} job - options сохраняются в JSON. request - запрос для /stats
+ *   (как в recordRequest), он записывается вместе с задачей в одной транзакции, а его id попадает
+ *   в options.requestId: без задачи запроса не остается
+ * @returns {Promise<number>} - id задачи
+ */
+async function enqueueJob(job) {
+    const now = Date.now();
+    try {
+        await ready;
+        if (!job.request) {
+            return await insertJob(job, job.options, now);
+        }
+
+        const { chatId, userId, provider, videoId, cacheKey } = job.request;
+        await run("BEGIN IMMEDIATE");
+        try {
+            const { lastID: requestId } = await run(
+                `INSERT INTO requests (chat_id, user_id, provider, video_id, cache_key, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [chatId, userId, provider, videoId, cacheKey, now]
+            );
+            const id = await insertJob(job, { ...job.options, requestId }, now);
+            await run("COMMIT");
+            return id;
+        } catch (err) {
+            await run("ROLLBACK").catch(() => {});
+            throw err;
+        }
+    } catch (err) {
+        log.error('Ошибка записи задачи в БД', { error: err });
+        throw err;
+    }
+}
+
+/**
+ * Вставляет строку задачи с готовыми options
+ */
+async function insertJob(job, options, now) {
+    const { lastID } = await run(
+        `INSERT INTO jobs (chat_id, message_id, url, type, video_id, cache_key, options, run_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            job.chatId, job.messageId, job.url, job.type, job.videoId, job.cacheKey,
+            options ? JSON.stringify(options) : null, now, now, now
+        ]
+    );
+    return lastID;
+}
+
+/**
+ * Ищет задачу ссылки из сообщения в любом статусе, например уже поставленное в очередь видео
+ * плейлиста при повторе задачи плейлиста
+ * @param {{chatId: number, messageId: number, cacheKey: string}} key
+ * @returns {Promise<object|null>} - задача или null, если ее нет. Ошибка БД пробрасывается:
+ *   отсутствие задачи нельзя путать с тем, что ее не удалось прочитать
+ */
+async function findJob({ chatId, messageId, cacheKey }) {
+    try {
+        await ready;
+        const row = await get(
+            "SELECT * FROM jobs WHERE chat_id = ? AND message_id = ? AND cache_key = ? ORDER BY id LIMIT 1",
+            [chatId, messageId, cacheKey]
+        );
+        return row ? rowToJob(row) : null;
+    } catch (err) {
+        log.error('Ошибка чтения очереди из БД', { error: err });
+        throw err;
+    }
+}
+
+/**
+ * Возвращает задачи, готовые к запуску (pending и run_at <= now), в порядке добавления
+ * @param {number} now - текущее время в мс
+ * @param {number} limit - максимальное количество задач
+ * @returns {Promise<Array<object>>}
+ */
+async function getReadyJobs(now, limit = 100) {
+    try {
+        await ready;
+        const rows = await all(
+            "SELECT * FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY id LIMIT ?",
+            [now, limit]
+        );
+        return rows.map(rowToJob);
+    } catch (err) {
+        log.error('Ошибка чтения очереди из БД', { error: err });
+        return [];
+    }
+}
+
+/**
+ * Возвращает задачу по id
+ * @param {number} id - id задачи
+ * @returns {Promise<object|null>} - задача или null, если ее нет (например, удалена очисткой)
+ */
+async function getJob(id) {
+    try {
+        await ready;
+        const row = await get("SELECT * FROM jobs WHERE id = ?", [id]);
+        return row ? rowToJob(row) : null;
+    } catch (err) {
+        log.error('Ошибка чтения очереди из БД', { error: err });
+        return null;
+    }
+}
+
+/**
+ * Помечает задачу как выполняющуюся и увеличивает счетчик попыток
+ * @param {number} id - id задачи
+ * @returns {Promise<boolean>} - true, если задача была захвачена
+ */
+async function markJobRunning(id) {
+    await ready;
+    const { changes } = await run(
+        "UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'",
+        [Date.now(), id]
+    );
+    return changes > 0;
+}
+
+/**
+ * Откладывает задачу без расхода попытки (например, при превышении лимита запросов к платформе)
+ * @param {number} id - id задачи
+ * @param {number} runAt - время следующего запуска, мс
+ * @returns {Promise<void>}
+ */
+async function deferJob(id, runAt) {
+    try {
+        await ready;
+        await run(
+            "UPDATE jobs SET status = 'pending', attempts = MAX(attempts - 1, 0), run_at = ?, updated_at = ? WHERE id = ?",
+            [runAt, Date.now(), id]
+        );
+    } catch (err) {
+        log.error('Ошибка обновления задачи в БД', { error: err });
+    }
+}
+
+/**
+ * Обновляет статус задачи после попытки выполнения
+ * @param {number} id - id задачи
+ * @param {'pending'|'done'|'dead'|'cancelled'} status - новый статус
+ * @param {{error?: string, runAt?: number}} options - текст ошибки и время следующей попытки
+ * @returns {Promise<void>}
+ */
+async function updateJobStatus(id, status, { error = null, runAt = null } = {}) {
+    try {
+        await ready;
+        await run(
+            "UPDATE jobs SET status = ?, last_error = COALESCE(?, last_error), run_at = COALESCE(?, run_at), updated_at = ? WHERE id = ?",
+            [status, error, runAt, Date.now(), id]
+        );
+    } catch (err) {
+        log.error('Ошибка обновления задачи в БД', { error: err });
+    }
+}
+
+/**
+ * Возвращает в очередь задачи, прерванные падением или перезапуском процесса
+ * @returns {Promise<number>} - количество восстановленных задач
+ */
+async function requeueRunningJobs() {
+    try {
+        await ready;
+        const { changes } = await run(
+            "UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'",
+            [Date.now()]
+        );
+        return changes;
+    } catch (err) {
+        log.error('Ошибка восстановления очереди', { error: err });
+        return 0;
+    }
+}
+
+/**
+ * Удаляет выполненные и отмененные задачи старше указанного возраста
+ * @param {number} maxAgeMs - максимальный возраст в мс
+ */
+async function pruneDoneJobs(maxAgeMs) {
+    try {
+        await ready;
+        await run("DELETE FROM jobs WHERE status IN ('done', 'cancelled') AND updated_at < ?", [Date.now() - maxAgeMs]);
+    } catch (err) {
+        log.error('Ошибка очистки очереди', { error: err });
+    }
+}
+
+/**
+ * Проверяет, что БД открыта и отвечает на запросы (для /healthz)
+ * @returns {Promise<boolean>}
+ */
+async function checkDatabase() {
+    try {
+        await ready;
+        await get("SELECT 1");
+        return true;
+    } catch (err) {
+        log.error('БД недоступна', { error: err });
+        return false;
+    }
+}
+
+/**
+ * Считает задачи очереди, ожидающие выполнения
+ * @returns {Promise<number|null>}
+ */
+async function countPendingJobs() {
+    try {
+        await ready;
+        const row = await get("SELECT COUNT(*) AS count FROM jobs WHERE status = 'pending'");
+        return row.count;
+    } catch (err) {
+        log.error('Ошибка чтения из БД', { error: err });
+        return null;
+    }
+}
+
 module.exports = {
+    checkDatabase,
     getCachedFileId,
-    cacheFileId
-};
\ No newline at end of file
+    cacheFileId,
+    cacheMediaGroup,
+    updatePostInfo,
+    getCachedMetadata,
+    cacheMetadata,
+    getMediaDetails,
+    updateMediaDetails,
+    invalidateFileId,
+    replaceFileIds,
+    listArchivedEntries,
+    listCachedFileIds,
+    exportCache,
+    importCache,
+    evictCache,
+    startCacheEviction,
+    loadChatSettings,
+    saveChatSettings,
+    enqueueJob,
+    getReadyJobs,
+    getJob,
+    findJob,
+    countPendingJobs,
+    markJobRunning,
+    deferJob,
+    updateJobStatus,
+    requeueRunningJobs,
+    pruneDoneJobs,
+    recordRequest,
+    finishRequest,
+    getRequestStats,
+    pruneRequests,
+    loadAccessRules,
+    saveAccessRule,
+    deleteAccessRule,
+    loadBotSetting,
+    saveBotSetting
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { runProcess, runYtDlp } = require('./subprocess.js');
+const { AuthRequiredError } = require('./queue.js');
+const { logger } = require('./logger.js');
+
+const log = logger.child({ module: 'downloader' });
+
+// Download timeout: at least a minute, more for files up to the upload limit (~250 KB/s)
+// and for clips, which yt-dlp cuts with ffmpeg while downloading
+const DOWNLOAD_MIN_TIMEOUT_MS = 60000;
+const DOWNLOAD_TIMEOUT_MS_PER_MB = 4000;
+const DOWNLOAD_TIMEOUT_MS_PER_SECTION_SECOND = 1000;
+
+/**
+ * Turns a yt-dlp failure caused by a missing or expired login into AuthRequiredError,
+ * so it is reported to the user instead of being retried. Only providers with cookie auth
+ * know which of their messages mean that (downloadOptions.authErrorPattern); YouTube's
+ * "Sign in to confirm you're not a bot ... --cookies" is a temporary block and stays retryable.
+ * @param {Error} error - yt-dlp error.
+ * @param {{authErrorPattern?: RegExp}} [options] - Provider download options.
+ * @returns {Error}
+ */
+function classifyError(error, { authErrorPattern } = {}) {
+    const output = `${error.message}\n${error.stderr || ''}`;
+    if (!error.timedOut && authErrorPattern && authErrorPattern.test(output)) {
+        const lastLine = output.trim().split('\n').pop();
+        return new AuthRequiredError(`Login required: ${lastLine}`);
+    }
+    return error;
+}
+
+/**
+ * Downloads a video using yt-dlp with size limit for Telegram.
+ * @param {string} url - The video URL.
+ * @param {string} videoId - The video ID for the output filename (can include type prefix).
+ * @param {{format: function(number, number): string, args?: function(): string[], mergeOutputFormat?: string,
+ *   authErrorPattern?: RegExp, maxHeight?: number, maxFileMB?: number, playlistItem?: number, sectionEnd?: number, outputDir?: string}} options -
+ *   Provider download options plus the resolution and file size caps, playlistItem selects one item of a carousel
+ *   (1-based), sectionEnd keeps only the first seconds of the video, outputDir defaults to the OS temp dir.
+ * @param {{onProgress?: function(number): void, signal?: AbortSignal}} [control] - Progress callback
+ *   (percent) and cancellation.
+ * @returns {Promise<string>} The path to the downloaded video.
+ */
+async function downloadVideo(url, videoId, options, { onProgress, signal } = {}) {
+    const outputDir = options.outputDir || os.tmpdir();
+    // Replace ':' with '_' for filesystem compatibility
+    const safeVideoId = videoId.replace(/:/g, '_');
+    const outputPath = path.join(outputDir, `${safeVideoId}.mp4`);
+
+    // Format selection comes from the provider and is limited
+    // to fit within Telegram's upload limit
+    const args = ['-f', options.format(options.maxHeight, options.maxFileMB)];
+    if (options.args) args.push(...options.args());
+    if (options.mergeOutputFormat) args.push('--merge-output-format', options.mergeOutputFormat);
+    if (options.playlistItem) args.push('--playlist-items', String(options.playlistItem));
+    if (options.sectionEnd) args.push('--download-sections', `*0-${options.sectionEnd}`);
+    // "--" ends the options, so a link can't be read as one
+    args.push('-o', outputPath, '--', url);
+
+    const timeoutMs = Math.max(
+        DOWNLOAD_MIN_TIMEOUT_MS,
+        (options.maxFileMB || 50) * DOWNLOAD_TIMEOUT_MS_PER_MB,
+        (options.sectionEnd || 0) * DOWNLOAD_TIMEOUT_MS_PER_SECTION_SECOND
+    );
+    try {
+        await runYtDlp(args, { timeoutMs, onProgress, signal });
+    } catch (error) {
+        log.error('Download error', { error });
+        throw classifyError(error, options);
+    }
+    if (!fs.existsSync(outputPath)) {
+        throw new Error('Downloaded file not found.');
+    }
+    return outputPath;
+}
+
+/**
+ * Downloads only the audio track as m4a, for sendAudio.
+ * @param {string} url - The video URL.
+ * @param {string} videoId - The video ID for the output filename (can include type prefix).
+ * @param {{bitrate: number, args?: function(): string[], authErrorPattern?: RegExp, outputDir?: string}} options -
+ *   Audio bitrate in kbps, provider arguments and the output directory.
+ * @param {{onProgress?: function(number): void, signal?: AbortSignal}} [control] - Progress and cancellation.
+ * @returns {Promise<string>} The path to the audio file.
+ */
+async function downloadAudio(url, videoId, options, { onProgress, signal } = {}) {
+    const outputDir = options.outputDir || os.tmpdir();
+    const base = path.join(outputDir, `${videoId.replace(/:/g, '_')}_audio`);
+    const outputPath = `${base}.m4a`;
+
+    const args = ['-f', 'bestaudio[ext=m4a]/bestaudio', '-x', '--audio-format', 'm4a', '--audio-quality', `${options.bitrate}K`];
+    if (options.args) args.push(...options.args());
+    args.push('-o', `${base}.%(ext)s`, '--', url);
+
+    try {
+        // Long videos are transcoded to a lower bitrate, which takes a while
+        await runYtDlp(args, { timeoutMs: 300000, onProgress, signal });
+    } catch (error) {
+        log.error('Audio download error', { error });
+        throw classifyError(error, options);
+    }
+    if (!fs.existsSync(outputPath)) {
+        throw new Error('Downloaded audio not found.');
+    }
+    return outputPath;
+}
+
+/**
+ * Fetches post metadata with yt-dlp without downloading anything.
+ * Carousels come back as a playlist; photo items have no formats, only thumbnails.
+ * @param {string} url - The post URL.
+ * @param {{args?: function(): string[], authErrorPattern?: RegExp}} [options] - Provider download options,
+ *   for extra yt-dlp arguments.
+ * @param {{signal?: AbortSignal}} [control] - Cancellation.
+ * @returns {Promise<object>} The yt-dlp info JSON.
+ */
+async function fetchVideoInfo(url, options = {}, { signal } = {}) {
+    const args = ['--dump-single-json', '--ignore-no-formats-error'];
+    if (options.args) args.push(...options.args());
+    args.push('--', url);
+
+    let stdout;
+    try {
+        ({ stdout } = await runYtDlp(args, { timeoutMs: 60000, signal }));
+    } catch (error) {
+        log.error('Metadata error', { error });
+        throw classifyError(error, options);
+    }
+    try {
+        return JSON.parse(stdout);
+    } catch (parseError) {
+        throw new Error('Invalid yt-dlp metadata');
+    }
+}
+
+/**
+ * Lists the first videos of a playlist without resolving each of them.
+ * @param {string} url - The playlist URL.
+ * @param {{limit: number, args?: function(): string[], authErrorPattern?: RegExp}} options - Maximum number
+ *   of entries, provider arguments.
+ * @param {{signal?: AbortSignal}} [control] - Cancellation.
+ * @returns {Promise<{title: string|null, count: number|null, entries: Array<{id: string, url: string|null,
+ *   title: string|null, duration: number|null}>}>}
+ */
+async function fetchPlaylist(url, options, { signal } = {}) {
+    const args = ['--flat-playlist', '--dump-single-json', '--playlist-end', String(options.limit)];
+    if (options.args) args.push(...options.args());
+    args.push('--', url);
+
+    let stdout;
+    try {
+        ({ stdout } = await runYtDlp(args, { timeoutMs: 60000, signal }));
+    } catch (error) {
+        log.error('Playlist error', { error });
+        throw classifyError(error, options);
+    }
+
+    let info;
+    try {
+        info = JSON.parse(stdout);
+    } catch (parseError) {
+        throw new Error('Invalid yt-dlp metadata');
+    }
+    return {
+        title: info.title || null,
+        count: info.playlist_count || null,
+        entries: (info.entries || []).filter((entry) => entry && entry.id).map((entry) => ({
+            id: entry.id,
+            url: entry.url || null,
+            title: entry.title || null,
+            duration: entry.duration || null
+        }))
+    };
+}
+
+/**
+ * Reads the real video dimensions and duration with ffprobe.
+ * @param {string} videoPath - Path to the video file.
+ * @returns {Promise<{width: number|null, height: number|null, duration: number|null, fileSize: number}>}
+ */
+async function probeVideo(videoPath) {
+    let stdout;
+    try {
+        ({ stdout } = await runProcess('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-show_entries', 'stream=width,height:format=duration',
+            '-of', 'json',
+            videoPath
+        ], { timeoutMs: 10000 }));
+    } catch (error) {
+        log.error('Probe error', { error });
+        throw error;
+    }
+
+    let info;
+    try {
+        info = JSON.parse(stdout);
+    } catch (parseError) {
+        throw new Error('Invalid ffprobe output');
+    }
+
+    const stream = (info.streams || [])[0] || {};
+    const duration = parseFloat(info.format && info.format.duration);
+    return {
+        width: stream.width || null,
+        height: stream.height || null,
+        duration: duration > 0 ? duration : null,
+        fileSize: fs.statSync(videoPath).size
+    };
+}
+
+module.exports = {
+    downloadVideo,
+    downloadAudio,
+    fetchVideoInfo,
+    fetchPlaylist,
+    probeVideo
+};
@@ -0,0 +1,180 @@
+/**
+ * English messages, the fallback for keys missing from other catalogs. See i18n/index.js.
+ */
+module.exports = {
+    'language.name': 'English',
+    // Open Graph og:locale
+    locale: 'en_US',
+
+    'common.on': 'ON',
+    'common.off': 'OFF',
+
+    // Job status messages
+    'status.download': 'Downloading',
+    'status.compress': 'Compressing',
+    'status.split': 'Splitting',
+    'status.upload': 'Uploading',
+    'status.cancel': '✖️ Cancel',
+    'status.cancelled': '✖️ Cancelled',
+
+    'error.link': '❌ Error processing link: {url}',
+    'error.compress': '❌ Couldn\'t compress the video ({size} MB), it is too large.',
+    'error.login_required': '🔒 {platform} requires a login to open this link, and the bot has no valid session (cookies are missing or expired): {url}',
+    'error.no_yt_dlp': '⚠️ yt-dlp is not available. Cannot download video.',
+
+    'long.question': '⏱ This video is {duration} long, the chat limit is {limit} min.',
+    'long.question_size': '⏱ This video is {duration} long (~{size} MB), the chat limit is {limit} min.',
+    'long.ask': 'What should I send?',
+    'long.audio': '🎵 Audio only',
+    'long.clip': '✂️ First {minutes} min',
+    'long.skip': '✖️ Skip',
+    'long.expired': 'This request has expired',
+    'long.not_allowed': '⛔ Only the sender or chat admins can choose.',
+
+    'cancel.finished': 'Already finished',
+    'cancel.not_allowed': '⛔ Only the sender or chat admins can cancel.',
+
+    'playlist.title': 'Playlist',
+    'playlist.first': 'Sending the first {count} of {total} videos',
+    'playlist.all': { one: 'Sending {count} video', other: 'Sending {count} videos' },
+
+    'limit.rate': '⏳ Too many links at once, please slow down. The rest of this message is skipped, try again in {seconds} s.',
+    'limit.links': {
+        one: '⚠️ Only {count} link per message is processed, {skipped} skipped.',
+        other: '⚠️ Only {count} links per message are processed, {skipped} skipped.'
+    },
+
+    // Access control, see access.js
+    'access.private': '⛔ This bot is private.',
+    'access.leaving': '⛔ This bot is private, leaving the chat.',
+    'access.owner_only': '⛔ Only the bot owner can change access.',
+    'access.usage': 'Usage: /{list} [<id>|list|remove <id>], or reply to a message with /{list}',
+    'access.subject.chat': 'chat {id}',
+    'access.subject.user': 'user {id}',
+    'access.list.allow': '✅ Allowed:',
+    'access.list.block': '🚫 Blocked:',
+    'access.empty.allow': 'The allow list is empty',
+    'access.empty.block': 'The block list is empty',
+    'access.removed': '↩️ {subject} removed from the lists',
+    'access.not_listed': '{subject} is not on the lists',
+    'access.allowed': '✅ {subject} allowed',
+    'access.blocked': '🚫 {subject} blocked',
+    'access.mode': '🔐 Access mode: {mode}',
+    'access.mode_usage': 'Usage: /mode private|public',
+    'access.chat_allowed': 'This chat was added to the allow list.',
+    'access.private_notice': 'Groups that are not on the allow list are left on their next message.',
+    'access.error.mode': 'Unsupported access mode: {value}',
+    'access.error.list': 'Unsupported access list: {value}',
+    'access.error.block_owner': 'The owner can\'t be blocked',
+
+    // /settings and its keyboard, see settings.js
+    'settings.title': '⚙️ Chat settings',
+    'settings.admins_only': '⛔ Only chat admins can change settings.',
+    'settings.saved': '✅ Saved',
+    'settings.ai_captions': '🤖 AI captions: {value}',
+    'settings.hashtags': '#️⃣ Hashtags: {value}',
+    'settings.original': '📝 Original post info: {value}',
+    'settings.quality': '📺 Max quality: {value}p',
+    'settings.duration': '⏱ Max length: {value}',
+    'settings.links': '🔗 Links per message: {value}',
+    'settings.reply_mode.reply': '↩️ Mode: reply to message',
+    'settings.reply_mode.repost': '🔁 Mode: delete & repost',
+    'settings.preview': '🌐 Preview link: {value}',
+    'settings.preview.off': 'OFF',
+    'settings.preview.caption': 'in caption',
+    'settings.preview.only': 'instead of video',
+    'settings.language': '🌍 Language: {value}',
+    'settings.language.auto': 'auto',
+    'settings.close': '✖️ Close',
+    'settings.error.quality': 'Unsupported quality: {value}',
+    'settings.error.duration': 'Max duration must be between 0 and {max} minutes',
+    'settings.error.links': 'Links per message must be between 1 and {max}',
+    'settings.error.reply_mode': 'Unsupported reply mode: {value}',
+    'settings.error.preview_link': 'Unsupported preview link mode: {value}',
+    'settings.error.language': 'Unsupported language: {value}',
+    'settings.error.caption_language': 'Unsupported caption language: {value}',
+    'settings.error.caption_words': 'Caption word limit must be between 1 and {max}',
+    'settings.error.caption_prompt': 'Caption prompt is longer than {max} characters',
+    'settings.error.caption_template': 'Caption template is longer than {max} characters',
+
+    'duration.minutes': '{minutes} min',
+    'duration.no_limit': 'no limit',
+    'duration.current': '⏱ Max video length: {value}',
+    'duration.usage': 'Usage: /duration <minutes>|off',
+    'quality.current': '📺 Max quality: {value}p',
+    'quality.usage': 'Usage: /quality {options}',
+
+    'language.current': '🌍 Language: {language}',
+    'language.current_auto': '🌍 Language: {language} (auto)',
+    'language.usage': 'Usage: /language {options}|auto',
+
+    'captions.usage': 'Usage:\n/captions on|off\n/captions lang <code>|auto\n/captions words <n>\n/captions prompt <text with {words} and {language}>|reset\n/captions hashtags on|off',
+    'captions.ai': '🤖 AI captions: {value}',
+    'captions.language': '🌐 Language: {value}',
+    'captions.language_auto': 'auto ({language})',
+    'captions.words': '🔢 Words: {value}',
+    'captions.prompt': '📝 Prompt: {value}',
+    'captions.prompt_default': 'default',
+    'captions.hashtags': '#️⃣ Hashtags: {value}',
+
+    // Links of the default caption template
+    'template.source': 'Source',
+    'template.preview': 'Preview',
+    'template.current': '📝 Caption template:',
+    'template.current_default': '📝 Caption template (default):',
+    'template.usage': 'Usage: /template <HTML with {ai} {author} {description} {title} {likes} {views} {music} {date} {url} {platform} {sharedBy}>|reset',
+    'template.empty': '(empty)',
+    'template.saved': '✅ Caption template saved',
+
+    // /stats, see stats.js
+    'stats.usage': 'Usage: /stats [all] [today|7d|YYYY-MM-DD|YYYY-MM-DD..YYYY-MM-DD]',
+    'stats.owner_only': '⛔ Only the bot owner can see global stats.',
+    'stats.failed': '❌ Failed to build stats',
+    'stats.error.one_period': 'Only one period can be given, got "{arg}" too',
+    'stats.error.range': 'Invalid date range "{arg}", use YYYY-MM-DD..YYYY-MM-DD',
+    'stats.error.range_order': 'The range "{arg}" ends before it starts',
+    'stats.error.date': 'Invalid date "{arg}"',
+    'stats.error.unknown': 'Unknown argument "{arg}"',
+    'stats.period.all': 'all time',
+    'stats.period.today': 'today',
+    'stats.period.h': { one: 'last hour', other: 'last {count} hours' },
+    'stats.period.d': { one: 'last day', other: 'last {count} days' },
+    'stats.period.w': { one: 'last week', other: 'last {count} weeks' },
+    'stats.period.day': '{date}',
+    'stats.period.range': '{from} – {to}',
+    'stats.period.since': '{from} – now',
+    'stats.period.until': '… – {to}',
+    'stats.title.global': 'Global stats',
+    'stats.title.chat': 'Chat stats',
+    'stats.empty': 'No links shared yet.',
+    'stats.links': '🔗 Links: {total} (✅ {done} sent, ❌ {failed} failed)',
+    'stats.cache_hits': '💾 Cache hits: {percent}% ({hits} of {served})',
+    'stats.avg_time': '⏱ Avg time: {download} download, {cache} from cache',
+    'stats.seconds': '{value} s',
+    'stats.chats_users': '💬 Chats: {chats} · 👤 Users: {users}',
+    'stats.top_platforms': 'Top platforms',
+    'stats.most_shared': 'Most shared',
+
+    // Inline mode
+    'inline.rate_limited': '⏳ Too many requests',
+    'inline.try_again': 'Try again in {seconds} s',
+    'inline.processing': '⏳ Processing…',
+    'inline.processing_description': 'The video is downloading and will appear in the message when ready',
+    'inline.original': '🔗 Original',
+
+    // Web server, see server.js and views/
+    'web.too_many_requests': 'Too many requests, please try again later',
+    'web.server_error': 'Internal server error',
+    'web.post_not_found': 'Couldn\'t get the post data',
+    'web.unsupported_link': 'Link is not supported',
+    'web.video_not_found': 'Video not found',
+    'web.video_failed': 'Couldn\'t get the video',
+    'web.video_too_long': 'Videos longer than {minutes} min are not served',
+    'web.oembed_format': 'Only format=json is supported',
+    'web.open_in': 'Open in {platform}',
+    'web.home.description': 'Proxy for Instagram Reels and other videos with Open Graph support',
+    'web.home.example': 'Example:',
+    'web.home.original': 'Original link:',
+    'web.home.proxy': 'Proxy link for Telegram:',
+    'web.home.any': 'Any supported link (YouTube, TikTok, X/Twitter, ...):'
+};
@@ -0,0 +1,125 @@
+/**
+ * Localization of bot messages and web pages.
+ *
+ * Every language is a message catalog in this directory: keys map to strings with
+ * {placeholders}, or to plural forms ({one, few, many, other}) picked by the `count`
+ * parameter. Keys missing from a catalog fall back to English.
+ *
+ * The bot speaks the language chosen with /language, otherwise the user's Telegram language;
+ * the web server follows the Accept-Language header. Anything else gets DEFAULT_LANGUAGE.
+ */
+
+const catalogs = {
+    en: require('./en.js'),
+    ru: require('./ru.js')
+};
+
+const LANGUAGES = Object.keys(catalogs);
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const pluralRules = new Map();
+
+/**
+ * Turns a language tag ("ru", "en-US", "pt_BR") into a supported language.
+ * @param {string|null|undefined} code
+ * @returns {string|null} The language, or null if it isn't supported.
+ */
+function normalizeLanguage(code) {
+    if (!code) return null;
+    const language = String(code).toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * The first supported language of the candidates, in order of preference.
+ * @param {...(string|null|undefined)} candidates - Language tags.
+ * @returns {string}
+ */
+function resolveLanguage(...candidates) {
+    for (const candidate of candidates) {
+        const language = normalizeLanguage(candidate);
+        if (language) return language;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Picks a language from an Accept-Language header ("ru-RU,ru;q=0.9,en;q=0.8").
+ * @param {string|undefined} header
+ * @returns {string}
+ */
+function languageFromAcceptLanguage(header) {
+    const ranges = String(header || '').split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+            return { tag, q: q ? parseFloat(q[1]) : 1 };
+        })
+        .filter((range) => range.tag && range.q > 0)
+        // Array#sort is stable, so equal weights keep the header order
+        .sort((a, b) => b.q - a.q);
+    return resolveLanguage(...ranges.map((range) => range.tag));
+}
+
+function selectPlural(language, forms, count) {
+    if (!pluralRules.has(language)) {
+        pluralRules.set(language, new Intl.PluralRules(language));
+    }
+    return forms[pluralRules.get(language).select(count)] || forms.other;
+}
+
+/**
+ * Translates a message.
+ * @param {string} language - A supported language, see resolveLanguage.
+ * @param {string} key - Catalog key.
+ * @param {object} [params] - Placeholder values; `count` also selects the plural form.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+function t(language, key, params = {}) {
+    const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+    let message = key in catalog ? catalog[key] : catalogs.en[key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+        message = selectPlural(language, message, params.count);
+    }
+    return message.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * An error shown to users: the message is a catalog key, translated where it is shown.
+ * `message` holds the English text for logs.
+ */
+class LocalizedError extends Error {
+    /**
+     * @param {string} key - Catalog key.
+     * @param {object} [params] - Placeholder values.
+     */
+    constructor(key, params = {}) {
+        super(t('en', key, params));
+        this.name = 'LocalizedError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/**
+ * The text of an error for users: translated for a LocalizedError, the message otherwise.
+ * @param {string} language
+ * @param {Error} error
+ * @returns {string}
+ */
+function localizeError(language, error) {
+    return error instanceof LocalizedError ? t(language, error.key, error.params) : error.message;
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    resolveLanguage,
+    languageFromAcceptLanguage,
+    t,
+    LocalizedError,
+    localizeError
+};
@@ -0,0 +1,197 @@
+/**
+ * Russian messages. See i18n/index.js.
+ */
+module.exports = {
+    'language.name': 'Русский',
+    // Open Graph og:locale
+    locale: 'ru_RU',
+
+    'common.on': 'ВКЛ',
+    'common.off': 'ВЫКЛ',
+
+    // Job status messages
+    'status.download': 'Скачиваю',
+    'status.compress': 'Сжимаю',
+    'status.split': 'Делю на части',
+    'status.upload': 'Загружаю',
+    'status.cancel': '✖️ Отмена',
+    'status.cancelled': '✖️ Отменено',
+
+    'error.link': '❌ Не удалось обработать ссылку: {url}',
+    'error.compress': '❌ Не удалось сжать видео ({size} MB). Слишком большой размер.',
+    'error.login_required': '🔒 {platform} требует вход, чтобы открыть эту ссылку, а у бота нет рабочей сессии (cookies отсутствуют или устарели): {url}',
+    'error.no_yt_dlp': '⚠️ yt-dlp недоступен. Не могу скачать видео.',
+
+    'long.question': '⏱ Длина видео {duration}, лимит чата {limit} мин.',
+    'long.question_size': '⏱ Длина видео {duration} (~{size} MB), лимит чата {limit} мин.',
+    'long.ask': 'Что отправить?',
+    'long.audio': '🎵 Только звук',
+    'long.clip': '✂️ Первые {minutes} мин',
+    'long.skip': '✖️ Пропустить',
+    'long.expired': 'Запрос устарел',
+    'long.not_allowed': '⛔ Выбрать может только отправитель или админы чата.',
+
+    'cancel.finished': 'Уже готово',
+    'cancel.not_allowed': '⛔ Отменить может только отправитель или админы чата.',
+
+    'playlist.title': 'Плейлист',
+    'playlist.first': 'Отправляю первые {count} из {total} видео',
+    'playlist.all': 'Отправляю {count} видео',
+
+    'limit.rate': '⏳ Слишком много ссылок сразу, помедленнее. Остальные ссылки сообщения пропущены, попробуйте через {seconds} с.',
+    'limit.links': {
+        one: '⚠️ Обрабатывается только {count} ссылка в сообщении, пропущено: {skipped}.',
+        few: '⚠️ Обрабатываются только {count} ссылки в сообщении, пропущено: {skipped}.',
+        many: '⚠️ Обрабатываются только {count} ссылок в сообщении, пропущено: {skipped}.',
+        other: '⚠️ Обрабатываются только {count} ссылки в сообщении, пропущено: {skipped}.'
+    },
+
+    // Access control, see access.js
+    'access.private': '⛔ Это приватный бот.',
+    'access.leaving': '⛔ Это приватный бот, выхожу из чата.',
+    'access.owner_only': '⛔ Менять доступ может только владелец бота.',
+    'access.usage': 'Использование: /{list} [<id>|list|remove <id>] или ответ на сообщение командой /{list}',
+    'access.subject.chat': 'чат {id}',
+    'access.subject.user': 'пользователь {id}',
+    'access.list.allow': '✅ Разрешены:',
+    'access.list.block': '🚫 Заблокированы:',
+    'access.empty.allow': 'Список разрешенных пуст',
+    'access.empty.block': 'Список заблокированных пуст',
+    'access.removed': '↩️ {subject} удален из списков',
+    'access.not_listed': '{subject} нет в списках',
+    'access.allowed': '✅ {subject} разрешен',
+    'access.blocked': '🚫 {subject} заблокирован',
+    'access.mode': '🔐 Режим доступа: {mode}',
+    'access.mode_usage': 'Использование: /mode private|public',
+    'access.chat_allowed': 'Этот чат добавлен в список разрешенных.',
+    'access.private_notice': 'Из групп не из списка разрешенных бот выйдет при следующем сообщении.',
+    'access.error.mode': 'Неизвестный режим доступа: {value}',
+    'access.error.list': 'Неизвестный список доступа: {value}',
+    'access.error.block_owner': 'Владельца нельзя заблокировать',
+
+    // /settings and its keyboard, see settings.js
+    'settings.title': '⚙️ Настройки чата',
+    'settings.admins_only': '⛔ Менять настройки могут только админы чата.',
+    'settings.saved': '✅ Сохранено',
+    'settings.ai_captions': '🤖 AI-подписи: {value}',
+    'settings.hashtags': '#️⃣ Хэштеги: {value}',
+    'settings.original': '📝 Данные поста: {value}',
+    'settings.quality': '📺 Макс. качество: {value}p',
+    'settings.duration': '⏱ Макс. длина: {value}',
+    'settings.links': '🔗 Ссылок в сообщении: {value}',
+    'settings.reply_mode.reply': '↩️ Режим: ответ на сообщение',
+    'settings.reply_mode.repost': '🔁 Режим: удалить и переслать',
+    'settings.preview': '🌐 Ссылка на превью: {value}',
+    'settings.preview.off': 'ВЫКЛ',
+    'settings.preview.caption': 'в подписи',
+    'settings.preview.only': 'вместо видео',
+    'settings.language': '🌍 Язык: {value}',
+    'settings.language.auto': 'авто',
+    'settings.close': '✖️ Закрыть',
+    'settings.error.quality': 'Неподдерживаемое качество: {value}',
+    'settings.error.duration': 'Макс. длина должна быть от 0 до {max} минут',
+    'settings.error.links': 'Ссылок в сообщении должно быть от 1 до {max}',
+    'settings.error.reply_mode': 'Неизвестный режим ответа: {value}',
+    'settings.error.preview_link': 'Неизвестный режим ссылки на превью: {value}',
+    'settings.error.language': 'Неподдерживаемый язык: {value}',
+    'settings.error.caption_language': 'Неподдерживаемый язык подписей: {value}',
+    'settings.error.caption_words': 'Число слов подписи должно быть от 1 до {max}',
+    'settings.error.caption_prompt': 'Промпт подписи длиннее {max} символов',
+    'settings.error.caption_template': 'Шаблон подписи длиннее {max} символов',
+
+    'duration.minutes': '{minutes} мин',
+    'duration.no_limit': 'без ограничения',
+    'duration.current': '⏱ Макс. длина видео: {value}',
+    'duration.usage': 'Использование: /duration <минуты>|off',
+    'quality.current': '📺 Макс. качество: {value}p',
+    'quality.usage': 'Использование: /quality {options}',
+
+    'language.current': '🌍 Язык: {language}',
+    'language.current_auto': '🌍 Язык: {language} (авто)',
+    'language.usage': 'Использование: /language {options}|auto',
+
+    'captions.usage': 'Использование:\n/captions on|off\n/captions lang <код>|auto\n/captions words <n>\n/captions prompt <текст с {words} и {language}>|reset\n/captions hashtags on|off',
+    'captions.ai': '🤖 AI-подписи: {value}',
+    'captions.language': '🌐 Язык: {value}',
+    'captions.language_auto': 'авто ({language})',
+    'captions.words': '🔢 Слов: {value}',
+    'captions.prompt': '📝 Промпт: {value}',
+    'captions.prompt_default': 'по умолчанию',
+    'captions.hashtags': '#️⃣ Хэштеги: {value}',
+
+    // Links of the default caption template
+    'template.source': 'Источник',
+    'template.preview': 'Превью',
+    'template.current': '📝 Шаблон подписи:',
+    'template.current_default': '📝 Шаблон подписи (по умолчанию):',
+    'template.usage': 'Использование: /template <HTML с {ai} {author} {description} {title} {likes} {views} {music} {date} {url} {platform} {sharedBy}>|reset',
+    'template.empty': '(пусто)',
+    'template.saved': '✅ Шаблон подписи сохранен',
+
+    // /stats, see stats.js
+    'stats.usage': 'Использование: /stats [all] [today|7d|YYYY-MM-DD|YYYY-MM-DD..YYYY-MM-DD]',
+    'stats.owner_only': '⛔ Общую статистику видит только владелец бота.',
+    'stats.failed': '❌ Не удалось собрать статистику',
+    'stats.error.one_period': 'Можно указать только один период, а еще указан "{arg}"',
+    'stats.error.range': 'Неверный диапазон дат "{arg}", формат YYYY-MM-DD..YYYY-MM-DD',
+    'stats.error.range_order': 'Диапазон "{arg}" заканчивается раньше, чем начинается',
+    'stats.error.date': 'Неверная дата "{arg}"',
+    'stats.error.unknown': 'Неизвестный аргумент "{arg}"',
+    'stats.period.all': 'все время',
+    'stats.period.today': 'сегодня',
+    'stats.period.h': {
+        one: 'последний {count} час',
+        few: 'последние {count} часа',
+        many: 'последние {count} часов',
+        other: 'последние {count} часа'
+    },
+    'stats.period.d': {
+        one: 'последний {count} день',
+        few: 'последние {count} дня',
+        many: 'последние {count} дней',
+        other: 'последние {count} дня'
+    },
+    'stats.period.w': {
+        one: 'последняя {count} неделя',
+        few: 'последние {count} недели',
+        many: 'последние {count} недель',
+        other: 'последние {count} недели'
+    },
+    'stats.period.day': '{date}',
+    'stats.period.range': '{from} – {to}',
+    'stats.period.since': '{from} – сейчас',
+    'stats.period.until': '… – {to}',
+    'stats.title.global': 'Общая статистика',
+    'stats.title.chat': 'Статистика чата',
+    'stats.empty': 'Ссылок пока не было.',
+    'stats.links': '🔗 Ссылок: {total} (✅ {done} отправлено, ❌ {failed} с ошибкой)',
+    'stats.cache_hits': '💾 Из кэша: {percent}% ({hits} из {served})',
+    'stats.avg_time': '⏱ Среднее время: скачивание {download}, из кэша {cache}',
+    'stats.seconds': '{value} с',
+    'stats.chats_users': '💬 Чатов: {chats} · 👤 Пользователей: {users}',
+    'stats.top_platforms': 'Популярные платформы',
+    'stats.most_shared': 'Чаще всего',
+
+    // Inline mode
+    'inline.rate_limited': '⏳ Слишком много запросов',
+    'inline.try_again': 'Попробуйте через {seconds} с',
+    'inline.processing': '⏳ Обработка…',
+    'inline.processing_description': 'Видео скачивается и появится в сообщении, когда будет готово',
+    'inline.original': '🔗 Оригинал',
+
+    // Web server, see server.js and views/
+    'web.too_many_requests': 'Слишком много запросов, попробуйте позже',
+    'web.server_error': 'Внутренняя ошибка сервера',
+    'web.post_not_found': 'Не удалось получить данные поста',
+    'web.unsupported_link': 'Ссылка не поддерживается',
+    'web.video_not_found': 'Видео не найдено',
+    'web.video_failed': 'Не удалось получить видео',
+    'web.video_too_long': 'Видео длиннее {minutes} мин не отдаются',
+    'web.oembed_format': 'Поддерживается только format=json',
+    'web.open_in': 'Открыть в {platform}',
+    'web.home.description': 'Сервис для проксирования Instagram Reels и других видео с поддержкой Open Graph',
+    'web.home.example': 'Пример использования:',
+    'web.home.original': 'Оригинальная ссылка:',
+    'web.home.proxy': 'Прокси ссылка для Telegram:',
+    'web.home.any': 'Любая поддерживаемая ссылка (YouTube, TikTok, X/Twitter, ...):'
+};
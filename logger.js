@@ -0,0 +1,106 @@
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logger shared by the bot and the web server.
+ *
+ * Every entry is one JSON line: {time, level, service, msg, ...fields}. Fields of the
+ * current job or HTTP request (jobId, requestId, ...) are added automatically inside
+ * withLogContext(), so modules deep in the pipeline don't have to pass them around.
+ *
+ * LOG_LEVEL: debug, info, warn or error (default info).
+ * LOG_FORMAT: json (default) or text for reading logs in a terminal.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+// "bot" or "server", from the script that was started
+const SERVICE = path.basename(process.argv[1] || 'node', '.js');
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Turns Error values into plain objects, since JSON.stringify drops their fields.
+ */
+function serializeFields(fields, level) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            result[key] = {
+                name: value.name,
+                message: value.message,
+                ...(value.code !== undefined ? { code: value.code } : {}),
+                // Stacks are only useful for unexpected errors
+                ...(level === 'error' ? { stack: value.stack } : {})
+            };
+        } else if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function formatText(entry) {
+    const { time, level, msg, service, ...fields } = entry;
+    const rest = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} [${service}] ${msg}${rest ? ` ${rest}` : ''}`;
+}
+
+function write(level, bound, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: SERVICE,
+        msg,
+        ...contextStorage.getStore(),
+        ...bound,
+        ...serializeFields(fields, level)
+    };
+    let line;
+    try {
+        line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatText(entry);
+    } catch (error) {
+        // Circular structures and BigInts can't be serialized, the message still gets through
+        line = JSON.stringify({ time: entry.time, level, service: SERVICE, msg, logError: error.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Creates a logger with fields added to every entry.
+ * @param {object} [bound] - Fields of this logger (e.g. {module: 'queue'}).
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: function(object): object}}
+ *   Each level method takes (msg, fields).
+ */
+function createLogger(bound = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bound, msg, fields),
+        info: (msg, fields) => write('info', bound, msg, fields),
+        warn: (msg, fields) => write('warn', bound, msg, fields),
+        error: (msg, fields) => write('error', bound, msg, fields),
+        child: (fields) => createLogger({ ...bound, ...fields })
+    };
+}
+
+/**
+ * Runs fn with fields added to every log entry written inside it, including
+ * entries from async callbacks it starts.
+ * @param {object} fields - Context fields (e.g. {jobId: 12}).
+ * @param {function(): *} fn
+ * @returns {*} What fn returns.
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+    logger: createLogger(),
+    createLogger,
+    withLogContext
+};
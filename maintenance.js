@@ -0,0 +1,268 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+const {
+    listCachedFileIds,
+    listArchivedEntries,
+    invalidateFileId,
+    evictCache,
+    exportCache,
+    importCache
+} = require('./database.js');
+const { refreshFromArchive } = require('./archive.js');
+
+/**
+ * Cache maintenance from the command line:
+ *   node maintenance.js verify [--fix]              checks every cached file_id with getFile;
+ *                                                   --fix refreshes archived entries from the archive
+ *                                                   channel and drops the other ones Telegram rejects
+ *   node maintenance.js rebuild                     reads every file_id again from the archive channel,
+ *                                                   e.g. after a bot token change
+ *   node maintenance.js prune                       removes expired entries now (as the periodic eviction does)
+ *   node maintenance.js export <file> [--format json|csv]
+ *   node maintenance.js import <file>               JSON or CSV, by the file extension
+ *
+ * Exports hold the media table rows as they are, album items go to an "items" field
+ * (a JSON string in CSV). Importing replaces entries with the same cache key.
+ */
+
+const USAGE = [
+    'Usage:',
+    '  node maintenance.js verify [--fix]',
+    '  node maintenance.js rebuild',
+    '  node maintenance.js prune',
+    '  node maintenance.js export <file> [--format json|csv]',
+    '  node maintenance.js import <file>'
+].join('\n');
+
+// getFile calls per second stay well under the Bot API limits
+const VERIFY_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Checks one file_id. getFile refuses files over 20 MB with "file is too big",
+ * which still means the file_id is valid.
+ * @returns {Promise<boolean>} false if Telegram rejects the file_id.
+ */
+async function isFileIdValid(bot, fileId) {
+    for (;;) {
+        try {
+            await bot.getFile(fileId);
+            return true;
+        } catch (error) {
+            const body = error.response && error.response.body;
+            if (body && body.error_code === 429) {
+                await sleep(((body.parameters && body.parameters.retry_after) || 1) * 1000);
+                continue;
+            }
+            if (body && body.error_code === 400) {
+                return /file is too big/i.test(body.description || '');
+            }
+            throw error;
+        }
+    }
+}
+
+function createBot(action) {
+    if (!process.env.BOT_TOKEN) {
+        throw new Error(`BOT_TOKEN is required to ${action}`);
+    }
+    return new TelegramBot(process.env.BOT_TOKEN, { polling: false, baseApiUrl: process.env.BOT_API_URL || undefined });
+}
+
+/**
+ * Refreshes an entry from the archive channel, waiting out 429s like isFileIdValid.
+ * @returns {Promise<boolean>} false if the archived messages can't be read.
+ */
+async function refreshEntry(bot, entry) {
+    for (;;) {
+        try {
+            await refreshFromArchive(bot, entry);
+            return true;
+        } catch (error) {
+            const body = error.response && error.response.body;
+            if (body && body.error_code === 429) {
+                await sleep(((body.parameters && body.parameters.retry_after) || 1) * 1000);
+                continue;
+            }
+            console.log(`  ${entry.cacheKey}: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+async function verify({ fix }) {
+    const bot = createBot('verify file_ids');
+
+    const entries = await listCachedFileIds();
+    const archived = new Map((await listArchivedEntries()).map((entry) => [entry.cacheKey, entry]));
+    let stale = 0;
+    let refreshed = 0;
+    for (const { cacheKey, fileIds } of entries) {
+        let valid = true;
+        for (const fileId of fileIds) {
+            valid = await isFileIdValid(bot, fileId);
+            await sleep(VERIFY_DELAY_MS);
+            if (!valid) break;
+        }
+        if (valid) continue;
+
+        stale++;
+        console.log(`stale: ${cacheKey}`);
+        if (!fix) continue;
+        if (archived.has(cacheKey) && await refreshEntry(bot, archived.get(cacheKey))) {
+            refreshed++;
+        } else {
+            await invalidateFileId(cacheKey);
+        }
+    }
+    console.log(`Checked ${entries.length} entries, ${stale} stale` +
+        (stale > 0 && fix ? `, ${refreshed} refreshed from the archive, ${stale - refreshed} dropped` : ''));
+}
+
+async function rebuild() {
+    const bot = createBot('read the archive channel');
+
+    const entries = await listArchivedEntries();
+    let failed = 0;
+    for (const entry of entries) {
+        if (!await refreshEntry(bot, entry)) failed++;
+        await sleep(VERIFY_DELAY_MS * entry.messageIds.length);
+    }
+    console.log(`Rebuilt ${entries.length - failed} of ${entries.length} archived entries`);
+}
+
+async function prune() {
+    const { expired, evicted } = await evictCache();
+    console.log(`Removed ${expired} expired and ${evicted} least recently used entries`);
+}
+
+// --- CSV ---
+
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => toCsvField(row[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses CSV with a header line (RFC 4180: quoted fields may contain commas, quotes and line breaks).
+ * @returns {Array<object>}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [columns, ...rows] = records.filter((r) => r.length > 1 || r[0] !== '');
+    if (!columns) return [];
+    return rows.map((values) => Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+}
+
+// --- Export and import ---
+
+async function exportToFile(file, format) {
+    const entries = await exportCache();
+    const content = format === 'csv' ? toCsv(entries) : `${JSON.stringify(entries, null, 2)}\n`;
+    await fs.promises.writeFile(file, content);
+    console.log(`Exported ${entries.length} entries to ${file}`);
+}
+
+async function importFromFile(file) {
+    const content = await fs.promises.readFile(file, 'utf8');
+    let entries;
+    if (path.extname(file).toLowerCase() === '.csv') {
+        entries = parseCsv(content).map((entry) => ({
+            ...entry,
+            items: entry.items ? JSON.parse(entry.items) : []
+        }));
+    } else {
+        entries = JSON.parse(content);
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error('The file must contain an array of cache entries');
+    }
+    const count = await importCache(entries);
+    console.log(`Imported ${count} entries from ${file}`);
+}
+
+async function main(args) {
+    const [command, ...rest] = args;
+    const flags = rest.filter((arg) => arg.startsWith('--'));
+    const [file] = rest.filter((arg, i) => !arg.startsWith('--') && !(rest[i - 1] === '--format'));
+    const formatIndex = rest.indexOf('--format');
+    const format = formatIndex === -1
+        ? (file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json')
+        : rest[formatIndex + 1];
+
+    switch (command) {
+        case 'verify':
+            return verify({ fix: flags.includes('--fix') });
+        case 'rebuild':
+            return rebuild();
+        case 'prune':
+            return prune();
+        case 'export':
+            if (!file || !['json', 'csv'].includes(format)) break;
+            return exportToFile(file, format);
+        case 'import':
+            if (!file) break;
+            return importFromFile(file);
+        default:
+            break;
+    }
+    console.error(USAGE);
+    process.exitCode = 2;
+}
+
+main(process.argv.slice(2))
+    .then(() => process.exit())
+    .catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
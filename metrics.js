@@ -0,0 +1,176 @@
+/**
+ * Prometheus metrics in the text exposition format, without a client library.
+ *
+ * Metrics are process-wide: the bot and the web server each expose their own on /metrics.
+ * Labels are passed as an object; every label combination is a separate series.
+ */
+
+const metrics = new Map();
+
+// Seconds; pipeline stages range from a cache lookup to a long two-pass encode
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function formatLabels(labels, extra = {}) {
+    const all = { ...labels, ...extra };
+    const names = Object.keys(all);
+    if (names.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${names.map((name) => `${name}="${escape(all[name])}"`).join(',')}}`;
+}
+
+function register(name, type, help, create) {
+    if (metrics.has(name)) return metrics.get(name);
+    const metric = { name, type, help, series: new Map(), ...create() };
+    metrics.set(name, metric);
+    return metric;
+}
+
+function getSeries(metric, labels, init) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels: { ...labels }, ...init() });
+    }
+    return metric.series.get(key);
+}
+
+/**
+ * A value that only goes up (requests, failures).
+ * @param {string} name - Metric name, e.g. "pinsta_jobs_total".
+ * @param {string} help - Description.
+ * @returns {{inc: function(object=, number=): void}}
+ */
+function counter(name, help) {
+    const metric = register(name, 'counter', help, () => ({}));
+    return {
+        inc(labels = {}, value = 1) {
+            getSeries(metric, labels, () => ({ value: 0 })).value += value;
+        }
+    };
+}
+
+/**
+ * A value that goes up and down. With `collect`, the value is read when metrics are rendered.
+ * @param {string} name - Metric name.
+ * @param {string} help - Description.
+ * @param {function(): (number|Promise<number>)} [collect] - Reads the current value.
+ * @returns {{set: function(number, object=): void}}
+ */
+function gauge(name, help, collect) {
+    const metric = register(name, 'gauge', help, () => ({ collect }));
+    return {
+        set(value, labels = {}) {
+            getSeries(metric, labels, () => ({ value: 0 })).value = value;
+        }
+    };
+}
+
+/**
+ * Distribution of durations or sizes.
+ * @param {string} name - Metric name, e.g. "pinsta_stage_duration_seconds".
+ * @param {string} help - Description.
+ * @param {number[]} [buckets] - Upper bounds.
+ * @returns {{observe: function(number, object=): void, startTimer: function(object=): function(object=): number}}
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, 'histogram', help, () => ({ buckets }));
+    const observe = (value, labels = {}) => {
+        const series = getSeries(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    };
+    return {
+        observe,
+        /**
+         * Starts timing; the returned function records the elapsed seconds with the
+         * start labels plus the ones passed to it.
+         */
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                observe(seconds, { ...labels, ...endLabels });
+                return seconds;
+            };
+        }
+    };
+}
+
+/**
+ * Renders all metrics in the Prometheus text format.
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+        if (metric.collect) {
+            try {
+                const value = await metric.collect();
+                getSeries(metric, {}, () => ({ value: 0 })).value = value;
+            } catch (error) {
+                // A failed collector only drops its own value
+                continue;
+            }
+        }
+
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// --- Pipeline metrics, shared by all modules ---
+
+const stageDuration = histogram('pinsta_stage_duration_seconds', 'Duration of pipeline stages');
+const stageTotal = counter('pinsta_stage_total', 'Pipeline stage runs by result');
+
+/**
+ * Times one pipeline stage (metadata, download, compress, caption, upload, ...):
+ * records its duration and whether it succeeded.
+ * @param {string} stage - Stage name.
+ * @param {function(): Promise<*>} fn - The stage.
+ * @param {object} [labels] - Extra labels, e.g. {provider: 'youtube'}.
+ * @returns {Promise<*>} What fn returns.
+ */
+async function timeStage(stage, fn, labels = {}) {
+    const end = stageDuration.startTimer({ stage, ...labels });
+    try {
+        const result = await fn();
+        end();
+        stageTotal.inc({ stage, ...labels, result: 'ok' });
+        return result;
+    } catch (error) {
+        end();
+        stageTotal.inc({ stage, ...labels, result: 'error' });
+        throw error;
+    }
+}
+
+gauge('process_uptime_seconds', 'Process uptime', () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    renderMetrics,
+    timeStage
+};
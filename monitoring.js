@@ -0,0 +1,123 @@
+const http = require('http');
+const { checkDatabase } = require('./database.js');
+const { runProcess } = require('./subprocess.js');
+const { renderMetrics, gauge } = require('./metrics.js');
+const { logger } = require('./logger.js');
+
+/**
+ * /metrics and /healthz for both processes: the web server mounts the handlers on its
+ * Express app, the bot starts a small HTTP server of its own on METRICS_PORT.
+ */
+
+// Tool versions are cached, running them on every health probe would be wasteful
+const TOOL_CHECK_INTERVAL_MS = 60 * 1000;
+const TOOLS = {
+    ytDlp: ['yt-dlp', ['--version']],
+    ffmpeg: ['ffmpeg', ['-version']],
+    ffprobe: ['ffprobe', ['-version']]
+};
+
+let toolStatus = null;
+let toolStatusCheckedAt = 0;
+
+const toolAvailable = gauge('pinsta_tool_available', 'External tool availability (1 = available)');
+const databaseUp = gauge('pinsta_database_up', 'Database availability (1 = available)');
+
+/**
+ * Runs every tool with its version flag.
+ * @returns {Promise<object>} {ytDlp: {ok, version|error}, ffmpeg: ..., ffprobe: ...}
+ */
+async function checkTools() {
+    if (toolStatus && Date.now() - toolStatusCheckedAt < TOOL_CHECK_INTERVAL_MS) {
+        return toolStatus;
+    }
+
+    const entries = await Promise.all(Object.entries(TOOLS).map(async ([name, [command, args]]) => {
+        try {
+            const { stdout } = await runProcess(command, args, { timeoutMs: 10000 });
+            // ffmpeg prints "ffmpeg version 6.1 Copyright ..." on the first line
+            const version = stdout.split('\n')[0].replace(/^\S+ version /, '').split(' ')[0].trim();
+            toolAvailable.set(1, { tool: command });
+            return [name, { ok: true, version }];
+        } catch (error) {
+            toolAvailable.set(0, { tool: command });
+            return [name, { ok: false, error: error.message }];
+        }
+    }));
+    toolStatus = Object.fromEntries(entries);
+    toolStatusCheckedAt = Date.now();
+    return toolStatus;
+}
+
+/**
+ * Health of the process: the database and yt-dlp are required, ffmpeg/ffprobe only
+ * degrade compression and captions.
+ * @returns {Promise<{status: 'ok'|'degraded'|'down', checks: object}>}
+ */
+async function getHealth() {
+    const [database, tools] = await Promise.all([checkDatabase(), checkTools()]);
+    databaseUp.set(database ? 1 : 0);
+
+    const checks = { database: { ok: database }, ...tools };
+    let status = 'ok';
+    if (!database || !tools.ytDlp.ok) {
+        status = 'down';
+    } else if (!tools.ffmpeg.ok || !tools.ffprobe.ok) {
+        status = 'degraded';
+    }
+    return { status, uptime: Math.round(process.uptime()), checks };
+}
+
+/**
+ * GET /healthz: 200 when usable, 503 when down. Works as an Express or plain http handler.
+ */
+async function handleHealth(req, res) {
+    const health = await getHealth();
+    res.statusCode = health.status === 'down' ? 503 : 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(health));
+}
+
+/**
+ * GET /metrics in the Prometheus text format. Works as an Express or plain http handler.
+ */
+async function handleMetrics(req, res) {
+    // Refreshes the tool and database gauges
+    await getHealth();
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.end(await renderMetrics());
+}
+
+/**
+ * Starts an HTTP server with /metrics and /healthz only (for the bot, which has no web server).
+ * @param {number} port - Port to listen on.
+ * @returns {http.Server}
+ */
+function startMonitoringServer(port) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = { '/metrics': handleMetrics, '/healthz': handleHealth }[pathname];
+        if (req.method !== 'GET' || !handler) {
+            res.statusCode = 404;
+            return res.end('Not Found');
+        }
+        handler(req, res).catch((error) => {
+            logger.error('Monitoring request failed', { path: pathname, error });
+            res.statusCode = 500;
+            res.end('Internal Server Error');
+        });
+    });
+    server.on('error', (error) => logger.error('Monitoring server error', { port, error }));
+    server.listen(port, () => logger.info('Monitoring server started', { port }));
+    server.unref();
+    return server;
+}
+
+module.exports = {
+    checkTools,
+    getHealth,
+    handleHealth,
+    handleMetrics,
+    startMonitoringServer
+};
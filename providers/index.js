@@ -0,0 +1,136 @@
+/**
+ * Platform provider registry.
+ *
+ * Every supported platform lives in its own module and exports an object with:
+ *   - name            unique provider name, also used as the cache key prefix
+ *   - title           human readable platform name
+ *   - linkPattern     global RegExp that finds the platform's links in a text
+ *   - extractId(url)  returns the video ID or null
+ *   - buildUrl(id)    returns the canonical URL passed to yt-dlp
+ *   - downloadOptions yt-dlp options: format(maxHeight, maxFileMB) returns the format
+ *                     selector for a resolution and file size cap, mergeOutputFormat is optional,
+ *                     args() optionally returns extra arguments (e.g. --cookies),
+ *                     authErrorPattern optionally matches yt-dlp errors that mean the login is
+ *                     missing or expired, they are reported instead of retried
+ *   - hasAlbums(url)  optional, true if the link may point to a multi-media post
+ *   - fetchInfo(id, control) optional, returns yt-dlp style metadata for items yt-dlp
+ *                     can't handle, or null to use yt-dlp
+ *   - checkDuration   optional, true if videos may be long: the duration is checked
+ *                     against the chat limit before downloading
+ *   - isPlaylist(id)  optional, true for playlists, whose videos are queued one by one
+ *   - cacheTtl(id)    optional, cache lifetime in seconds for short-lived items, or null
+ */
+
+const providers = [];
+
+// IDs of single posts; typed IDs (stories, profiles, playlists) have no preview page
+const PREVIEW_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Registers a provider. Later registrations with the same name replace earlier ones.
+ * @param {object} provider - The provider module.
+ */
+function registerProvider(provider) {
+    for (const field of ['name', 'linkPattern', 'extractId', 'buildUrl']) {
+        if (!provider[field]) {
+            throw new Error(`Provider is missing required field "${field}"`);
+        }
+    }
+    if (!provider.linkPattern.global) {
+        throw new Error(`Provider "${provider.name}" linkPattern must have the global flag`);
+    }
+
+    const index = providers.findIndex((p) => p.name === provider.name);
+    if (index === -1) {
+        providers.push(provider);
+    } else {
+        providers[index] = provider;
+    }
+}
+
+/**
+ * Returns a registered provider by name.
+ * @param {string} name - Provider name (e.g. "instagram").
+ * @returns {object|null}
+ */
+function getProvider(name) {
+    return providers.find((p) => p.name === name) || null;
+}
+
+/**
+ * Returns all registered providers in registration order.
+ * @returns {object[]}
+ */
+function getProviders() {
+    return providers.slice();
+}
+
+/**
+ * Builds the cache key for a video: "<provider name>:<video id>".
+ * @param {object|string} provider - Provider object or name.
+ * @param {string} videoId - The video ID.
+ * @returns {string}
+ */
+function buildCacheKey(provider, videoId) {
+    const name = typeof provider === 'string' ? provider : provider.name;
+    return `${name}:${videoId}`;
+}
+
+/**
+ * Path of the web server's preview page for a post: "/v/<provider name>/<video id>".
+ * @param {object|string} provider - Provider object or name.
+ * @param {string} videoId - The video ID.
+ * @returns {string|null} The path, or null if the item has no preview page.
+ */
+function getPreviewPath(provider, videoId) {
+    const name = typeof provider === 'string' ? provider : provider.name;
+    if (!getProvider(name) || !PREVIEW_ID_PATTERN.test(videoId)) {
+        return null;
+    }
+    return `/v/${name}/${videoId}`;
+}
+
+/**
+ * Finds all supported video links in a given text.
+ * @param {string} text - The text to search.
+ * @returns {Array<{url: string, type: string, videoId: string, cacheKey: string, provider: object}>}
+ */
+function findVideoLinks(text) {
+    const links = [];
+
+    for (const provider of providers) {
+        const urls = text.match(provider.linkPattern) || [];
+        for (const url of urls) {
+            const videoId = provider.extractId(url);
+            if (videoId) {
+                links.push({
+                    url,
+                    type: provider.name,
+                    videoId,
+                    cacheKey: buildCacheKey(provider, videoId),
+                    provider
+                });
+            }
+        }
+    }
+
+    return links;
+}
+
+// Built-in providers, in the order their links are processed
+registerProvider(require('./instagram'));
+registerProvider(require('./youtube'));
+registerProvider(require('./tiktok'));
+registerProvider(require('./twitter'));
+registerProvider(require('./vk'));
+registerProvider(require('./reddit'));
+registerProvider(require('./pinterest'));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviders,
+    buildCacheKey,
+    getPreviewPath,
+    findVideoLinks
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthRequiredError, PermanentJobError } = require('../queue.js');
+const { logger } = require('../logger.js');
+
+/**
+ * Instagram provider: reels, regular posts, stories, highlights and profile avatars.
+ *
+ * Video IDs of posts and reels are their shortcodes; the other types are prefixed:
+ *   story:<user>:<id>   one story
+ *   stories:<user>      all current stories of a user
+ *   highlight:<id>      a highlight (saved stories)
+ *   profile:<user>      the profile picture
+ *
+ * Stories and most reels need a logged in session: INSTAGRAM_COOKIES points to a cookies.txt
+ * file (Netscape format, exported from a browser), or INSTAGRAM_SESSIONID holds the value
+ * of the "sessionid" cookie.
+ */
+
+const INSTAGRAM_COOKIES = process.env.INSTAGRAM_COOKIES || null;
+const INSTAGRAM_SESSIONID = process.env.INSTAGRAM_SESSIONID || null;
+
+// Web app ID the instagram.com frontend sends with its API requests
+const INSTAGRAM_APP_ID = '936619743392459';
+
+// Cache lifetime per item type, in seconds; posts and reels use the global cache settings
+const CACHE_TTL = {
+    story: 24 * 60 * 60, // a story disappears 24 hours after it is posted
+    stories: 10 * 60, // the list of current stories changes all the time
+    highlight: 6 * 60 * 60,
+    profile: 60 * 60
+};
+
+// yt-dlp messages of content that needs a (valid) Instagram login
+const AUTH_ERROR_PATTERN = /login required|\blog ?in\b|logged[- ]in|--cookies|cookies (?:are|have) (?:expired|invalid)|checkpoint required/i;
+
+// First path segments that are Instagram pages, not user names
+const RESERVED_PATHS = ['p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct', 'about', 'legal', 'developer'];
+
+let sessionCookiesFile = null;
+
+/**
+ * Returns the cookies file passed to yt-dlp: INSTAGRAM_COOKIES, or a file written
+ * once from INSTAGRAM_SESSIONID.
+ * @returns {string|null}
+ */
+function getCookiesFile() {
+    if (INSTAGRAM_COOKIES) return INSTAGRAM_COOKIES;
+    if (!INSTAGRAM_SESSIONID) return null;
+
+    if (!sessionCookiesFile) {
+        sessionCookiesFile = path.join(os.tmpdir(), `pinsta_instagram_cookies_${process.pid}.txt`);
+        fs.writeFileSync(sessionCookiesFile, [
+            '# Netscape HTTP Cookie File',
+            ['.instagram.com', 'TRUE', '/', 'TRUE', '2147483647', 'sessionid', INSTAGRAM_SESSIONID].join('\t'),
+            ''
+        ].join('\n'), { mode: 0o600 });
+    }
+    return sessionCookiesFile;
+}
+
+/**
+ * Builds a Cookie header from the instagram.com cookies of the cookies file.
+ * @returns {string|null}
+ */
+function getCookieHeader() {
+    const file = getCookiesFile();
+    if (!file) return null;
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        logger.error('Failed to read Instagram cookies', { file, error });
+        return null;
+    }
+
+    const cookies = [];
+    for (const line of text.split('\n')) {
+        // HttpOnly cookies are written as comments with this prefix
+        const entry = line.startsWith('#HttpOnly_') ? line.slice('#HttpOnly_'.length) : line;
+        if (!entry.trim() || entry.startsWith('#')) continue;
+        const fields = entry.trim().split('\t');
+        if (fields.length >= 7 && fields[0].endsWith('instagram.com')) {
+            cookies.push(`${fields[5]}=${fields[6]}`);
+        }
+    }
+    return cookies.length > 0 ? cookies.join('; ') : null;
+}
+
+/**
+ * Reads a profile through the web API, since yt-dlp doesn't download profile pictures.
+ * @param {string} user - User name.
+ * @param {{signal?: AbortSignal}} [control] - Cancellation.
+ * @returns {Promise<object>} yt-dlp style metadata with the picture as the only thumbnail.
+ */
+async function fetchProfileInfo(user, { signal } = {}) {
+    const cookie = getCookieHeader();
+    // The job's signal cancels the request, and so does a 30s timeout
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Instagram profile request timed out')), 30000);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    try {
+        response = await fetch(`https://i.instagram.com/api/v1/users/web_profile_info/?username=${encodeURIComponent(user)}`, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+                'X-IG-App-ID': INSTAGRAM_APP_ID,
+                ...(cookie ? { Cookie: cookie } : {})
+            },
+            redirect: 'manual',
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    // Logged out and rate-limited requests are redirected to the login page
+    if (response.status === 401 || response.status === 403 || (response.status >= 300 && response.status < 400)) {
+        throw new AuthRequiredError('Instagram requires login to view this profile');
+    }
+    if (response.status === 404) {
+        throw new PermanentJobError(`Instagram profile not found: ${user}`);
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from Instagram profile API`);
+    }
+
+    const data = await response.json();
+    const profile = data.data && data.data.user;
+    if (!profile) {
+        throw new PermanentJobError(`Instagram profile not found: ${user}`);
+    }
+    const pictureUrl = profile.profile_pic_url_hd || profile.profile_pic_url;
+    return {
+        id: profile.id,
+        title: profile.full_name || profile.username,
+        uploader: profile.username,
+        description: profile.biography || null,
+        thumbnails: pictureUrl ? [{ url: pictureUrl }] : [],
+        webpage_url: `https://www.instagram.com/${profile.username}/`
+    };
+}
+
+module.exports = {
+    name: 'instagram',
+    title: 'Instagram',
+    linkPattern: new RegExp([
+        'https?:\\/\\/(?:www\\.)?instagram\\.com\\/(?:',
+        '(?:p|reels?|tv)\\/[^\\/\\s?#]+', // posts and reels
+        '|stories\\/highlights\\/\\d+', // highlights
+        '|stories\\/[\\w.]+(?:\\/\\d+)?', // one story, or all stories of a user
+        `|(?!(?:${RESERVED_PATHS.join('|')})(?![\\w.]))[\\w.]{1,30}\\/?(?![\\w.\\/])`, // profiles
+        ')'
+    ].join(''), 'g'),
+
+    /**
+     * Extracts the item ID from an Instagram URL, see the ID formats above.
+     * @param {string} url - The Instagram URL.
+     * @returns {string|null} The ID or null.
+     */
+    extractId(url) {
+        let match = url.match(/\/stories\/highlights\/(\d+)/);
+        if (match) return `highlight:${match[1]}`;
+
+        match = url.match(/\/stories\/([\w.]+)(?:\/(\d+))?/);
+        if (match) return match[2] ? `story:${match[1]}:${match[2]}` : `stories:${match[1]}`;
+
+        match = url.match(/\/(?:p|reels?|tv)\/([^\/?#\s]+)/);
+        if (match) return match[1];
+
+        match = url.match(/instagram\.com\/([\w.]{1,30})\/?$/);
+        if (match && !RESERVED_PATHS.includes(match[1])) return `profile:${match[1]}`;
+
+        return null;
+    },
+
+    /**
+     * Builds the canonical URL for yt-dlp.
+     * @param {string} id - The item ID.
+     * @returns {string}
+     */
+    buildUrl(id) {
+        const [type, ...rest] = id.split(':');
+        switch (type) {
+            case 'story':
+                return `https://www.instagram.com/stories/${rest[0]}/${rest[1]}/`;
+            case 'stories':
+                return `https://www.instagram.com/stories/${rest[0]}/`;
+            case 'highlight':
+                return `https://www.instagram.com/stories/highlights/${rest[0]}/`;
+            case 'profile':
+                return `https://www.instagram.com/${rest[0]}/`;
+            default:
+                return `https://www.instagram.com/p/${id}/`;
+        }
+    },
+
+    /**
+     * Everything except reels may be a photo or hold several items.
+     * @param {string} url - The Instagram URL.
+     * @returns {boolean}
+     */
+    hasAlbums(url) {
+        return !/\/(?:reels?|tv)\//.test(url);
+    },
+
+    /**
+     * Profile pictures are read from the web API; everything else goes through yt-dlp.
+     * @param {string} id - The item ID.
+     * @param {{signal?: AbortSignal}} [control] - Cancellation.
+     * @returns {Promise<object|null>} Metadata, or null to use yt-dlp.
+     */
+    async fetchInfo(id, control) {
+        return id.startsWith('profile:') ? fetchProfileInfo(id.slice('profile:'.length), control) : null;
+    },
+
+    /**
+     * Stories, highlights and profiles change or disappear, so they are cached for a limited time.
+     * @param {string} id - The item ID.
+     * @returns {number|null} Lifetime in seconds, or null for the global cache settings.
+     */
+    cacheTtl(id) {
+        const type = id.split(':')[0];
+        return CACHE_TTL[type] || null;
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720, maxFileMB = 50) => `best[height<=${maxHeight}][filesize<${maxFileMB}M][ext=mp4]/best[height<=${Math.min(maxHeight, 480)}][ext=mp4]/best[ext=mp4]`,
+        authErrorPattern: AUTH_ERROR_PATTERN,
+        args: () => {
+            const file = getCookiesFile();
+            return file ? ['--cookies', file] : [];
+        }
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Pinterest provider: video pins and pin.it short links.
+ */
+module.exports = {
+    name: 'pinterest',
+    title: 'Pinterest',
+    linkPattern: /https?:\/\/(?:(?:(?:www|\w{2})\.)?pinterest\.(?:com|[a-z]{2}|co\.uk|com\.\w{2})\/pin\/\d+|pin\.it\/\w+)/g,
+
+    /**
+     * Extracts the numeric pin ID or the pin.it short code.
+     * @param {string} url - The Pinterest URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/\/pin\/(\d+)/) || url.match(/pin\.it\/(\w+)/);
+        return match ? match[1] : null;
+    },
+
+    buildUrl(id) {
+        return /^\d+$/.test(id)
+            ? `https://www.pinterest.com/pin/${id}/`
+            : `https://pin.it/${id}`;
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720) => `best[height<=${maxHeight}][ext=mp4]/best[ext=mp4]/best`
+    }
+};
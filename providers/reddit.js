@@ -0,0 +1,28 @@
+/**
+ * Reddit provider: posts with hosted video (v.redd.it).
+ */
+module.exports = {
+    name: 'reddit',
+    title: 'Reddit',
+    linkPattern: /https?:\/\/(?:(?:www|old|new)\.reddit\.com\/r\/\w+\/comments\/\w+|redd\.it\/\w+)[^\s]*/g,
+
+    /**
+     * Extracts the post ID from a comments or redd.it URL.
+     * @param {string} url - The Reddit URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/\/comments\/(\w+)/) || url.match(/redd\.it\/(\w+)/);
+        return match ? match[1] : null;
+    },
+
+    buildUrl(id) {
+        return `https://www.reddit.com/comments/${id}/`;
+    },
+
+    // Reddit serves video and audio as separate DASH streams, so they are merged
+    downloadOptions: {
+        format: (maxHeight = 720) => `bestvideo[height<=${maxHeight}]+bestaudio/best[height<=${maxHeight}]/best`,
+        mergeOutputFormat: 'mp4'
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * TikTok provider: full video links and vm./vt. share links.
+ */
+module.exports = {
+    name: 'tiktok',
+    title: 'TikTok',
+    linkPattern: /https?:\/\/(?:(?:www|m)\.tiktok\.com\/(?:@[\w.-]+\/video\/\d+|t\/\w+)|(?:vm|vt)\.tiktok\.com\/\w+)/g,
+
+    /**
+     * Extracts the numeric video ID or, for share links, the short code.
+     * @param {string} url - The TikTok URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/\/video\/(\d+)/) ||
+            url.match(/tiktok\.com\/t\/(\w+)/) ||
+            url.match(/(?:vm|vt)\.tiktok\.com\/(\w+)/);
+        return match ? match[1] : null;
+    },
+
+    buildUrl(id) {
+        // Short codes can only be resolved through the share link itself
+        return /^\d+$/.test(id)
+            ? `https://www.tiktok.com/@/video/${id}`
+            : `https://vm.tiktok.com/${id}/`;
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720) => `best[height<=${maxHeight}][ext=mp4]/best[ext=mp4]/best`
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * X/Twitter provider: tweets with attached video.
+ */
+module.exports = {
+    name: 'twitter',
+    title: 'X (Twitter)',
+    linkPattern: /https?:\/\/(?:(?:www|mobile)\.)?(?:twitter|x)\.com\/\w+\/status\/\d+/g,
+
+    /**
+     * Extracts the tweet ID from a status URL.
+     * @param {string} url - The tweet URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/\/status\/(\d+)/);
+        return match ? match[1] : null;
+    },
+
+    buildUrl(id) {
+        return `https://x.com/i/status/${id}`;
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720) => `best[height<=${maxHeight}][ext=mp4]/best[ext=mp4]/best`
+    }
+};
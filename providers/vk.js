@@ -0,0 +1,27 @@
+/**
+ * VK provider: VK Clips on vk.com and vkvideo.ru.
+ * Clip IDs look like "-123456_789", i.e. "<owner id>_<clip id>".
+ */
+module.exports = {
+    name: 'vk',
+    title: 'VK Clips',
+    linkPattern: /https?:\/\/(?:(?:www|m)\.)?(?:vk\.com|vkvideo\.ru)\/(?:clips[^\s]*?[?&]z=)?clip-?\d+_\d+/g,
+
+    /**
+     * Extracts the owner/clip ID pair from a clip URL.
+     * @param {string} url - The VK URL.
+     * @returns {string|null}
+     */
+    extractId(url) {
+        const match = url.match(/clip(-?\d+_\d+)/);
+        return match ? match[1] : null;
+    },
+
+    buildUrl(id) {
+        return `https://vk.com/clip${id}`;
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720) => `best[height<=${maxHeight}][ext=mp4]/best[ext=mp4]/best`
+    }
+};
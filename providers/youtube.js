@@ -0,0 +1,59 @@
+/**
+ * YouTube provider: regular videos, youtu.be short links, Shorts and playlists.
+ * Playlist IDs are prefixed: "playlist:<list id>".
+ */
+module.exports = {
+    name: 'youtube',
+    title: 'YouTube',
+    linkPattern: /https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|shorts\/|playlist\?)|youtu\.be\/)[^\s]+/g,
+
+    // Videos may be hours long, so their duration is checked before downloading
+    checkDuration: true,
+
+    /**
+     * Extracts the Video ID from a YouTube URL.
+     * Supports formats: youtube.com/watch?v=ID, youtu.be/ID, youtube.com/shorts/ID
+     * and youtube.com/playlist?list=ID. A video opened from a playlist (watch?v=ID&list=...)
+     * is the video alone, only playlist pages queue the whole list.
+     * @param {string} url - The YouTube URL.
+     * @returns {string|null} The Video ID or null.
+     */
+    extractId(url) {
+        // youtube.com/watch?v=ID
+        let match = url.match(/[?&]v=([^&\s]+)/);
+        if (match) return match[1];
+
+        // youtu.be/ID
+        match = url.match(/youtu\.be\/([^\/?&\s]+)/);
+        if (match) return match[1];
+
+        // youtube.com/shorts/ID
+        match = url.match(/\/shorts\/([^\/?&\s]+)/);
+        if (match) return match[1];
+
+        // youtube.com/playlist?list=ID, except mixes (RD...): those are endless lists generated from one video
+        match = url.match(/\/playlist\?(?:[^\s]*&)?list=([\w-]+)/);
+        if (match && !match[1].startsWith('RD')) return `playlist:${match[1]}`;
+
+        return null;
+    },
+
+    buildUrl(id) {
+        if (id.startsWith('playlist:')) {
+            return `https://www.youtube.com/playlist?list=${id.slice('playlist:'.length)}`;
+        }
+        return `https://www.youtube.com/watch?v=${id}`;
+    },
+
+    /**
+     * @param {string} id - The video ID.
+     * @returns {boolean} True for playlists, whose videos are queued one by one.
+     */
+    isPlaylist(id) {
+        return id.startsWith('playlist:');
+    },
+
+    downloadOptions: {
+        format: (maxHeight = 720, maxFileMB = 50) => `best[height<=${maxHeight}][filesize<${maxFileMB}M][ext=mp4]/best[height<=${Math.min(maxHeight, 480)}][ext=mp4]/best[ext=mp4]`
+    }
+};
@@ -0,0 +1,280 @@
+const {
+    enqueueJob,
+    getReadyJobs,
+    markJobRunning,
+    deferJob,
+    updateJobStatus,
+    requeueRunningJobs,
+    pruneDoneJobs,
+    countPendingJobs
+} = require('./database.js');
+const { logger, withLogContext } = require('./logger.js');
+const { counter, gauge, histogram } = require('./metrics.js');
+
+const log = logger.child({ module: 'queue' });
+
+const jobsTotal = counter('pinsta_jobs_total', 'Finished job runs by provider and outcome (done, retry, deferred, dead, cancelled)');
+const jobDuration = histogram('pinsta_job_duration_seconds', 'Duration of job runs');
+gauge('pinsta_jobs_pending', 'Jobs waiting in the queue', async () => {
+    const count = await countPendingJobs();
+    if (count === null) throw new Error('Failed to count pending jobs');
+    return count;
+});
+const jobsRunning = gauge('pinsta_jobs_running', 'Jobs running right now');
+
+const POLL_INTERVAL_MS = 1000;
+const DONE_JOBS_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Error that should not be retried (e.g. the video is too long to fit the limit).
+ */
+class PermanentJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentJobError';
+    }
+}
+
+/**
+ * Error of content that needs a login the bot doesn't have: no cookies are configured,
+ * or they have expired. Not retried.
+ */
+class AuthRequiredError extends PermanentJobError {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthRequiredError';
+    }
+}
+
+/**
+ * Error of a job stopped on purpose (e.g. the user pressed Cancel). Not retried and not dead-lettered.
+ */
+class JobCancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Error of a job that can't run yet (e.g. the platform's rate limit is used up).
+ * The job is put back for later without using up an attempt.
+ */
+class JobDeferredError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} delayMs - When to try again.
+     */
+    constructor(message, delayMs) {
+        super(message);
+        this.name = 'JobDeferredError';
+        this.delayMs = delayMs;
+    }
+}
+
+/**
+ * Creates a persistent download job queue backed by the SQLite `jobs` table.
+ *
+ * Jobs are picked with per-chat fairness: the next job always comes from the chat
+ * with the fewest running jobs, so one chat posting many links can't starve others.
+ * Failed jobs are retried with exponential backoff; after `maxAttempts` they are
+ * moved to the dead-letter state and `onDead` is called.
+ *
+ * @param {object} options
+ * @param {function(object): Promise<void>} options.handler - Processes one job.
+ * @param {function(object, Error): Promise<void>} [options.onDead] - Called when a job runs out of attempts.
+ * @param {number} [options.concurrency=2] - Maximum number of jobs running at once.
+ * @param {number} [options.maxAttempts=3] - Attempts before a job is dead-lettered.
+ * @param {number} [options.retryDelayMs=5000] - Base delay, doubled on every retry.
+ */
+function createJobQueue({ handler, onDead = async () => {}, concurrency = 2, maxAttempts = 3, retryDelayMs = 5000 }) {
+    const runningByChat = new Map();
+    let runningCount = 0;
+    let timer = null;
+    let ticking = false;
+    let stopped = true;
+    // Resolved when the last running job finishes, see drain()
+    let idleWaiters = [];
+
+    /**
+     * Picks the ready job whose chat has the fewest running jobs (oldest first on ties).
+     */
+    function pickFairJob(jobs) {
+        let best = null;
+        let bestLoad = Infinity;
+        for (const job of jobs) {
+            const load = runningByChat.get(job.chatId) || 0;
+            if (load < bestLoad) {
+                best = job;
+                bestLoad = load;
+            }
+        }
+        return best;
+    }
+
+    async function run(job) {
+        runningCount++;
+        jobsRunning.set(runningCount);
+        runningByChat.set(job.chatId, (runningByChat.get(job.chatId) || 0) + 1);
+        const endTimer = jobDuration.startTimer({ provider: job.type });
+        let status = 'done';
+
+        try {
+            // Every log entry of the job, down to the downloader, carries its ID
+            await withLogContext({ jobId: job.id, chatId: job.chatId, cacheKey: job.cacheKey }, async () => {
+                try {
+                    await handler(job);
+                    await updateJobStatus(job.id, 'done');
+                } catch (error) {
+                    status = await fail(job, error);
+                }
+            });
+        } finally {
+            endTimer({ status });
+            jobsTotal.inc({ provider: job.type, status });
+            runningCount--;
+            jobsRunning.set(runningCount);
+            if (runningCount === 0) {
+                idleWaiters.forEach((resolve) => resolve(true));
+                idleWaiters = [];
+            }
+            const left = runningByChat.get(job.chatId) - 1;
+            if (left > 0) {
+                runningByChat.set(job.chatId, left);
+            } else {
+                runningByChat.delete(job.chatId);
+            }
+            tick();
+        }
+    }
+
+    /**
+     * Records a failed run: cancelled, dead-lettered or scheduled for a retry.
+     * @returns {Promise<string>} The outcome for metrics.
+     */
+    async function fail(job, error) {
+        const attempts = job.attempts + 1;
+        if (error instanceof JobDeferredError) {
+            log.info('Job deferred', { reason: error.message, delayMs: error.delayMs });
+            await deferJob(job.id, Date.now() + error.delayMs);
+            return 'deferred';
+        }
+        if (error instanceof JobCancelledError) {
+            log.info('Job cancelled');
+            await updateJobStatus(job.id, 'cancelled', { error: error.message });
+            return 'cancelled';
+        }
+        if (error instanceof PermanentJobError || attempts >= maxAttempts) {
+            log.error('Job failed permanently', { attempts, error });
+            await updateJobStatus(job.id, 'dead', { error: error.message });
+            try {
+                await onDead(job, error);
+            } catch (deadError) {
+                log.error('Dead-letter handler failed', { error: deadError });
+            }
+            return 'dead';
+        }
+        const delay = retryDelayMs * Math.pow(2, attempts - 1);
+        log.warn('Job failed, retrying', { attempts, maxAttempts, retryInSeconds: delay / 1000, error });
+        await updateJobStatus(job.id, 'pending', { error: error.message, runAt: Date.now() + delay });
+        return 'retry';
+    }
+
+    /**
+     * Fills free worker slots with ready jobs.
+     */
+    async function tick() {
+        if (stopped || ticking) return;
+        ticking = true;
+        try {
+            while (!stopped && runningCount < concurrency) {
+                const jobs = await getReadyJobs(Date.now());
+                const job = pickFairJob(jobs);
+                if (!job) break;
+                if (await markJobRunning(job.id)) {
+                    // Not awaited, so the loop keeps filling slots; a failed status update only gets logged
+                    run(job).catch((error) => log.error('Job run error', { jobId: job.id, error }));
+                }
+            }
+        } catch (error) {
+            log.error('Queue tick error', { error });
+        } finally {
+            ticking = false;
+        }
+    }
+
+    return {
+        /**
+         * Adds a job to the queue.
+         * @param {{chatId: number, messageId: number, url: string, type: string, videoId: string, cacheKey: string,
+         *   options?: object, request?: object}} job - A `request` is recorded for /stats only together with the job.
+         * @returns {Promise<number>} The job ID.
+         */
+        async enqueue(job) {
+            const id = await enqueueJob(job);
+            tick();
+            return id;
+        },
+
+        /**
+         * Restores jobs interrupted by a crash or restart and starts the workers.
+         */
+        async start() {
+            const restored = await requeueRunningJobs();
+            if (restored > 0) {
+                log.info('Restored interrupted jobs', { count: restored });
+            }
+            pruneDoneJobs(DONE_JOBS_MAX_AGE_MS);
+
+            stopped = false;
+            timer = setInterval(tick, POLL_INTERVAL_MS);
+            tick();
+        },
+
+        /**
+         * Stops picking up new jobs. Running jobs are left to finish.
+         */
+        stop() {
+            stopped = true;
+            clearInterval(timer);
+        },
+
+        /**
+         * Stops picking up new jobs and waits for the running ones to finish.
+         * Jobs still running after the timeout stay "running" in the database
+         * and are restored by start() on the next launch.
+         * @param {number} timeoutMs - How long to wait.
+         * @returns {Promise<boolean>} true if every job finished in time.
+         */
+        async drain(timeoutMs) {
+            this.stop();
+            if (runningCount === 0) return true;
+
+            log.info('Waiting for running jobs', { count: runningCount, timeoutMs });
+            let timeout;
+            const finished = await Promise.race([
+                new Promise((resolve) => idleWaiters.push(resolve)),
+                new Promise((resolve) => {
+                    timeout = setTimeout(() => resolve(false), timeoutMs);
+                })
+            ]);
+            clearTimeout(timeout);
+            return finished;
+        },
+
+        /**
+         * @returns {number} Number of jobs currently running.
+         */
+        get running() {
+            return runningCount;
+        }
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    PermanentJobError,
+    AuthRequiredError,
+    JobCancelledError,
+    JobDeferredError
+};
@@ -0,0 +1,112 @@
+/**
+ * Token bucket rate limits, kept in memory of the process.
+ *
+ * Every key (a user, a chat, a platform, an IP address) has a bucket of `capacity`
+ * tokens that refills at `perMinute` tokens a minute; an action takes one token.
+ * The bot and the web server count separately.
+ */
+
+// Full buckets are the same as missing ones, so they are dropped to bound memory
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Error of an action refused by a rate limit.
+ */
+class RateLimitError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} retryAfterMs - When a token is available again.
+     */
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Creates a set of token buckets.
+ * @param {object} options
+ * @param {number} options.perMinute - Refill rate; 0 or less disables the limit.
+ * @param {number} [options.capacity] - Burst size, perMinute by default.
+ * @param {function(): number} [options.now] - Clock in ms, Date.now by default.
+ * @returns {{check: function(string): number, take: function(string): number, enabled: boolean}}
+ *   check() returns how long to wait for a token in ms (0 = available), take() also takes it.
+ */
+function createRateLimiter({ perMinute, capacity = perMinute, now: clock = Date.now }) {
+    const enabled = perMinute > 0;
+    const ratePerMs = perMinute / 60000;
+    const buckets = new Map();
+
+    function refill(key) {
+        const now = clock();
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        return bucket;
+    }
+
+    function check(key) {
+        if (!enabled) return 0;
+        const bucket = refill(key);
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / ratePerMs);
+    }
+
+    if (enabled) {
+        setInterval(() => {
+            for (const key of buckets.keys()) {
+                if (refill(key).tokens >= capacity) buckets.delete(key);
+            }
+        }, PRUNE_INTERVAL_MS).unref();
+    }
+
+    return {
+        enabled,
+        check,
+        take(key) {
+            const wait = check(key);
+            if (wait === 0 && enabled) buckets.get(key).tokens -= 1;
+            return wait;
+        }
+    };
+}
+
+/**
+ * Takes a token from every bucket, or from none if one of them is empty,
+ * so a refused action doesn't use up the other limits.
+ * @param {Array<[object, string]>} limits - [limiter, key] pairs.
+ * @returns {number} 0 if taken, otherwise how long to wait in ms.
+ */
+function takeAll(limits) {
+    const wait = Math.max(0, ...limits.map(([limiter, key]) => limiter.check(key)));
+    if (wait === 0) {
+        limits.forEach(([limiter, key]) => limiter.take(key));
+    }
+    return wait;
+}
+
+/**
+ * Converts a wait in ms to whole seconds, rounded up, as shown to users and sent in Retry-After.
+ * @param {number} waitMs
+ * @returns {number}
+ */
+function retryAfterSeconds(waitMs) {
+    return Math.ceil(waitMs / 1000);
+}
+
+/**
+ * Reads a per-minute limit from the environment, using the default when it is not set.
+ */
+function envLimit(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+module.exports = {
+    RateLimitError,
+    createRateLimiter,
+    takeAll,
+    retryAfterSeconds,
+    envLimit
+};
@@ -1,43 +1,83 @@
+require('dotenv').config();
+
 const express = require('express');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    getCachedMetadata,
+    cacheMetadata,
+    getMediaDetails,
+    updateMediaDetails,
+    startCacheEviction
+} = require('./database.js');
+const { buildCacheKey, getProvider, getPreviewPath, findVideoLinks } = require('./providers');
+const { downloadVideo, fetchVideoInfo, probeVideo } = require('./downloader.js');
+const { logger, withLogContext } = require('./logger.js');
+const { counter, histogram } = require('./metrics.js');
+const { handleHealth, handleMetrics } = require('./monitoring.js');
+const { RateLimitError, createRateLimiter, takeAll, retryAfterSeconds, envLimit } = require('./ratelimit.js');
+const { languageFromAcceptLanguage, t } = require('./i18n');
+const { html } = require('./views/html.js');
+const { renderPostPage, renderPlayerPage, buildOEmbed } = require('./views/reel.js');
 
 const app = express();
 const PORT = process.env.PORT || 3666;
+// Директория для скачанных видео, которые отдает /media
+const MEDIA_DIR = process.env.MEDIA_DIR || './data/media';
+// Сколько часов хранить скачанные видео
+const MEDIA_FILE_TTL_HOURS = parseFloat(process.env.MEDIA_FILE_TTL_HOURS) || 24;
+// Сколько ждать скачивания видео при генерации OG страницы, чтобы отдать реальные размеры
+const OG_MEDIA_WAIT_MS = parseInt(process.env.OG_MEDIA_WAIT_MS, 10) || 10000;
+// Видео длиннее (в минутах) не скачиваются для превью, 0 - без ограничения. Тот же лимит, что у бота
+const envMaxDuration = parseInt(process.env.MAX_VIDEO_DURATION_MINUTES, 10);
+const MEDIA_MAX_DURATION_MINUTES = Number.isNaN(envMaxDuration) ? 15 : envMaxDuration;
+// Лимиты обращений к платформам в минуту: с одного IP и всего к каждой платформе.
+// Запросы, которые отдаются из кэша, не ограничиваются
+const ipLimiter = createRateLimiter({ perMinute: envLimit('RATE_LIMIT_IP_PER_MINUTE', 20) });
+const platformLimiter = createRateLimiter({ perMinute: envLimit('RATE_LIMIT_PLATFORM_PER_MINUTE', 30) });
+// В режиме webhook бот работает в этом же процессе и получает обновления Telegram через Express
+const telegramBot = process.env.BOT_MODE === 'webhook' ? require('./bot.js') : null;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-
-// Простое кэширование в памяти
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 минут
+const httpRequests = counter('pinsta_http_requests_total', 'HTTP requests by route and status');
+const httpDuration = histogram('pinsta_http_request_duration_seconds', 'HTTP request duration by route',
+    [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
 
-// Функция для работы с кэшем
-function getCachedData(key) {
-    const cached = cache.get(key);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.data;
-    }
-    cache.delete(key);
-    return null;
+// За обратным прокси IP клиента берется из X-Forwarded-For: "true", число прокси или их адреса
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 }
 
-function setCachedData(key, data) {
-    cache.set(key, {
-        data,
-        timestamp: Date.now()
+// Middleware
+// ID запроса: из X-Request-ID прокси или новый; попадает во все записи лога этого запроса
+app.use((req, res, next) => {
+    const requestId = req.get('X-Request-ID') || crypto.randomUUID();
+    res.set('X-Request-ID', requestId);
+    withLogContext({ requestId }, next);
+});
+// Метрики по шаблону маршрута, а не по URL, чтобы ID видео не плодили серии
+app.use((req, res, next) => {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+        endTimer({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
     });
-}
-
-// Функция для извлечения ID Reels из URL
-function extractReelId(url) {
-    const reelMatch = url.match(/\/reel\/([^\/\?]+)/);
-    const postMatch = url.match(/\/p\/([^\/\?]+)/);
-    return reelMatch ? reelMatch[1] : (postMatch ? postMatch[1] : null);
-}
+    next();
+});
+// Язык страниц и текстов ошибок из Accept-Language, поэтому кэши различают ответы по этому заголовку
+app.use((req, res, next) => {
+    req.language = languageFromAcceptLanguage(req.get('Accept-Language'));
+    res.vary('Accept-Language');
+    next();
+});
+app.use(cors());
+app.use(express.json());
+app.use(express.static('public'));
 
 // Функция для извлечения данных из Instagram Reels
 async function extractReelsData(url, req) {
@@ -80,95 +120,163 @@ async function extractReelsData(url, req) {
             image = `${req.protocol}://${req.get('host')}/default-thumbnail.jpg`;
         }
 
-        // Если нет видео, создаем embed URL
-        if (!video) {
-            const reelId = extractReelId(url);
-            if (reelId) {
-                video = `https://www.instagram.com/p/${reelId}/embed/`;
-            }
-        }
-
         return {
-            title: title.replace(/['"<>]/g, ''),
-            description: description.replace(/['"<>]/g, ''),
+            // Экранируются при выводе в views/
+            title,
+            description,
             image,
             video,
             videoType,
             originalUrl: url
         };
     } catch (error) {
-        console.error('Ошибка при извлечении данных:', error.message);
+        logger.error('Ошибка при извлечении данных', { url, error });
         return null;
     }
 }
 
-// Функция для генерации HTML страницы
-function generateHTML(reelsData, req) {
-    return `
-<!DOCTYPE html>
-<html lang="ru">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    
-    <!-- Open Graph мета-теги для Telegram -->
-    <meta property="og:title" content="${reelsData.title}">
-    <meta property="og:description" content="${reelsData.description}">
-    <meta property="og:type" content="video.other">
-    <meta property="og:url" content="${req.protocol}://${req.get('host')}${req.originalUrl}">
-    <meta property="og:site_name" content="Instagram Reels">
-    <meta property="og:locale" content="ru_RU">
-    ${reelsData.image ? `<meta property="og:image" content="${reelsData.image}">` : ''}
-    ${reelsData.video ? `<meta property="og:video" content="${reelsData.video}">` : ''}
-    ${reelsData.video ? `<meta property="og:video:secure_url" content="${reelsData.video}">` : ''}
-    ${reelsData.videoType ? `<meta property="og:video:type" content="${reelsData.videoType}">` : ''}
-    ${reelsData.video ? `<meta property="og:video:width" content="1080">` : ''}
-    ${reelsData.video ? `<meta property="og:video:height" content="1920">` : ''}
-    ${reelsData.video ? `<meta property="og:video:duration" content="30">` : ''}
-    
-    <title>${reelsData.title}</title>
-    
-    <style>
-        body {
-            margin: 0;
-            padding: 0;
-            background: #000;
-            font-family: Arial, sans-serif;
-        }
-        .video-container {
-            width: 100vw;
-            height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        }
-        .video-player {
-            width: 100%;
-            height: 100%;
-            border: none;
-            background: #000;
+// Мета-данные через yt-dlp: для платформ, у которых страницу не разобрать без браузера
+async function extractPostData(provider, id, req) {
+    const url = provider.buildUrl(id);
+    try {
+        const info = await fetchVideoInfo(url, provider.downloadOptions);
+        return {
+            title: info.title || provider.title,
+            description: info.description || info.title || provider.title,
+            image: info.thumbnail || `${getBaseUrl(req)}/default-thumbnail.jpg`,
+            videoType: 'video/mp4',
+            originalUrl: info.webpage_url || url,
+            author: info.uploader || info.channel || null,
+            uploadDate: info.upload_date || null,
+            duration: info.duration || null
+        };
+    } catch (error) {
+        logger.error('Ошибка при извлечении данных', { url, error });
+        return null;
+    }
+}
+
+// Скачивания в процессе: ключ кэша -> Promise, чтобы одно видео не качалось дважды
+const mediaDownloads = new Map();
+
+// Берет токены IP и платформы перед обращением к платформе
+function takeUpstreamToken(providerName, ip) {
+    const limits = [[platformLimiter, providerName]];
+    if (ip) limits.push([ipLimiter, ip]);
+    const wait = takeAll(limits);
+    if (wait > 0) {
+        throw new RateLimitError(`Превышен лимит запросов к ${providerName}`, wait);
+    }
+}
+
+// Ответ 429 с Retry-After в секундах
+function sendTooManyRequests(req, res, error) {
+    res.set('Retry-After', String(retryAfterSeconds(error.retryAfterMs)));
+    res.status(429).send(t(req.language, 'web.too_many_requests'));
+}
+
+// Путь к скачанному видео
+function getMediaPath(providerName, id) {
+    return path.join(MEDIA_DIR, providerName, `${id}.mp4`);
+}
+
+// Видео длиннее MEDIA_MAX_DURATION_MINUTES: не скачивается
+class MediaTooLongError extends Error {
+    constructor(duration) {
+        super(`Видео длиннее ${MEDIA_MAX_DURATION_MINUTES} мин: ${duration} с`);
+        this.name = 'MediaTooLongError';
+    }
+}
+
+// Скачивает видео через yt-dlp (если его еще нет на диске) и возвращает путь и параметры из ffprobe.
+// Длительность платформ с длинными видео проверяется по мета-данным до скачивания
+async function ensureMediaFile(provider, id, req) {
+    const cacheKey = buildCacheKey(provider, id);
+    const filePath = getMediaPath(provider.name, id);
+
+    if (fs.existsSync(filePath)) {
+        const details = await getMediaDetails(cacheKey);
+        if (details && details.width && details.height && details.duration) {
+            return { filePath, ...details };
         }
-        .fallback {
-            color: white;
-            text-align: center;
-            padding: 20px;
+        const probed = await probeVideo(filePath);
+        await updateMediaDetails(cacheKey, probed);
+        return { filePath, ...probed };
+    }
+
+    if (!mediaDownloads.has(cacheKey)) {
+        const download = (async () => {
+            if (provider.checkDuration && MEDIA_MAX_DURATION_MINUTES > 0) {
+                const postData = await getPostData(provider, id, req);
+                if (!postData) {
+                    throw new Error('Не удалось получить длительность видео');
+                }
+                if (isTooLong(provider, postData)) {
+                    throw new MediaTooLongError(postData.duration);
+                }
+            }
+
+            // Каждое обращение к платформе берет свой токен: мета-данные выше (если их нет в кэше)
+            // и само скачивание
+            takeUpstreamToken(provider.name, req.ip);
+            const dir = path.dirname(filePath);
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            // Скачиваем во временный файл, чтобы не отдавать недокачанное видео
+            const tempPath = await downloadVideo(provider.buildUrl(id), `${id}.tmp-${Date.now()}`, {
+                ...provider.downloadOptions,
+                outputDir: dir
+            });
+            try {
+                const details = await probeVideo(tempPath);
+                await fs.promises.rename(tempPath, filePath);
+                await updateMediaDetails(cacheKey, details);
+                logger.info('Видео скачано', { cacheKey, ...details });
+                return { filePath, ...details };
+            } catch (error) {
+                fs.unlink(tempPath, () => {});
+                throw error;
+            }
+        })().finally(() => mediaDownloads.delete(cacheKey));
+        mediaDownloads.set(cacheKey, download);
+    }
+
+    return mediaDownloads.get(cacheKey);
+}
+
+// Ждет промис не дольше ms, по таймауту возвращает null
+function waitFor(promise, ms) {
+    return Promise.race([
+        promise,
+        new Promise((resolve) => setTimeout(() => resolve(null), ms).unref())
+    ]);
+}
+
+// Удаляет скачанные видео старше MEDIA_FILE_TTL_HOURS
+async function cleanupMediaFiles() {
+    const cutoff = Date.now() - MEDIA_FILE_TTL_HOURS * 60 * 60 * 1000;
+    let providerDirs;
+    try {
+        providerDirs = await fs.promises.readdir(MEDIA_DIR);
+    } catch (error) {
+        return;
+    }
+
+    for (const providerDir of providerDirs) {
+        const dir = path.join(MEDIA_DIR, providerDir);
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.isFile() && stats.mtimeMs < cutoff) {
+                    await fs.promises.unlink(filePath);
+                }
+            } catch (error) {
+                logger.error('Ошибка очистки видео', { file: filePath, error });
+            }
         }
-    </style>
-</head>
-<body>
-    <div class="video-container">
-        ${reelsData.video ? `
-        <iframe src="${reelsData.video}" class="video-player" frameborder="0" allowfullscreen></iframe>
-        ` : `
-        <div class="fallback">
-            <h2>${reelsData.title}</h2>
-            <p>${reelsData.description}</p>
-            <a href="${reelsData.originalUrl}" target="_blank" style="color: #667eea;">Открыть в Instagram</a>
-        </div>
-        `}
-    </div>
-</body>
-</html>`;
+    }
 }
 
 // Роут для дефолтного изображения
@@ -184,44 +292,241 @@ app.get('/default-thumbnail.jpg', (req, res) => {
     res.send(svg);
 });
 
-// Основной роут для Telegram
-app.get('/tg/:reelId', async (req, res) => {
-    const { reelId } = req.params;
-    const instagramUrl = `https://www.instagram.com/reel/${reelId}/`;
-    
+// Адрес сервиса, как его видит клиент
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+// Ссылки на страницу, плеер и oEmbed поста
+function getPostLinks(req, provider, id) {
+    const baseUrl = getBaseUrl(req);
+    const pageUrl = `${baseUrl}${getPreviewPath(provider, id)}`;
+    return {
+        pageUrl,
+        playerUrl: `${baseUrl}/player/${provider.name}/${id}`,
+        oembedUrl: `${baseUrl}/oembed?url=${encodeURIComponent(pageUrl)}`
+    };
+}
+
+// Платформа и ID из параметров маршрута; null, если у такого поста нет страницы превью
+function getPreviewTarget(providerName, id) {
+    const provider = getProvider(providerName);
+    return provider && getPreviewPath(provider, id) ? { provider, id } : null;
+}
+
+// Мета-данные поста из кэша, со страницы Instagram или через yt-dlp.
+// Кэш общий с ботом, ключ в том же формате "платформа:ID"
+async function getPostData(provider, id, req) {
+    const cacheKey = buildCacheKey(provider, id);
+    const cachedData = await getCachedMetadata(cacheKey);
+    if (cachedData) {
+        return cachedData;
+    }
+
+    takeUpstreamToken(provider.name, req.ip);
+    const postData = provider.name === 'instagram'
+        ? await extractReelsData(provider.buildUrl(id), req)
+        : await extractPostData(provider, id, req);
+    if (postData) {
+        await cacheMetadata(cacheKey, postData);
+    }
+    return postData;
+}
+
+// Длинные видео (YouTube) не скачиваются для превью, как и в боте
+function isTooLong(provider, postData) {
+    return Boolean(provider.checkDuration && MEDIA_MAX_DURATION_MINUTES > 0 &&
+        postData.duration > MEDIA_MAX_DURATION_MINUTES * 60);
+}
+
+// Данные поста с видео, которое отдает наш /media
+function withMedia(postData, req, provider, id, media) {
+    return {
+        ...postData,
+        video: `${getBaseUrl(req)}/media/${provider.name}/${id}.mp4`,
+        videoType: 'video/mp4',
+        width: media ? media.width : null,
+        height: media ? media.height : null,
+        duration: media ? media.duration : postData.duration || null
+    };
+}
+
+// Данные поста для плеера и oEmbed: размеры берутся из уже скачанного файла, без ожидания
+async function getPostDataWithMedia(provider, id, req) {
+    const postData = await getPostData(provider, id, req);
+    if (!postData || isTooLong(provider, postData)) {
+        return postData;
+    }
+    return withMedia(postData, req, provider, id, await getMediaDetails(buildCacheKey(provider, id)));
+}
+
+// Ответ на ошибку при получении данных поста
+function sendPostError(req, res, error) {
+    if (error instanceof RateLimitError) {
+        return sendTooManyRequests(req, res, error);
+    }
+    logger.error('Ошибка сервера', { error });
+    res.status(500).send(t(req.language, 'web.server_error'));
+}
+
+// Страница превью с Open Graph, Twitter Card, oEmbed и JSON-LD
+async function sendPreviewPage(req, res, provider, id) {
     try {
-        // Проверяем кэш
-        const cachedData = getCachedData(reelId);
-        let reelsData;
+        let postData = await getPostData(provider, id, req);
         
-        if (cachedData) {
-            reelsData = cachedData;
-        } else {
-            reelsData = await extractReelsData(instagramUrl, req);
-            if (reelsData) {
-                setCachedData(reelId, reelsData);
+        if (!postData) {
+            return res.status(404).send(t(req.language, 'web.post_not_found'));
+        }
+
+        // og:video указывает на наш /media, который Telegram может воспроизвести.
+        // Ждем скачивания ограниченное время, чтобы отдать реальные размеры и длительность;
+        // если не успели, видео докачается в фоне к моменту запроса /media
+        let media = null;
+        let mediaFailed = isTooLong(provider, postData);
+        if (!mediaFailed) {
+            try {
+                media = await waitFor(ensureMediaFile(provider, id, req), OG_MEDIA_WAIT_MS);
+            } catch (error) {
+                // Без видео страница все равно отдается, с картинкой-превью
+                if (error instanceof RateLimitError) {
+                    logger.warn('Видео не скачано: лимит запросов', { retryAfterMs: error.retryAfterMs });
+                } else {
+                    logger.error('Ошибка скачивания видео', { error });
+                }
+                mediaFailed = true;
             }
         }
-        
-        if (!reelsData) {
-            return res.status(404).send('Не удалось получить данные Reels');
+        if (!mediaFailed) {
+            postData = withMedia(postData, req, provider, id, media);
         }
 
-        // Создаем HTML страницу с Open Graph мета-тегами
-        const html = generateHTML(reelsData, req);
-        res.send(html);
+        res.set('Content-Language', req.language);
+        res.send(renderPostPage(postData, getPostLinks(req, provider, id), provider.title, req.language));
         
     } catch (error) {
-        console.error('Ошибка сервера:', error);
-        res.status(500).send('Внутренняя ошибка сервера');
+        sendPostError(req, res, error);
     }
+}
+
+// Основной роут для Telegram (Instagram Reels, ссылки старого формата)
+app.get('/tg/:reelId', (req, res) => {
+    const target = getPreviewTarget('instagram', req.params.reelId);
+    if (!target) {
+        return res.status(404).send(t(req.language, 'web.post_not_found'));
+    }
+    sendPreviewPage(req, res, target.provider, target.id);
+});
+
+// Страница превью любой поддерживаемой платформы
+app.get('/v/:provider/:id', (req, res) => {
+    const target = getPreviewTarget(req.params.provider, req.params.id);
+    if (!target) {
+        return res.status(404).send(t(req.language, 'web.unsupported_link'));
+    }
+    sendPreviewPage(req, res, target.provider, target.id);
 });
 
+// Редирект с оригинальной ссылки на страницу превью: /go?url=https://youtube.com/shorts/...
+app.get('/go', (req, res) => {
+    const [link] = findVideoLinks(String(req.query.url || ''));
+    const previewPath = link ? getPreviewPath(link.provider, link.videoId) : null;
+    if (!previewPath) {
+        return res.status(404).send(t(req.language, 'web.unsupported_link'));
+    }
+    res.redirect(302, previewPath);
+});
+
+// Встраиваемый плеер для twitter:player и iframe из oEmbed
+app.get('/player/:provider/:id', async (req, res) => {
+    const target = getPreviewTarget(req.params.provider, req.params.id);
+    if (!target) {
+        return res.status(404).send(t(req.language, 'web.unsupported_link'));
+    }
+    try {
+        const postData = await getPostDataWithMedia(target.provider, target.id, req);
+        if (!postData || !postData.video) {
+            return res.status(404).send(t(req.language, 'web.video_not_found'));
+        }
+        res.send(renderPlayerPage(postData));
+    } catch (error) {
+        sendPostError(req, res, error);
+    }
+});
+
+// oEmbed (https://oembed.com): url — ссылка на страницу /v/платформа/ID или /tg/ID этого сервиса
+app.get('/oembed', async (req, res) => {
+    if (req.query.format && req.query.format !== 'json') {
+        return res.status(501).send(t(req.language, 'web.oembed_format'));
+    }
+
+    let target = null;
+    try {
+        const { pathname } = new URL(String(req.query.url));
+        const match = /^\/(?:tg\/([^/]+)|v\/([^/]+)\/([^/]+))\/?$/.exec(pathname);
+        if (match) {
+            target = match[1] ? getPreviewTarget('instagram', match[1]) : getPreviewTarget(match[2], match[3]);
+        }
+    } catch (error) {
+        // Некорректный url, ответ 404 ниже
+    }
+    if (!target) {
+        return res.status(404).send(t(req.language, 'web.unsupported_link'));
+    }
+
+    try {
+        const postData = await getPostDataWithMedia(target.provider, target.id, req);
+        if (!postData) {
+            return res.status(404).send(t(req.language, 'web.post_not_found'));
+        }
+        res.json(buildOEmbed(postData, getPostLinks(req, target.provider, target.id), {
+            maxWidth: parseInt(req.query.maxwidth, 10) || undefined,
+            maxHeight: parseInt(req.query.maxheight, 10) || undefined,
+            platform: target.provider.title,
+            providerUrl: getBaseUrl(req)
+        }));
+    } catch (error) {
+        sendPostError(req, res, error);
+    }
+});
+
+// Видео файл с поддержкой HTTP Range (перемотка, воспроизведение в Telegram)
+app.get('/media/:provider/:id.mp4', async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    const { id } = req.params;
+    if (!provider || !/^[\w-]+$/.test(id)) {
+        return res.status(404).send(t(req.language, 'web.video_not_found'));
+    }
+
+    try {
+        // Прямые запросы /media тоже идут в лимит IP, иначе скачивания с платформ ничем не ограничены
+        const media = await ensureMediaFile(provider, id, req);
+        // sendFile сам обрабатывает Range, ETag и Last-Modified
+        res.sendFile(path.resolve(media.filePath), { maxAge: '1h' });
+    } catch (error) {
+        if (error instanceof RateLimitError) {
+            return sendTooManyRequests(req, res, error);
+        }
+        if (error instanceof MediaTooLongError) {
+            return res.status(403).send(t(req.language, 'web.video_too_long', { minutes: MEDIA_MAX_DURATION_MINUTES }));
+        }
+        logger.error('Ошибка скачивания видео', { provider: req.params.provider, id, error });
+        res.status(502).send(t(req.language, 'web.video_failed'));
+    }
+});
+
+// Мониторинг: метрики Prometheus и состояние сервиса
+app.get('/metrics', handleMetrics);
+app.get('/healthz', handleHealth);
+
+if (telegramBot) {
+    app.post(telegramBot.WEBHOOK_PATH, telegramBot.handleWebhook);
+}
+
 // Главная страница
 app.get('/', (req, res) => {
-    const html = `
-<!DOCTYPE html>
-<html lang="ru">
+    const { language } = req;
+    const page = html`<!DOCTYPE html>
+<html lang="${language}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -271,29 +576,52 @@ app.get('/', (req, res) => {
 <body>
     <div class="container">
         <h1>Instagram Reels Proxy</h1>
-        <p>Сервис для проксирования Instagram Reels с поддержкой Open Graph</p>
+        <p>${t(language, 'web.home.description')}</p>
         
         <div class="example">
-            <h3>Пример использования:</h3>
-            <p>Оригинальная ссылка:</p>
+            <h3>${t(language, 'web.home.example')}</h3>
+            <p>${t(language, 'web.home.original')}</p>
             <a href="https://www.instagram.com/reel/DMziLlstNg2/?igsh=YXM1eWpybm8yM29o" target="_blank">
                 https://www.instagram.com/reel/DMziLlstNg2/?igsh=YXM1eWpybm8yM29o
             </a>
-            <p>Прокси ссылка для Telegram:</p>
+            <p>${t(language, 'web.home.proxy')}</p>
             <a href="/tg/DMziLlstNg2" target="_blank">
-                ${req.protocol}://${req.get('host')}/tg/DMziLlstNg2
+                ${getBaseUrl(req)}/tg/DMziLlstNg2
+            </a>
+            <p>${t(language, 'web.home.any')}</p>
+            <a href="/go?url=https://www.youtube.com/shorts/dQw4w9WgXcQ" target="_blank">
+                ${getBaseUrl(req)}/go?url=https://www.youtube.com/shorts/dQw4w9WgXcQ
             </a>
         </div>
     </div>
 </body>
 </html>`;
     
-    res.send(html);
+    res.set('Content-Language', language);
+    res.send(String(page));
 });
 
 // Запуск сервера
-app.listen(PORT, () => {
-    console.log(`Сервер запущен на порту ${PORT}`);
-    console.log(`Главная страница: http://localhost:${PORT}`);
-    console.log(`Пример: http://localhost:${PORT}/tg/DMziLlstNg2`);
-}); 
\ No newline at end of file
+startCacheEviction();
+setInterval(cleanupMediaFiles, 60 * 60 * 1000).unref();
+const server = app.listen(PORT, () => {
+    logger.info('Сервер запущен', { port: PORT, url: `http://localhost:${PORT}` });
+    // Webhook регистрируется, когда сервер уже принимает запросы. Ошибка не останавливает
+    // сервер: OG-страницы продолжают работать, а webhook мог остаться с прошлого запуска
+    if (telegramBot) {
+        telegramBot.startBot().catch((error) => logger.error('Не удалось запустить бота', { error }));
+    }
+});
+
+// Остановка: бот перестает принимать обновления и дожидается текущих задач, затем закрывается сервер
+async function shutdown() {
+    logger.info('Остановка сервера');
+    if (telegramBot) {
+        await telegramBot.stopBot();
+    }
+    server.close(() => process.exit(0));
+    // Keep-alive соединения могут держать сервер открытым
+    setTimeout(() => process.exit(0), 5000).unref();
+}
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown); 
\ No newline at end of file
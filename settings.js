@@ -0,0 +1,251 @@
+const { loadChatSettings, saveChatSettings } = require('./database.js');
+const { getProviders } = require('./providers');
+const { MAX_WORDS_LIMIT } = require('./captions');
+const { CAPTION_MAX_LENGTH } = require('./captions/template');
+const { LANGUAGES, t, LocalizedError } = require('./i18n');
+
+// Default video length limit for long-form platforms (YouTube), in minutes; 0 = no limit
+const envMaxDuration = parseInt(process.env.MAX_VIDEO_DURATION_MINUTES, 10);
+const DEFAULT_MAX_DURATION = Number.isNaN(envMaxDuration) ? 15 : envMaxDuration;
+// Links of one message that are processed, the rest get a reply
+const DEFAULT_MAX_LINKS = parseInt(process.env.MAX_LINKS_PER_MESSAGE, 10) || 5;
+
+/**
+ * Per-chat settings, changed by chat admins with /settings, /language, /captions, /quality and /duration.
+ *   - language         language of the bot's messages (see i18n/), null to follow the user's Telegram language
+ *   - aiCaptions       add an AI-generated caption
+ *   - captionLanguage  AI caption language code (e.g. "ru", "en"), null for the chat's language
+ *   - captionMaxWords  AI caption word limit
+ *   - captionPrompt    custom AI prompt with {words} and {language} placeholders, null for the default
+ *   - captionHashtags  add hashtags on a second caption line
+ *   - originalCaption  add the original post metadata: author, description, music, likes, date
+ *   - captionTemplate  Telegram HTML caption template, null for the default (see captions/template.js)
+ *   - maxHeight        maximum video resolution (height in pixels)
+ *   - maxDuration      longer videos offer audio only / the first minutes / skip, in minutes, 0 = no limit
+ *   - maxLinks         links processed per message
+ *   - replyMode        'reply' to the link message, or 'repost': delete it and post the video
+ *   - previewLink      link to the web server's preview page: 'off', 'caption' (added to the
+ *                      caption of the video) or 'only' (sent instead of the video)
+ *   - platforms        enabled provider names, null means all
+ */
+const DEFAULT_SETTINGS = {
+    language: null,
+    aiCaptions: true,
+    captionLanguage: null,
+    captionMaxWords: 3,
+    captionPrompt: null,
+    captionHashtags: false,
+    originalCaption: false,
+    captionTemplate: null,
+    maxHeight: 720,
+    maxDuration: DEFAULT_MAX_DURATION,
+    maxLinks: DEFAULT_MAX_LINKS,
+    replyMode: 'reply',
+    previewLink: 'off',
+    platforms: null
+};
+
+const QUALITY_OPTIONS = [360, 480, 720, 1080];
+const DURATION_OPTIONS = [5, 15, 30, 60, 0];
+const MAX_DURATION_LIMIT = 600;
+const LINKS_OPTIONS = [1, 3, 5, 10];
+const MAX_LINKS_LIMIT = 20;
+const REPLY_MODES = ['reply', 'repost'];
+const PREVIEW_LINK_MODES = ['off', 'caption', 'only'];
+const CAPTION_PROMPT_MAX_LENGTH = 500;
+// null is "auto", see getLanguage in bot.js
+const LANGUAGE_OPTIONS = [null, ...LANGUAGES];
+
+// Settings are read on every message, so they are kept in memory after the first load
+const settingsCache = new Map();
+
+/**
+ * Returns chat settings merged with the defaults.
+ * @param {number} chatId - Telegram chat ID.
+ * @returns {Promise<object>}
+ */
+async function getChatSettings(chatId) {
+    if (!settingsCache.has(chatId)) {
+        const stored = await loadChatSettings(chatId);
+        settingsCache.set(chatId, { ...DEFAULT_SETTINGS, ...stored });
+    }
+    return { ...settingsCache.get(chatId) };
+}
+
+/**
+ * Validates and saves a partial settings update.
+ * @param {number} chatId - Telegram chat ID.
+ * @param {object} patch - Changed settings.
+ * @returns {Promise<object>} The updated settings.
+ */
+async function updateChatSettings(chatId, patch) {
+    const settings = { ...(await getChatSettings(chatId)), ...patch };
+
+    if (!QUALITY_OPTIONS.includes(settings.maxHeight)) {
+        throw new LocalizedError('settings.error.quality', { value: settings.maxHeight });
+    }
+    if (!Number.isInteger(settings.maxDuration) || settings.maxDuration < 0 || settings.maxDuration > MAX_DURATION_LIMIT) {
+        throw new LocalizedError('settings.error.duration', { max: MAX_DURATION_LIMIT });
+    }
+    if (!Number.isInteger(settings.maxLinks) || settings.maxLinks < 1 || settings.maxLinks > MAX_LINKS_LIMIT) {
+        throw new LocalizedError('settings.error.links', { max: MAX_LINKS_LIMIT });
+    }
+    if (!REPLY_MODES.includes(settings.replyMode)) {
+        throw new LocalizedError('settings.error.reply_mode', { value: settings.replyMode });
+    }
+    if (!PREVIEW_LINK_MODES.includes(settings.previewLink)) {
+        throw new LocalizedError('settings.error.preview_link', { value: settings.previewLink });
+    }
+    if (!LANGUAGE_OPTIONS.includes(settings.language)) {
+        throw new LocalizedError('settings.error.language', { value: settings.language });
+    }
+    if (settings.captionLanguage !== null && !/^[a-z]{2,3}$/.test(settings.captionLanguage)) {
+        throw new LocalizedError('settings.error.caption_language', { value: settings.captionLanguage });
+    }
+    if (!Number.isInteger(settings.captionMaxWords) || settings.captionMaxWords < 1 || settings.captionMaxWords > MAX_WORDS_LIMIT) {
+        throw new LocalizedError('settings.error.caption_words', { max: MAX_WORDS_LIMIT });
+    }
+    if (settings.captionPrompt && settings.captionPrompt.length > CAPTION_PROMPT_MAX_LENGTH) {
+        throw new LocalizedError('settings.error.caption_prompt', { max: CAPTION_PROMPT_MAX_LENGTH });
+    }
+    if (settings.captionTemplate && settings.captionTemplate.length > CAPTION_MAX_LENGTH) {
+        throw new LocalizedError('settings.error.caption_template', { max: CAPTION_MAX_LENGTH });
+    }
+    // All platforms enabled is stored as null, so new providers are enabled by default
+    if (settings.platforms && settings.platforms.length === getProviders().length) {
+        settings.platforms = null;
+    }
+
+    await saveChatSettings(chatId, settings);
+    settingsCache.set(chatId, settings);
+    return { ...settings };
+}
+
+/**
+ * @param {object} settings - Chat settings.
+ * @param {string} providerName - Provider name (e.g. "tiktok").
+ * @returns {boolean}
+ */
+function isPlatformEnabled(settings, providerName) {
+    return !settings.platforms || settings.platforms.includes(providerName);
+}
+
+/**
+ * Cache key for the chat's quality: videos downloaded with a non-default
+ * resolution cap are cached separately ("youtube:ID@480p").
+ * @param {string} cacheKey - Base cache key.
+ * @param {object} settings - Chat settings.
+ * @returns {string}
+ */
+function getQualityCacheKey(cacheKey, settings) {
+    return settings.maxHeight === DEFAULT_SETTINGS.maxHeight ? cacheKey : `${cacheKey}@${settings.maxHeight}p`;
+}
+
+/**
+ * Applies a settings keyboard action ("aiCaptions", "quality", "platform:tiktok", ...).
+ * @param {object} settings - Current chat settings.
+ * @param {string} action - Callback action.
+ * @returns {object|null} Settings patch, or null for an unknown action.
+ */
+function getSettingsPatch(settings, action) {
+    const [name, arg] = action.split(':');
+    switch (name) {
+        case 'aiCaptions':
+            return { aiCaptions: !settings.aiCaptions };
+        case 'captionHashtags':
+            return { captionHashtags: !settings.captionHashtags };
+        case 'originalCaption':
+            return { originalCaption: !settings.originalCaption };
+        case 'quality': {
+            const next = (QUALITY_OPTIONS.indexOf(settings.maxHeight) + 1) % QUALITY_OPTIONS.length;
+            return { maxHeight: QUALITY_OPTIONS[next] };
+        }
+        case 'maxDuration': {
+            const next = (DURATION_OPTIONS.indexOf(settings.maxDuration) + 1) % DURATION_OPTIONS.length;
+            return { maxDuration: DURATION_OPTIONS[next] };
+        }
+        case 'maxLinks': {
+            const next = (LINKS_OPTIONS.indexOf(settings.maxLinks) + 1) % LINKS_OPTIONS.length;
+            return { maxLinks: LINKS_OPTIONS[next] };
+        }
+        case 'replyMode':
+            return { replyMode: settings.replyMode === 'reply' ? 'repost' : 'reply' };
+        case 'previewLink': {
+            const next = (PREVIEW_LINK_MODES.indexOf(settings.previewLink) + 1) % PREVIEW_LINK_MODES.length;
+            return { previewLink: PREVIEW_LINK_MODES[next] };
+        }
+        case 'language': {
+            const next = (LANGUAGE_OPTIONS.indexOf(settings.language) + 1) % LANGUAGE_OPTIONS.length;
+            return { language: LANGUAGE_OPTIONS[next] };
+        }
+        case 'platform': {
+            const all = getProviders().map((p) => p.name);
+            if (!all.includes(arg)) return null;
+            const enabled = settings.platforms || all;
+            return {
+                platforms: enabled.includes(arg) ? enabled.filter((p) => p !== arg) : [...enabled, arg]
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Builds the /settings inline keyboard. Callback data is "settings:<action>".
+ * @param {object} settings - Chat settings.
+ * @param {{previewLinks?: boolean, language?: string}} [options] - previewLinks when the web server's
+ *   public address is known, and the language of the labels.
+ * @returns {Array<Array<{text: string, callback_data: string}>>}
+ */
+function buildSettingsKeyboard(settings, { previewLinks = false, language } = {}) {
+    const onOff = (value) => t(language, value ? 'common.on' : 'common.off');
+    const keyboard = [
+        [{ text: t(language, 'settings.language', {
+            value: settings.language ? t(settings.language, 'language.name') : t(language, 'settings.language.auto')
+        }), callback_data: 'settings:language' }],
+        [{ text: t(language, 'settings.ai_captions', { value: onOff(settings.aiCaptions) }), callback_data: 'settings:aiCaptions' }],
+        [{ text: t(language, 'settings.hashtags', { value: onOff(settings.captionHashtags) }), callback_data: 'settings:captionHashtags' }],
+        [{ text: t(language, 'settings.original', { value: onOff(settings.originalCaption) }), callback_data: 'settings:originalCaption' }],
+        [{ text: t(language, 'settings.quality', { value: settings.maxHeight }), callback_data: 'settings:quality' }],
+        [{
+            text: t(language, 'settings.duration', {
+                value: settings.maxDuration
+                    ? t(language, 'duration.minutes', { minutes: settings.maxDuration })
+                    : t(language, 'duration.no_limit')
+            }),
+            callback_data: 'settings:maxDuration'
+        }],
+        [{ text: t(language, 'settings.links', { value: settings.maxLinks }), callback_data: 'settings:maxLinks' }],
+        [{ text: t(language, `settings.reply_mode.${settings.replyMode}`), callback_data: 'settings:replyMode' }]
+    ];
+    if (previewLinks) {
+        keyboard.push([{
+            text: t(language, 'settings.preview', { value: t(language, `settings.preview.${settings.previewLink}`) }),
+            callback_data: 'settings:previewLink'
+        }]);
+    }
+
+    // Two platform toggles per row
+    const providers = getProviders();
+    for (let i = 0; i < providers.length; i += 2) {
+        keyboard.push(providers.slice(i, i + 2).map((provider) => ({
+            text: `${isPlatformEnabled(settings, provider.name) ? '✅' : '❌'} ${provider.title}`,
+            callback_data: `settings:platform:${provider.name}`
+        })));
+    }
+
+    keyboard.push([{ text: t(language, 'settings.close'), callback_data: 'settings:close' }]);
+    return keyboard;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    QUALITY_OPTIONS,
+    getChatSettings,
+    updateChatSettings,
+    isPlatformEnabled,
+    getQualityCacheKey,
+    getSettingsPatch,
+    buildSettingsKeyboard
+};
@@ -0,0 +1,150 @@
+const { getProvider } = require('./providers');
+const { escapeHtml } = require('./captions/template');
+const { t } = require('./i18n');
+
+/**
+ * /stats: usage statistics from the request history (see the requests table in database.js).
+ *
+ * Arguments, in any order:
+ *   all                      every chat instead of the current one (owner only)
+ *   today | 24h | 7d | 4w    a period ending now
+ *   2026-05-01               one day (UTC)
+ *   2026-05-01..2026-05-31   a date range, either end may be left out
+ * Without a period the whole history is counted.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_UNITS = { h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses a YYYY-MM-DD date as UTC midnight.
+ * @returns {number|null} Milliseconds, or null for an invalid date.
+ */
+function parseDate(text) {
+    if (!DATE_PATTERN.test(text)) return null;
+    const time = Date.parse(`${text}T00:00:00Z`);
+    // Date.parse accepts 2026-02-31, the round trip doesn't
+    return Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text ? null : time;
+}
+
+/**
+ * Parses the /stats arguments.
+ * @param {string} text - Arguments after the command.
+ * @param {number} [now=Date.now()]
+ * @returns {{all: boolean, since: number|null, until: number|null, period: {key: string, params: object}}|
+ *   {error: {key: string, params: object}}} The filter and a description of the period, or the reason
+ *   the arguments were rejected, as messages to translate (see i18n/).
+ */
+function parseStatsArgs(text, now = Date.now()) {
+    const result = { all: false, since: null, until: null, period: { key: 'stats.period.all', params: {} } };
+    let hasPeriod = false;
+
+    for (const arg of text.trim().toLowerCase().split(/\s+/).filter(Boolean)) {
+        if (arg === 'all') {
+            result.all = true;
+            continue;
+        }
+        if (hasPeriod) {
+            return { error: { key: 'stats.error.one_period', params: { arg } } };
+        }
+        hasPeriod = true;
+
+        const relative = /^(\d+)([hdw])$/.exec(arg);
+        if (arg === 'today') {
+            result.since = Math.floor(now / DAY_MS) * DAY_MS;
+            result.period = { key: 'stats.period.today', params: {} };
+        } else if (relative && parseInt(relative[1], 10) > 0) {
+            const count = parseInt(relative[1], 10);
+            result.since = now - count * PERIOD_UNITS[relative[2]];
+            result.period = { key: `stats.period.${relative[2]}`, params: { count } };
+        } else if (arg.includes('..')) {
+            const [from, to] = arg.split('..');
+            const since = from ? parseDate(from) : null;
+            const until = to ? parseDate(to) : null;
+            if ((from && since === null) || (to && until === null) || (!from && !to)) {
+                return { error: { key: 'stats.error.range', params: { arg } } };
+            }
+            if (since !== null && until !== null && since > until) {
+                return { error: { key: 'stats.error.range_order', params: { arg } } };
+            }
+            result.since = since;
+            // The end date is included
+            result.until = until === null ? null : until + DAY_MS;
+            result.period = {
+                key: from && to ? 'stats.period.range' : from ? 'stats.period.since' : 'stats.period.until',
+                params: { from, to }
+            };
+        } else if (DATE_PATTERN.test(arg)) {
+            result.since = parseDate(arg);
+            if (result.since === null) {
+                return { error: { key: 'stats.error.date', params: { arg } } };
+            }
+            result.until = result.since + DAY_MS;
+            result.period = { key: 'stats.period.day', params: { date: arg } };
+        } else {
+            return { error: { key: 'stats.error.unknown', params: { arg } } };
+        }
+    }
+    return result;
+}
+
+function formatSeconds(language, ms) {
+    return ms === null ? '—' : t(language, 'stats.seconds', { value: (ms / 1000).toFixed(1) });
+}
+
+function getPlatformTitle(name) {
+    const provider = getProvider(name);
+    return provider ? provider.title : name;
+}
+
+/**
+ * Formats statistics as a Telegram HTML message.
+ * @param {object} stats - The result of getRequestStats.
+ * @param {{all: boolean, period: {key: string, params: object}}} filter - What the statistics cover, see parseStatsArgs.
+ * @param {string} language - Language of the message.
+ * @returns {string}
+ */
+function formatStats(stats, { all, period }, language) {
+    const title = t(language, all ? 'stats.title.global' : 'stats.title.chat');
+    const lines = [`📊 <b>${title}</b> · ${escapeHtml(t(language, period.key, period.params))}`, ''];
+    if (stats.total === 0) {
+        lines.push(t(language, 'stats.empty'));
+        return lines.join('\n');
+    }
+
+    const served = stats.cacheHits + stats.downloads;
+    lines.push(t(language, 'stats.links', { total: stats.total, done: stats.done, failed: stats.failed }));
+    if (served > 0) {
+        lines.push(t(language, 'stats.cache_hits', {
+            percent: Math.round((stats.cacheHits / served) * 100),
+            hits: stats.cacheHits,
+            served
+        }));
+    }
+    lines.push(t(language, 'stats.avg_time', {
+        download: formatSeconds(language, stats.avgDownloadMs),
+        cache: formatSeconds(language, stats.avgCacheMs)
+    }));
+    if (all) {
+        lines.push(t(language, 'stats.chats_users', { chats: stats.chats, users: stats.users }));
+    }
+
+    lines.push('', `<b>${t(language, 'stats.top_platforms')}</b>`);
+    stats.platforms.forEach(({ provider, count }, i) => {
+        lines.push(`${i + 1}. ${escapeHtml(getPlatformTitle(provider))} — ${count}`);
+    });
+
+    lines.push('', `<b>${t(language, 'stats.most_shared')}</b>`);
+    stats.top.forEach(({ provider, videoId, count }, i) => {
+        const platform = getProvider(provider);
+        const label = escapeHtml(`${getPlatformTitle(provider)} ${videoId}`);
+        lines.push(`${i + 1}. ${platform ? `<a href="${escapeHtml(platform.buildUrl(videoId))}">${label}</a>` : label} — ${count}`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseStatsArgs,
+    formatStats
+};
@@ -0,0 +1,179 @@
+const { spawn } = require('child_process');
+const { histogram } = require('./metrics.js');
+
+const STDERR_TAIL_LENGTH = 4000;
+
+// Running processes, killed on shutdown since they live in their own process groups
+const activeProcesses = new Set();
+
+const processDuration = histogram('pinsta_process_duration_seconds', 'Duration of yt-dlp/ffmpeg runs by command and result');
+
+/**
+ * Error of a failed, timed out or oversized subprocess.
+ */
+class ProcessError extends Error {
+    constructor(message, { code = null, stderr = '', timedOut = false } = {}) {
+        super(message);
+        this.name = 'ProcessError';
+        this.code = code;
+        this.stderr = stderr;
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * Kills a process and everything it started (yt-dlp runs ffmpeg for merging, for example).
+ */
+function killTree(child) {
+    try {
+        // Negative PID: the whole process group, created by `detached: true`
+        process.kill(-child.pid, 'SIGKILL');
+    } catch (error) {
+        child.kill('SIGKILL');
+    }
+}
+
+/**
+ * Runs a program with an argument array, without a shell, so links and file names
+ * are never interpreted as shell syntax.
+ * @param {string} command - Program name.
+ * @param {string[]} args - Arguments.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=60000] - The process tree is killed after this time.
+ * @param {AbortSignal} [options.signal] - Kills the process tree when aborted; the promise rejects with the abort reason.
+ * @param {function(string, 'stdout'|'stderr'): void} [options.onLine] - Called for every output line.
+ * @param {number} [options.maxOutput=20MB] - Maximum stdout size.
+ * @returns {Promise<{stdout: string, stderr: string}>} stdout, and the tail of stderr.
+ */
+function runProcess(command, args, { timeoutMs = 60000, signal, onLine, maxOutput = 20 * 1024 * 1024 } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(signal.reason);
+        }
+
+        const child = spawn(command, args, { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        activeProcesses.add(child);
+        const endTimer = processDuration.startTimer({ command });
+        let timed = false;
+
+        let stdout = '';
+        let stderr = '';
+        let failure = null;
+        const partial = { stdout: '', stderr: '' };
+
+        const fail = (error) => {
+            if (failure) return;
+            failure = error;
+            killTree(child);
+        };
+
+        const timer = setTimeout(() => {
+            fail(new ProcessError(`${command} timed out after ${timeoutMs / 1000}s`, { timedOut: true }));
+        }, timeoutMs);
+        const onAbort = () => fail(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        const handleData = (stream) => (chunk) => {
+            const text = chunk.toString();
+            if (stream === 'stdout') {
+                stdout += text;
+                if (stdout.length > maxOutput) {
+                    fail(new ProcessError(`${command} output is larger than ${maxOutput} bytes`));
+                }
+            } else {
+                stderr = (stderr + text).slice(-STDERR_TAIL_LENGTH);
+            }
+
+            if (onLine) {
+                // Progress updates end with \r or \n
+                const lines = (partial[stream] + text).split(/\r\n|\r|\n/);
+                partial[stream] = lines.pop();
+                for (const line of lines) {
+                    if (line) onLine(line, stream);
+                }
+            }
+        };
+        child.stdout.on('data', handleData('stdout'));
+        child.stderr.on('data', handleData('stderr'));
+
+        const finish = (code) => {
+            clearTimeout(timer);
+            activeProcesses.delete(child);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            // 'close' may follow 'error', the run is recorded once
+            if (timed) return;
+            timed = true;
+
+            let result = code === 0 ? 'ok' : 'error';
+            if (failure && failure.timedOut) result = 'timeout';
+            else if (failure && signal && signal.aborted) result = 'cancelled';
+            endTimer({ result });
+        };
+
+        child.on('error', (error) => {
+            finish(null);
+            reject(failure || new ProcessError(`Failed to start ${command}: ${error.message}`, { code: error.code }));
+        });
+        child.on('close', (code) => {
+            finish(failure ? null : code);
+            if (failure) return reject(failure);
+            if (code !== 0) {
+                const lastLine = stderr.trim().split('\n').pop() || '';
+                return reject(new ProcessError(`${command} exited with code ${code}: ${lastLine}`, { code, stderr }));
+            }
+            resolve({ stdout, stderr });
+        });
+    });
+}
+
+/**
+ * Runs yt-dlp and reports the download percentage.
+ * @param {string[]} args - yt-dlp arguments.
+ * @param {object} [options] - runProcess options plus onProgress(percent).
+ */
+function runYtDlp(args, { onProgress, ...options } = {}) {
+    return runProcess('yt-dlp', ['--newline', ...args], {
+        ...options,
+        onLine: onProgress ? (line) => {
+            // [download]  43.2% of ~ 12.34MiB at  1.23MiB/s ETA 00:07
+            const match = line.match(/^\[download\]\s+([\d.]+)%/);
+            if (match) onProgress(parseFloat(match[1]));
+        } : undefined
+    });
+}
+
+/**
+ * Runs ffmpeg and reports the percentage of `duration` already processed.
+ * @param {string[]} args - ffmpeg arguments (inputs, filters, output).
+ * @param {object} [options] - runProcess options plus duration (seconds) and onProgress(percent).
+ */
+function runFfmpeg(args, { duration, onProgress, onLine, ...options } = {}) {
+    return runProcess('ffmpeg', ['-hide_banner', '-nostats', '-progress', 'pipe:1', ...args], {
+        ...options,
+        onLine: (line, stream) => {
+            // -progress writes "key=value" lines to stdout; out_time_us is the position in microseconds
+            const match = stream === 'stdout' && line.match(/^out_time_(?:us|ms)=(\d+)/);
+            if (match && onProgress && duration) {
+                onProgress(Math.min(100, (parseInt(match[1], 10) / 1e6 / duration) * 100));
+            }
+            if (onLine) onLine(line, stream);
+        }
+    });
+}
+
+/**
+ * Kills all running subprocesses. Called on shutdown.
+ */
+function killAllProcesses() {
+    for (const child of activeProcesses) {
+        killTree(child);
+    }
+}
+
+module.exports = {
+    ProcessError,
+    runProcess,
+    runYtDlp,
+    runFfmpeg,
+    killAllProcesses
+};
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when access.js is loaded
+const OWNER = 1000;
+process.env.OWNER_ID = String(OWNER);
+delete process.env.ACCESS_MODE;
+
+const {
+    isOwner,
+    getAccessMode,
+    setAccessMode,
+    isChatAuthorized,
+    checkAccess,
+    setAccessRule,
+    removeAccessRule,
+    listAccessRules,
+    parseAccessSubject
+} = require('../access');
+
+const USER = 2000;
+const OTHER_USER = 3000;
+const GROUP = { id: -100123, type: 'supergroup' };
+const OTHER_GROUP = { id: -100456, type: 'group' };
+const CHANNEL = { id: -100789, type: 'channel' };
+const privateChat = (userId) => ({ id: userId, type: 'private' });
+
+/**
+ * Clears every list entry, so each test starts from the mode alone.
+ */
+async function resetRules() {
+    for (const list of ['allow', 'block']) {
+        for (const rule of await listAccessRules(list)) {
+            await removeAccessRule(rule.kind, rule.id);
+        }
+    }
+}
+
+describe('access', () => {
+    beforeEach(resetRules);
+
+    it('knows the owner from OWNER_ID', () => {
+        assert.equal(isOwner(OWNER), true);
+        assert.equal(isOwner(USER), false);
+        assert.equal(isOwner(null), false);
+    });
+
+    it('is public by default', async () => {
+        assert.equal(await getAccessMode(), 'public');
+    });
+
+    it('rejects unknown modes and lists', async () => {
+        await assert.rejects(setAccessMode('secret'), { name: 'LocalizedError', key: 'access.error.mode' });
+        await assert.rejects(setAccessRule('user', USER, 'maybe'), { name: 'LocalizedError', key: 'access.error.list' });
+        assert.equal(await getAccessMode(), 'public');
+    });
+
+    it('refuses to block the owner', async () => {
+        await assert.rejects(setAccessRule('user', OWNER, 'block'), { name: 'LocalizedError', key: 'access.error.block_owner' });
+        assert.deepEqual(await listAccessRules('block'), []);
+        assert.deepEqual(await checkAccess(privateChat(OWNER), OWNER), { allowed: true });
+    });
+
+    it('parses /allow and /block subjects', () => {
+        assert.deepEqual(parseAccessSubject('2000'), { kind: 'user', id: 2000 });
+        assert.deepEqual(parseAccessSubject('-100123'), { kind: 'chat', id: -100123 });
+        assert.equal(parseAccessSubject('0'), null);
+        assert.equal(parseAccessSubject('@someone'), null);
+    });
+
+    describe('public mode', () => {
+        beforeEach(() => setAccessMode('public'));
+
+        it('serves everyone', async () => {
+            assert.equal(await isChatAuthorized(GROUP), true);
+            assert.equal(await isChatAuthorized(CHANNEL), true);
+            assert.deepEqual(await checkAccess(GROUP, USER), { allowed: true });
+            assert.deepEqual(await checkAccess(privateChat(USER), USER), { allowed: true });
+            // Messages sent on behalf of a chat have no user
+            assert.deepEqual(await checkAccess(CHANNEL, null), { allowed: true });
+        });
+
+        it('leaves blocked groups and ignores blocked users everywhere', async () => {
+            await setAccessRule('chat', GROUP.id, 'block', OWNER);
+            await setAccessRule('user', USER, 'block', OWNER);
+
+            assert.equal(await isChatAuthorized(GROUP), false);
+            assert.equal(await isChatAuthorized(OTHER_GROUP), true);
+            assert.deepEqual(await checkAccess(GROUP, OTHER_USER), { allowed: false, reason: 'blocked_chat' });
+            assert.deepEqual(await checkAccess(OTHER_GROUP, USER), { allowed: false, reason: 'blocked_user' });
+            assert.deepEqual(await checkAccess(privateChat(USER), USER), { allowed: false, reason: 'blocked_user' });
+            assert.deepEqual(await checkAccess(OTHER_GROUP, OTHER_USER), { allowed: true });
+        });
+
+        it('serves the owner in a blocked group', async () => {
+            await setAccessRule('chat', GROUP.id, 'block', OWNER);
+            assert.deepEqual(await checkAccess(GROUP, OWNER), { allowed: true });
+        });
+
+        it('serves an entry again once it is removed', async () => {
+            await setAccessRule('user', USER, 'block', OWNER);
+            assert.equal(await removeAccessRule('user', USER), true);
+            assert.equal(await removeAccessRule('user', USER), false);
+            assert.deepEqual(await checkAccess(privateChat(USER), USER), { allowed: true });
+        });
+    });
+
+    describe('private mode', () => {
+        beforeEach(() => setAccessMode('private'));
+
+        it('serves only the owner without allow list entries', async () => {
+            assert.equal(await getAccessMode(), 'private');
+            assert.equal(await isChatAuthorized(GROUP), false);
+            assert.equal(await isChatAuthorized(CHANNEL), false);
+            assert.deepEqual(await checkAccess(GROUP, USER), { allowed: false, reason: 'private_mode' });
+            assert.deepEqual(await checkAccess(privateChat(USER), USER), { allowed: false, reason: 'private_mode' });
+            assert.deepEqual(await checkAccess(GROUP, OWNER), { allowed: true });
+            assert.deepEqual(await checkAccess(privateChat(OWNER), OWNER), { allowed: true });
+        });
+
+        it('always lets the bot stay in private chats', async () => {
+            // Whether the user is served there is up to checkAccess
+            assert.equal(await isChatAuthorized(privateChat(USER)), true);
+        });
+
+        it('serves allowed groups and private chats of allowed users', async () => {
+            await setAccessRule('chat', GROUP.id, 'allow', OWNER);
+            await setAccessRule('user', USER, 'allow', OWNER);
+
+            assert.equal(await isChatAuthorized(GROUP), true);
+            assert.equal(await isChatAuthorized(OTHER_GROUP), false);
+            assert.deepEqual(await checkAccess(GROUP, OTHER_USER), { allowed: true });
+            assert.deepEqual(await checkAccess(privateChat(USER), USER), { allowed: true });
+            // An allowed user is not served in a group that isn't allowed
+            assert.deepEqual(await checkAccess(OTHER_GROUP, USER), { allowed: false, reason: 'private_mode' });
+        });
+
+        it('lets the block list win over an allowed group', async () => {
+            await setAccessRule('chat', GROUP.id, 'allow', OWNER);
+            await setAccessRule('user', USER, 'block', OWNER);
+
+            assert.deepEqual(await checkAccess(GROUP, USER), { allowed: false, reason: 'blocked_user' });
+            assert.deepEqual(await checkAccess(GROUP, OTHER_USER), { allowed: true });
+        });
+
+        it('moves an entry from one list to the other', async () => {
+            await setAccessRule('chat', GROUP.id, 'allow', OWNER);
+            await setAccessRule('chat', GROUP.id, 'block', OWNER);
+
+            assert.equal(await isChatAuthorized(GROUP), false);
+            assert.deepEqual((await listAccessRules('allow')).map((rule) => rule.id), []);
+            assert.deepEqual((await listAccessRules('block')).map((rule) => rule.id), [GROUP.id]);
+        });
+    });
+});
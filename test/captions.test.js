@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    createCaptioner,
+    createCaptionerFromEnv,
+    createFakeProvider,
+    createFallbackProvider,
+    createGeminiProvider
+} = require('../captions');
+
+const POST_INFO = { postText: 'Sunday concert at home #cats #piano', title: 'Video by catlover' };
+
+describe('caption provider selection', () => {
+    it('selects the fake provider with the original caption fallback', () => {
+        const captioner = createCaptionerFromEnv({ CAPTION_PROVIDER: 'fake', GEMINI_API_KEY: 'unused' });
+        assert.equal(captioner.provider.name, 'fake');
+        assert.equal(captioner.fallback.name, 'fallback');
+        assert.equal(captioner.available, true);
+        assert.equal(captioner.usesImages, true);
+    });
+
+    it('uses only the fallback without an AI backend', () => {
+        const captioner = createCaptionerFromEnv({});
+        assert.equal(captioner.provider, null);
+        assert.equal(captioner.fallback.name, 'fallback');
+        assert.equal(captioner.usesImages, false);
+    });
+
+    it('is unavailable when the fallback is disabled too', () => {
+        const captioner = createCaptionerFromEnv({ CAPTION_PROVIDER: 'none', CAPTION_FALLBACK: 'false' });
+        assert.equal(captioner.available, false);
+    });
+
+    it('rejects unknown providers and missing backend settings', () => {
+        assert.throws(() => createCaptionerFromEnv({ CAPTION_PROVIDER: 'nope' }), /Unknown caption provider/);
+        assert.throws(() => createCaptionerFromEnv({ CAPTION_PROVIDER: 'gemini' }), /GEMINI_API_KEY/);
+        assert.throws(() => createCaptionerFromEnv({ CAPTION_PROVIDER: 'openai' }), /OPENAI_BASE_URL/);
+    });
+});
+
+describe('caption pipeline with the fake provider', () => {
+    it('passes the prompt, frames and chat settings to the provider', async () => {
+        const captioner = createCaptionerFromEnv({ CAPTION_PROVIDER: 'fake', FAKE_CAPTION: 'Cat plays piano' });
+        const caption = await captioner.generate({
+            imagePaths: ['a.jpg', 'b.jpg'],
+            postInfo: POST_INFO,
+            settings: { captionLanguage: 'ru', captionMaxWords: 5 }
+        });
+
+        assert.equal(caption, 'Cat plays piano');
+        const [call] = captioner.provider.calls;
+        assert.deepEqual(call.imagePaths, ['a.jpg', 'b.jpg']);
+        assert.equal(call.language, 'ru');
+        assert.equal(call.maxWords, 5);
+        assert.match(call.prompt, /2 frames/);
+        assert.match(call.prompt, /in Russian, at most 5 word/);
+    });
+
+    it('cuts the answer to the word limit and drops punctuation', async () => {
+        const captioner = createCaptioner({ provider: createFakeProvider({ caption: 'A cat, playing the piano! Really well.' }) });
+        assert.equal(await captioner.generate({ settings: { captionMaxWords: 3 } }), 'A cat playing');
+        assert.equal(await captioner.generate({ settings: { captionMaxWords: 1 } }), 'A');
+    });
+
+    it('keeps hashtags on a second line only when the chat wants them', async () => {
+        const provider = createFakeProvider({ caption: 'Cat concert\n#cats #piano #music #home' });
+        const captioner = createCaptioner({ provider });
+
+        assert.equal(await captioner.generate({ settings: { captionHashtags: true } }), 'Cat concert\n#cats #piano #music');
+        assert.equal(await captioner.generate({ settings: {} }), 'Cat concert');
+        assert.match(provider.calls[0].prompt, /hashtags/);
+    });
+
+    it('falls back to the original caption when the provider answers nothing', async () => {
+        const provider = createFakeProvider({ caption: '' });
+        const captioner = createCaptioner({ provider, fallback: createFallbackProvider() });
+
+        assert.equal(await captioner.generate({ postInfo: POST_INFO, settings: { captionMaxWords: 2 } }), 'Sunday concert');
+        assert.equal(provider.calls.length, 1);
+    });
+
+    it('falls back to the original caption when the provider fails', async () => {
+        const provider = createFakeProvider();
+        provider.generate = async () => {
+            throw Object.assign(new Error('Quota exceeded'), { status: 429 });
+        };
+        const captioner = createCaptioner({ provider, fallback: createFallbackProvider() });
+
+        assert.equal(await captioner.generate({ postInfo: POST_INFO, settings: { captionMaxWords: 3 } }), 'Sunday concert at');
+    });
+
+    it('returns null when no provider has a caption', async () => {
+        const captioner = createCaptioner({ provider: createFakeProvider({ caption: '' }), fallback: createFallbackProvider() });
+        assert.equal(await captioner.generate({ settings: {} }), null);
+    });
+});
+
+describe('Gemini provider', () => {
+    it('gives up on a hung request, so the fallback takes over', async (t) => {
+        // fetch that only ends when it is aborted
+        t.mock.method(global, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+        const framePath = path.join(os.tmpdir(), `pinsta-test-frame-${process.pid}.jpg`);
+        fs.writeFileSync(framePath, 'jpeg');
+        t.after(() => fs.unlinkSync(framePath));
+        // The abort timer doesn't keep the process alive by itself
+        const keepAlive = setInterval(() => {}, 1000);
+        t.after(() => clearInterval(keepAlive));
+
+        const captioner = createCaptioner({
+            provider: createGeminiProvider({ apiKey: 'test', timeoutMs: 50 }),
+            fallback: createFallbackProvider()
+        });
+        assert.equal(await captioner.generate({ imagePaths: [framePath], postInfo: POST_INFO, settings: {} }), 'Sunday concert at');
+    });
+});
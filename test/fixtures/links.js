@@ -0,0 +1,287 @@
+/**
+ * Real link shapes of every provider, as users share them.
+ *
+ * `links` are found in a message: `match` is the part the link pattern picks up, `id` the
+ * extracted video ID and `url` the canonical URL built from it. `ignored` are pages of the
+ * same site that are not videos and must not match.
+ */
+module.exports = {
+    instagram: {
+        links: [
+            {
+                text: 'https://www.instagram.com/reel/C8xYz12AbCd/?igsh=MWQ1ZGUxMzBkMA==',
+                match: 'https://www.instagram.com/reel/C8xYz12AbCd',
+                id: 'C8xYz12AbCd',
+                url: 'https://www.instagram.com/p/C8xYz12AbCd/'
+            },
+            {
+                text: 'https://www.instagram.com/reels/C8xYz12AbCd/',
+                match: 'https://www.instagram.com/reels/C8xYz12AbCd',
+                id: 'C8xYz12AbCd',
+                url: 'https://www.instagram.com/p/C8xYz12AbCd/'
+            },
+            {
+                text: 'https://instagram.com/p/B1a2b3c4d5e/',
+                match: 'https://instagram.com/p/B1a2b3c4d5e',
+                id: 'B1a2b3c4d5e',
+                url: 'https://www.instagram.com/p/B1a2b3c4d5e/'
+            },
+            {
+                text: 'https://www.instagram.com/tv/CdE4fGh5IjK/',
+                match: 'https://www.instagram.com/tv/CdE4fGh5IjK',
+                id: 'CdE4fGh5IjK',
+                url: 'https://www.instagram.com/p/CdE4fGh5IjK/'
+            },
+            {
+                text: 'https://www.instagram.com/stories/natgeo/3412345678901234567/',
+                match: 'https://www.instagram.com/stories/natgeo/3412345678901234567',
+                id: 'story:natgeo:3412345678901234567',
+                url: 'https://www.instagram.com/stories/natgeo/3412345678901234567/'
+            },
+            {
+                text: 'https://www.instagram.com/stories/natgeo/',
+                match: 'https://www.instagram.com/stories/natgeo',
+                id: 'stories:natgeo',
+                url: 'https://www.instagram.com/stories/natgeo/'
+            },
+            {
+                text: 'https://www.instagram.com/stories/highlights/17912345678901234/',
+                match: 'https://www.instagram.com/stories/highlights/17912345678901234',
+                id: 'highlight:17912345678901234',
+                url: 'https://www.instagram.com/stories/highlights/17912345678901234/'
+            },
+            {
+                text: 'https://www.instagram.com/nat.geo_/',
+                match: 'https://www.instagram.com/nat.geo_/',
+                id: 'profile:nat.geo_',
+                url: 'https://www.instagram.com/nat.geo_/'
+            }
+        ],
+        ignored: [
+            'https://www.instagram.com/explore/',
+            'https://www.instagram.com/accounts/login/',
+            'https://www.instagram.com/direct/inbox/',
+            'https://www.instagram.com/',
+            'https://www.facebook.com/reel/1234567890'
+        ]
+    },
+
+    youtube: {
+        links: [
+            {
+                text: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                match: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            {
+                text: 'https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+                match: 'https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            {
+                text: 'https://youtu.be/dQw4w9WgXcQ?si=EbnPkCkk2b1dN0zv',
+                match: 'https://youtu.be/dQw4w9WgXcQ?si=EbnPkCkk2b1dN0zv',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            {
+                text: 'https://www.youtube.com/shorts/aqz-KE-bpKQ',
+                match: 'https://www.youtube.com/shorts/aqz-KE-bpKQ',
+                id: 'aqz-KE-bpKQ',
+                url: 'https://www.youtube.com/watch?v=aqz-KE-bpKQ'
+            },
+            {
+                text: 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+                match: 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+                id: 'playlist:PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+                url: 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI'
+            },
+            {
+                // A video opened from a playlist is shared as the video alone
+                text: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&index=1',
+                match: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI&index=1',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            {
+                text: 'https://youtu.be/dQw4w9WgXcQ?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+                match: 'https://youtu.be/dQw4w9WgXcQ?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            },
+            {
+                // Mixes are endless, the video itself is used
+                text: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ&start_radio=1',
+                match: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ&start_radio=1',
+                id: 'dQw4w9WgXcQ',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+            }
+        ],
+        ignored: [
+            'https://www.youtube.com/@RickAstleyYT',
+            'https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw',
+            'https://www.youtube.com/results?search_query=rick+astley',
+            'https://music.youtube.com/'
+        ]
+    },
+
+    tiktok: {
+        links: [
+            {
+                text: 'https://www.tiktok.com/@scout2015/video/6718335390845095173?lang=en',
+                match: 'https://www.tiktok.com/@scout2015/video/6718335390845095173',
+                id: '6718335390845095173',
+                url: 'https://www.tiktok.com/@/video/6718335390845095173'
+            },
+            {
+                text: 'https://m.tiktok.com/@user.name-1/video/7106594312292453675',
+                match: 'https://m.tiktok.com/@user.name-1/video/7106594312292453675',
+                id: '7106594312292453675',
+                url: 'https://www.tiktok.com/@/video/7106594312292453675'
+            },
+            {
+                text: 'https://vm.tiktok.com/ZMeAbCdEf/',
+                match: 'https://vm.tiktok.com/ZMeAbCdEf',
+                id: 'ZMeAbCdEf',
+                url: 'https://vm.tiktok.com/ZMeAbCdEf/'
+            },
+            {
+                text: 'https://vt.tiktok.com/ZSabc123/',
+                match: 'https://vt.tiktok.com/ZSabc123',
+                id: 'ZSabc123',
+                url: 'https://vm.tiktok.com/ZSabc123/'
+            },
+            {
+                text: 'https://www.tiktok.com/t/ZTRabc123/',
+                match: 'https://www.tiktok.com/t/ZTRabc123',
+                id: 'ZTRabc123',
+                url: 'https://vm.tiktok.com/ZTRabc123/'
+            }
+        ],
+        ignored: [
+            'https://www.tiktok.com/@scout2015',
+            'https://www.tiktok.com/explore',
+            'https://www.tiktok.com/tag/cats'
+        ]
+    },
+
+    twitter: {
+        links: [
+            {
+                text: 'https://twitter.com/jack/status/20',
+                match: 'https://twitter.com/jack/status/20',
+                id: '20',
+                url: 'https://x.com/i/status/20'
+            },
+            {
+                text: 'https://x.com/elonmusk/status/1585341984679469056?s=20',
+                match: 'https://x.com/elonmusk/status/1585341984679469056',
+                id: '1585341984679469056',
+                url: 'https://x.com/i/status/1585341984679469056'
+            },
+            {
+                text: 'https://mobile.twitter.com/NASA/status/1600000000000000000/video/1',
+                match: 'https://mobile.twitter.com/NASA/status/1600000000000000000',
+                id: '1600000000000000000',
+                url: 'https://x.com/i/status/1600000000000000000'
+            }
+        ],
+        ignored: [
+            'https://x.com/elonmusk',
+            'https://twitter.com/search?q=video',
+            'https://x.com/i/lists/1234567890'
+        ]
+    },
+
+    vk: {
+        links: [
+            {
+                text: 'https://vk.com/clip-123456_456239017',
+                match: 'https://vk.com/clip-123456_456239017',
+                id: '-123456_456239017',
+                url: 'https://vk.com/clip-123456_456239017'
+            },
+            {
+                text: 'https://vkvideo.ru/clip123456_789',
+                match: 'https://vkvideo.ru/clip123456_789',
+                id: '123456_789',
+                url: 'https://vk.com/clip123456_789'
+            },
+            {
+                text: 'https://m.vk.com/clips/id1?z=clip-220754053_456241150',
+                match: 'https://m.vk.com/clips/id1?z=clip-220754053_456241150',
+                id: '-220754053_456241150',
+                url: 'https://vk.com/clip-220754053_456241150'
+            }
+        ],
+        ignored: [
+            'https://vk.com/video-123_456',
+            'https://vk.com/id1',
+            'https://vk.com/clips'
+        ]
+    },
+
+    reddit: {
+        links: [
+            {
+                text: 'https://www.reddit.com/r/videos/comments/abc123/some_title/',
+                match: 'https://www.reddit.com/r/videos/comments/abc123/some_title/',
+                id: 'abc123',
+                url: 'https://www.reddit.com/comments/abc123/'
+            },
+            {
+                text: 'https://old.reddit.com/r/funny/comments/xyz789/',
+                match: 'https://old.reddit.com/r/funny/comments/xyz789/',
+                id: 'xyz789',
+                url: 'https://www.reddit.com/comments/xyz789/'
+            },
+            {
+                text: 'https://redd.it/1b2c3d4',
+                match: 'https://redd.it/1b2c3d4',
+                id: '1b2c3d4',
+                url: 'https://www.reddit.com/comments/1b2c3d4/'
+            }
+        ],
+        ignored: [
+            'https://www.reddit.com/r/videos/',
+            'https://www.reddit.com/user/spez',
+            'https://v.redd.it/abcdef123'
+        ]
+    },
+
+    pinterest: {
+        links: [
+            {
+                text: 'https://www.pinterest.com/pin/1234567890123456/',
+                match: 'https://www.pinterest.com/pin/1234567890123456',
+                id: '1234567890123456',
+                url: 'https://www.pinterest.com/pin/1234567890123456/'
+            },
+            {
+                text: 'https://ru.pinterest.com/pin/1234567890/',
+                match: 'https://ru.pinterest.com/pin/1234567890',
+                id: '1234567890',
+                url: 'https://www.pinterest.com/pin/1234567890/'
+            },
+            {
+                text: 'https://www.pinterest.co.uk/pin/987654321/',
+                match: 'https://www.pinterest.co.uk/pin/987654321',
+                id: '987654321',
+                url: 'https://www.pinterest.com/pin/987654321/'
+            },
+            {
+                text: 'https://pin.it/4Bq2Xyz',
+                match: 'https://pin.it/4Bq2Xyz',
+                id: '4Bq2Xyz',
+                url: 'https://pin.it/4Bq2Xyz'
+            }
+        ],
+        ignored: [
+            'https://www.pinterest.com/natgeo/',
+            'https://www.pinterest.com/ideas/',
+            'https://www.pinterest.com/search/pins/?q=cats'
+        ]
+    }
+};
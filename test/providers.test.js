@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getProvider, getProviders, buildCacheKey, findVideoLinks, registerProvider } = require('../providers');
+const fixtures = require('./fixtures/links.js');
+
+/**
+ * All matches of a provider's link pattern in a text.
+ * @param {object} provider
+ * @param {string} text
+ * @returns {string[]}
+ */
+function matchLinks(provider, text) {
+    return text.match(provider.linkPattern) || [];
+}
+
+describe('provider registry', () => {
+    it('has a fixture for every built-in provider', () => {
+        assert.deepEqual(getProviders().map((p) => p.name).sort(), Object.keys(fixtures).sort());
+    });
+
+    it('rejects providers without required fields or a global link pattern', () => {
+        assert.throws(() => registerProvider({ name: 'broken', linkPattern: /x/g, extractId: () => null }), /buildUrl/);
+        assert.throws(() => registerProvider({
+            name: 'broken',
+            linkPattern: /x/,
+            extractId: () => null,
+            buildUrl: (id) => id
+        }), /global flag/);
+    });
+
+    it('finds links of several providers in one message, in provider order', () => {
+        const text = `look https://youtu.be/dQw4w9WgXcQ and https://www.instagram.com/reel/C8xYz12AbCd/ too`;
+        assert.deepEqual(findVideoLinks(text).map((link) => link.cacheKey), [
+            'instagram:C8xYz12AbCd',
+            'youtube:dQw4w9WgXcQ'
+        ]);
+    });
+});
+
+for (const [name, { links, ignored }] of Object.entries(fixtures)) {
+    describe(`${name} provider`, () => {
+        const provider = getProvider(name);
+
+        it('is registered', () => {
+            assert.ok(provider);
+        });
+
+        for (const link of links) {
+            describe(link.text, () => {
+                it('matches the link pattern', () => {
+                    assert.deepEqual(matchLinks(provider, `see ${link.text} here`), [link.match]);
+                });
+
+                it('extracts the ID', () => {
+                    assert.equal(provider.extractId(link.match), link.id);
+                });
+
+                it('builds the canonical URL', () => {
+                    assert.equal(provider.buildUrl(link.id), link.url);
+                });
+
+                it('builds the cache key', () => {
+                    assert.equal(buildCacheKey(provider, link.id), `${name}:${link.id}`);
+                    assert.equal(buildCacheKey(name, link.id), `${name}:${link.id}`);
+                });
+
+                it('is found in a message', () => {
+                    const found = findVideoLinks(`see ${link.text} here`);
+                    assert.equal(found.length, 1);
+                    assert.equal(found[0].type, name);
+                    assert.equal(found[0].videoId, link.id);
+                    assert.equal(found[0].cacheKey, `${name}:${link.id}`);
+                });
+
+                it('extracts the same ID from the canonical URL', () => {
+                    assert.equal(provider.extractId(link.url), link.id);
+                });
+            });
+        }
+
+        for (const text of ignored) {
+            it(`ignores ${text}`, () => {
+                assert.deepEqual(matchLinks(provider, text), []);
+                assert.deepEqual(findVideoLinks(text), []);
+            });
+        }
+    });
+}
+
+describe('login errors', () => {
+    it('are recognized in Instagram yt-dlp messages', () => {
+        const { authErrorPattern } = getProvider('instagram').downloadOptions;
+        assert.match('ERROR: [Instagram] C8xYz12AbCd: Requested content is not available, rate-limit reached or login required. '
+            + 'Use --cookies, --cookies-from-browser, --username and --password, --netrc-cmd, or --netrc (instagram) to provide account credentials', authErrorPattern);
+        assert.doesNotMatch('ERROR: [Instagram] C8xYz12AbCd: Unable to download webpage: HTTP Error 500', authErrorPattern);
+    });
+
+    it('are not guessed for providers without cookie auth', () => {
+        // YouTube's bot check mentions --cookies too, but passes after a retry
+        assert.equal(getProvider('youtube').downloadOptions.authErrorPattern, undefined);
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, takeAll, retryAfterSeconds } = require('../ratelimit');
+
+/**
+ * A clock the test moves by hand.
+ * @returns {{now: function(): number, advance: function(number): void}}
+ */
+function createClock() {
+    let time = 1_000_000;
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+describe('rate limiter', () => {
+    it('allows a burst of capacity, then asks to wait for the next token', () => {
+        const clock = createClock();
+        const limiter = createRateLimiter({ perMinute: 6, capacity: 2, now: clock.now });
+
+        assert.equal(limiter.take('user:1'), 0);
+        assert.equal(limiter.take('user:1'), 0);
+        // 6 a minute is one token every 10 s
+        assert.equal(limiter.take('user:1'), 10000);
+        assert.equal(limiter.check('user:1'), 10000);
+    });
+
+    it('refills over time, up to capacity', () => {
+        const clock = createClock();
+        const limiter = createRateLimiter({ perMinute: 6, capacity: 2, now: clock.now });
+        limiter.take('user:1');
+        limiter.take('user:1');
+
+        clock.advance(4000);
+        assert.equal(limiter.take('user:1'), 6000);
+        clock.advance(6000);
+        assert.equal(limiter.take('user:1'), 0);
+        assert.equal(limiter.take('user:1'), 10000);
+
+        // A long pause doesn't store more than a burst
+        clock.advance(10 * 60000);
+        assert.equal(limiter.take('user:1'), 0);
+        assert.equal(limiter.take('user:1'), 0);
+        assert.equal(limiter.take('user:1'), 10000);
+    });
+
+    it('counts keys separately', () => {
+        const limiter = createRateLimiter({ perMinute: 1, now: createClock().now });
+        assert.equal(limiter.take('chat:1'), 0);
+        assert.equal(limiter.take('chat:2'), 0);
+        assert.equal(limiter.take('chat:1'), 60000);
+    });
+
+    it('is disabled with a limit of 0', () => {
+        const limiter = createRateLimiter({ perMinute: 0, now: createClock().now });
+        assert.equal(limiter.enabled, false);
+        for (let i = 0; i < 100; i++) {
+            assert.equal(limiter.take('ip:127.0.0.1'), 0);
+        }
+    });
+
+    it('does not take a token when asked to wait', () => {
+        const clock = createClock();
+        const limiter = createRateLimiter({ perMinute: 60, capacity: 1, now: clock.now });
+        limiter.take('user:1');
+
+        clock.advance(500);
+        assert.equal(limiter.take('user:1'), 500);
+        assert.equal(limiter.take('user:1'), 500);
+        clock.advance(500);
+        assert.equal(limiter.take('user:1'), 0);
+    });
+});
+
+describe('takeAll', () => {
+    it('takes a token from every bucket', () => {
+        const clock = createClock();
+        const users = createRateLimiter({ perMinute: 2, now: clock.now });
+        const chats = createRateLimiter({ perMinute: 2, now: clock.now });
+
+        assert.equal(takeAll([[users, '1'], [chats, '10']]), 0);
+        assert.equal(takeAll([[users, '1'], [chats, '10']]), 0);
+        assert.equal(users.check('1'), 30000);
+        assert.equal(chats.check('10'), 30000);
+    });
+
+    it('takes nothing from the other buckets when one of them is empty', () => {
+        const clock = createClock();
+        const users = createRateLimiter({ perMinute: 2, now: clock.now });
+        const chats = createRateLimiter({ perMinute: 10, now: clock.now });
+        const platforms = createRateLimiter({ perMinute: 1, now: clock.now });
+        const limits = [[users, '1'], [chats, '10'], [platforms, 'youtube']];
+
+        assert.equal(takeAll(limits), 0);
+        // The platform is used up: the user and the chat keep their tokens
+        assert.equal(takeAll(limits), 60000);
+        assert.equal(takeAll(limits), 60000);
+        assert.equal(users.take('1'), 0);
+        assert.equal(users.check('1'), 30000);
+        for (let i = 0; i < 9; i++) {
+            assert.equal(chats.take('10'), 0);
+        }
+        assert.equal(chats.check('10'), 6000);
+    });
+
+    it('waits for the slowest bucket', () => {
+        const clock = createClock();
+        const users = createRateLimiter({ perMinute: 6, capacity: 1, now: clock.now });
+        const ips = createRateLimiter({ perMinute: 2, capacity: 1, now: clock.now });
+        const limits = [[users, '1'], [ips, '192.0.2.1']];
+
+        assert.equal(takeAll(limits), 0);
+        clock.advance(5000);
+        assert.equal(takeAll(limits), 25000);
+        clock.advance(25000);
+        assert.equal(takeAll(limits), 0);
+    });
+});
+
+describe('Retry-After', () => {
+    it('rounds the wait up to whole seconds', () => {
+        const clock = createClock();
+        const ips = createRateLimiter({ perMinute: 7, capacity: 1, now: clock.now });
+        ips.take('192.0.2.1');
+
+        const wait = takeAll([[ips, '192.0.2.1']]);
+        // 60 s / 7 = 8571.4 ms, the header must not tell the client to come back too early
+        assert.equal(wait, 8572);
+        assert.equal(retryAfterSeconds(wait), 9);
+        clock.advance(retryAfterSeconds(wait) * 1000);
+        assert.equal(takeAll([[ips, '192.0.2.1']]), 0);
+    });
+
+    it('is at least a second for any wait', () => {
+        assert.equal(retryAfterSeconds(1), 1);
+        assert.equal(retryAfterSeconds(1000), 1);
+        assert.equal(retryAfterSeconds(1001), 2);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CAPTION_MAX_LENGTH, buildDefaultTemplate, renderCaption } = require('../captions/template');
+
+const TEMPLATE = buildDefaultTemplate({ source: 'Source', preview: 'Preview' });
+
+/**
+ * Checks that a caption is well-formed Telegram HTML: only the template's own tags,
+ * balanced, and every & starting a whole entity.
+ * @param {string} caption
+ */
+function assertWellFormed(caption) {
+    const entities = caption.match(/&[^;\s]*;?/g) || [];
+    for (const entity of entities) {
+        assert.match(entity, /^&(amp|lt|gt|quot);$/);
+    }
+    const tags = caption.match(/<[^>]*>?/g) || [];
+    for (const tag of tags) {
+        assert.match(tag, /^<(b|\/b|\/a|a href="[^"<>]*")>$/);
+    }
+    assert.equal(tags.filter((tag) => tag === '<b>').length, tags.filter((tag) => tag === '</b>').length);
+    assert.equal(tags.filter((tag) => tag.startsWith('<a ')).length, tags.filter((tag) => tag === '</a>').length);
+}
+
+/**
+ * The caption as Telegram shows it.
+ * @param {string} caption
+ * @returns {string}
+ */
+function visibleText(caption) {
+    return caption.replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+describe('caption template', () => {
+    it('escapes HTML in post text', () => {
+        const caption = renderCaption(TEMPLATE, {
+            author: 'Tom & "Jerry"',
+            description: 'x < y && y > z, see <a href="https://evil.example">this</a>',
+            url: 'https://example.com/watch?a=1&b="2"'
+        });
+
+        assert.match(caption, /<b>Tom &amp; &quot;Jerry&quot;<\/b>/);
+        assert.match(caption, /x &lt; y &amp;&amp; y &gt; z, see &lt;a href=&quot;https:\/\/evil\.example&quot;&gt;this&lt;\/a&gt;/);
+        assert.match(caption, /<a href="https:\/\/example\.com\/watch\?a=1&amp;b=&quot;2&quot;">Source<\/a>/);
+        assertWellFormed(caption);
+    });
+
+    it('drops lines and parts without values', () => {
+        const caption = renderCaption(TEMPLATE, { author: 'cat', likes: '1.2K', date: '01.02.2024', url: 'https://example.com' });
+        assert.equal(caption, '<b>cat</b>\n❤️ 1.2K · 📅 01.02.2024\n\n<a href="https://example.com">Source</a>');
+    });
+
+    it('returns undefined for an empty caption', () => {
+        assert.equal(renderCaption('{ai}\n{description}', {}), undefined);
+    });
+
+    it('shortens the description to the limit', () => {
+        const caption = renderCaption(TEMPLATE, {
+            author: 'cat',
+            description: 'word '.repeat(400),
+            url: 'https://example.com'
+        });
+
+        assert.equal(visibleText(caption).length, CAPTION_MAX_LENGTH);
+        assert.match(caption, /<b>cat<\/b>\nword word .*…\n\n/);
+        assert.match(caption, /<a href="https:\/\/example\.com">Source<\/a>$/);
+        assertWellFormed(caption);
+    });
+
+    it('never cuts an entity when shortening a description full of escaped characters', () => {
+        for (let length = 1000; length < 1100; length++) {
+            const caption = renderCaption(TEMPLATE, {
+                author: 'cat',
+                description: '<&">'.repeat(length / 4 + 1).slice(0, length),
+                url: 'https://example.com'
+            });
+
+            assert.ok(visibleText(caption).length <= CAPTION_MAX_LENGTH, `length ${length}`);
+            assertWellFormed(caption);
+            assert.match(caption, /<a href="https:\/\/example\.com">Source<\/a>$/);
+        }
+    });
+
+    it('falls back to escaped plain text when the template alone is over the limit', () => {
+        for (const maxLength of [20, 21, 22, 23, 24, 25]) {
+            const caption = renderCaption('<b>{author}</b> & <a href="{url}">"link"</a>', {
+                author: '<&>'.repeat(10),
+                url: 'https://example.com'
+            }, maxLength);
+
+            assert.equal(visibleText(caption).length, maxLength);
+            assert.ok(caption.endsWith('…'));
+            assert.doesNotMatch(caption, /<|>/);
+            assertWellFormed(caption);
+        }
+    });
+});
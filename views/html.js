@@ -0,0 +1,115 @@
+/**
+ * HTML templating with contextual escaping.
+ *
+ * `html` is a tagged template literal. Every interpolated value is escaped for the place
+ * it is inserted into, so scraped titles, descriptions and URLs can't break out of
+ * the markup:
+ *   - text and attribute values: & < > " ' become entities
+ *   - href, src, poster and action attributes, and values wrapped in url(): only http(s)
+ *     and relative URLs are kept, anything else (javascript:, data:) becomes "#"
+ *   - jsonLd() output is JSON with <, > and & escaped, safe inside <script>
+ * Nested `html` results and raw() values are inserted as they are.
+ */
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+class UnsafeUrl {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src|poster|action)\s*=\s*["']?$/i;
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|\/(?!\/)|\.\.?\/|[?#])/i;
+
+/**
+ * Escapes text for HTML text and quoted attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keeps http(s) and relative URLs, replaces everything else with "#".
+ * @param {*} value
+ * @returns {string}
+ */
+function sanitizeUrl(value) {
+    const url = String(value).trim();
+    return SAFE_URL_PATTERN.test(url) ? url : '#';
+}
+
+function renderValue(value, isUrl) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map((item) => renderValue(item, isUrl)).join('');
+    if (value instanceof SafeHtml) return value.value;
+    if (value instanceof UnsafeUrl) return escapeHtml(sanitizeUrl(value.value));
+    return escapeHtml(isUrl ? sanitizeUrl(value) : value);
+}
+
+/**
+ * Tagged template that escapes interpolations, see the module comment.
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += renderValue(value, URL_ATTRIBUTE_PATTERN.test(strings[i])) + strings[i + 1];
+    });
+    return new SafeHtml(result);
+}
+
+/**
+ * Marks a value as a URL where the attribute name doesn't tell (e.g. <meta content>).
+ * @param {string} value
+ * @returns {UnsafeUrl}
+ */
+function url(value) {
+    return value ? new UnsafeUrl(value) : null;
+}
+
+/**
+ * Inserts trusted markup without escaping.
+ * @param {string} value
+ * @returns {SafeHtml}
+ */
+function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+/**
+ * Renders a JSON-LD script tag.
+ * @param {object} data - Structured data; null and undefined fields are dropped by JSON.stringify.
+ * @returns {SafeHtml}
+ */
+function jsonLd(data) {
+    const json = JSON.stringify(data)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026');
+    return new SafeHtml(`<script type="application/ld+json">${json}</script>`);
+}
+
+module.exports = {
+    html,
+    url,
+    raw,
+    jsonLd,
+    escapeHtml,
+    sanitizeUrl
+};
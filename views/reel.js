@@ -0,0 +1,226 @@
+const { html, url, jsonLd } = require('./html.js');
+const { LANGUAGES, DEFAULT_LANGUAGE, t } = require('../i18n');
+
+/**
+ * Preview pages of a proxied post, one set of tags for every client:
+ *   - Open Graph (Telegram, WhatsApp, Facebook, Slack)
+ *   - Twitter Card "player" with the MP4 stream (Twitter/X, Discord)
+ *   - an oEmbed discovery link (Discord, Slack, WordPress)
+ *   - JSON-LD VideoObject (search engines)
+ *
+ * `post` is the metadata of the web server: {title, description, image, video, videoType,
+ * originalUrl, width, height, duration, author}. `links` are absolute URLs of the proxy:
+ * {pageUrl, playerUrl, oembedUrl}, and `platform` is the provider title. Pages are rendered
+ * in the language of the visitor (see i18n/).
+ */
+
+// Vertical video is the common case for reels and shorts
+const DEFAULT_WIDTH = 720;
+const DEFAULT_HEIGHT = 1280;
+
+/**
+ * Formats seconds as an ISO 8601 duration (PT1M5S), as schema.org expects.
+ */
+function toIsoDuration(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    return `PT${minutes ? `${minutes}M` : ''}${total % 60}S`;
+}
+
+/**
+ * Formats a yt-dlp upload date (YYYYMMDD) as YYYY-MM-DD.
+ */
+function toIsoDate(date) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(date || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+}
+
+/**
+ * Absolute http(s) URL or undefined: JSON outputs have no relative URLs and no "#" fallback.
+ */
+function absoluteUrl(value) {
+    return value && /^https?:\/\//i.test(value) ? value : undefined;
+}
+
+function getSize(post) {
+    return {
+        width: post.width || DEFAULT_WIDTH,
+        height: post.height || DEFAULT_HEIGHT
+    };
+}
+
+/**
+ * The preview page: meta tags for link unfurling, and a player for people who open it.
+ * @param {object} post - Post metadata.
+ * @param {{pageUrl: string, playerUrl: string, oembedUrl: string}} links
+ * @param {string} [platform='Instagram']
+ * @param {string} [language] - Page language, og:locale follows it.
+ * @returns {string}
+ */
+function renderPostPage(post, links, platform = 'Instagram', language = DEFAULT_LANGUAGE) {
+    const { width, height } = getSize(post);
+    const hasVideo = Boolean(post.video);
+
+    const videoObject = hasVideo ? {
+        '@context': 'https://schema.org',
+        '@type': 'VideoObject',
+        name: post.title,
+        description: post.description || post.title,
+        thumbnailUrl: absoluteUrl(post.image),
+        contentUrl: absoluteUrl(post.video),
+        embedUrl: links.playerUrl,
+        url: links.pageUrl,
+        uploadDate: toIsoDate(post.uploadDate),
+        duration: post.duration ? toIsoDuration(post.duration) : undefined,
+        width: post.width || undefined,
+        height: post.height || undefined,
+        author: post.author ? { '@type': 'Person', name: post.author } : undefined
+    } : null;
+
+    return String(html`<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+
+    <!-- Open Graph -->
+    <meta property="og:title" content="${post.title}">
+    <meta property="og:description" content="${post.description}">
+    <meta property="og:type" content="${hasVideo ? 'video.other' : 'website'}">
+    <meta property="og:url" content="${url(links.pageUrl)}">
+    <meta property="og:site_name" content="${platform}">
+    <meta property="og:locale" content="${t(language, 'locale')}">
+    ${LANGUAGES.filter((other) => other !== language).map((other) => html`<meta property="og:locale:alternate" content="${t(other, 'locale')}">`)}
+    ${post.image ? html`<meta property="og:image" content="${url(post.image)}">` : ''}
+    ${hasVideo ? html`<meta property="og:video" content="${url(post.video)}">
+    <meta property="og:video:secure_url" content="${url(post.video)}">
+    <meta property="og:video:type" content="${post.videoType || 'video/mp4'}">` : ''}
+    ${hasVideo && post.width ? html`<meta property="og:video:width" content="${post.width}">` : ''}
+    ${hasVideo && post.height ? html`<meta property="og:video:height" content="${post.height}">` : ''}
+    ${hasVideo && post.duration ? html`<meta property="og:video:duration" content="${Math.round(post.duration)}">` : ''}
+
+    <!-- Twitter Card -->
+    ${hasVideo ? html`<meta name="twitter:card" content="player">
+    <meta name="twitter:player" content="${url(links.playerUrl)}">
+    <meta name="twitter:player:width" content="${width}">
+    <meta name="twitter:player:height" content="${height}">
+    <meta name="twitter:player:stream" content="${url(post.video)}">
+    <meta name="twitter:player:stream:content_type" content="${post.videoType || 'video/mp4'}">`
+        : html`<meta name="twitter:card" content="summary_large_image">`}
+    <meta name="twitter:title" content="${post.title}">
+    <meta name="twitter:description" content="${post.description}">
+    ${post.image ? html`<meta name="twitter:image" content="${url(post.image)}">` : ''}
+
+    <!-- oEmbed -->
+    <link rel="alternate" type="application/json+oembed" href="${links.oembedUrl}" title="${post.title}">
+
+    ${videoObject ? jsonLd(videoObject) : ''}
+
+    <title>${post.title}</title>
+
+    <style>
+        body {
+            margin: 0;
+            padding: 0;
+            background: #000;
+            font-family: Arial, sans-serif;
+        }
+        .video-container {
+            width: 100vw;
+            height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        .video-player {
+            width: 100%;
+            height: 100%;
+            border: none;
+            background: #000;
+        }
+        .fallback {
+            color: white;
+            text-align: center;
+            padding: 20px;
+        }
+    </style>
+</head>
+<body>
+    <div class="video-container">
+        ${hasVideo ? html`
+        <video src="${post.video}" class="video-player" controls playsinline${post.image ? html` poster="${post.image}"` : ''}></video>
+        ` : html`
+        <div class="fallback">
+            <h2>${post.title}</h2>
+            <p>${post.description}</p>
+            <a href="${post.originalUrl}" target="_blank" rel="noopener" style="color: #667eea;">${t(language, 'web.open_in', { platform })}</a>
+        </div>
+        `}
+    </div>
+</body>
+</html>`);
+}
+
+/**
+ * The embeddable player of twitter:player and the oEmbed iframe: the video and nothing else.
+ * @param {object} post - Post metadata with the video URL.
+ * @returns {string}
+ */
+function renderPlayerPage(post) {
+    return String(html`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${post.title}</title>
+    <style>
+        html, body { margin: 0; height: 100%; background: #000; }
+        video { width: 100%; height: 100%; display: block; }
+    </style>
+</head>
+<body>
+    <video src="${post.video}" controls playsinline${post.image ? html` poster="${post.image}"` : ''}></video>
+</body>
+</html>`);
+}
+
+/**
+ * An oEmbed 1.0 response: "video" with the player iframe, or "link" without a video.
+ * @param {object} post - Post metadata.
+ * @param {{playerUrl: string}} links
+ * @param {{maxWidth?: number, maxHeight?: number, platform?: string, providerUrl?: string}} [options] -
+ *   Size limits of the consumer (the player is scaled down keeping its aspect ratio).
+ * @returns {object}
+ */
+function buildOEmbed(post, links, { maxWidth, maxHeight, platform = 'Instagram', providerUrl } = {}) {
+    const response = {
+        version: '1.0',
+        type: 'link',
+        title: post.title,
+        author_name: post.author || undefined,
+        provider_name: platform,
+        provider_url: providerUrl,
+        thumbnail_url: absoluteUrl(post.image)
+    };
+    if (!post.video) {
+        return response;
+    }
+
+    let { width, height } = getSize(post);
+    const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+    return {
+        ...response,
+        type: 'video',
+        width,
+        height,
+        html: String(html`<iframe src="${links.playerUrl}" width="${width}" height="${height}" frameborder="0" allow="autoplay; fullscreen" allowfullscreen></iframe>`)
+    };
+}
+
+module.exports = {
+    renderPostPage,
+    renderPlayerPage,
+    buildOEmbed
+};